@@ -1,103 +1,110 @@
-const crypto = require('crypto');
+const { getSecret, generateToken, verifyToken, verifyAuth, sessionCookie } = require('../lib/session');
+const { normalizeEmail, usesUserStore, authenticate, publicUser } = require('../lib/users');
+const { jsonResponse, withHttpPolicy, withCookies } = require('../lib/http');
+const { attemptKeys, loginWait, recordFailure, recordSuccess, formatWait } = require('../lib/loginThrottle');
+const { csrfToken, csrfCookie, isAllowedOrigin } = require('../lib/csrf');
+const { allowedProfiles, publicProfile } = require('../lib/profiles');
+const { errorBody } = require('../lib/i18n');
 
-const { PORTAL_PASSWORD, AUTH_SECRET, AUTH_TTL_HOURS } = process.env;
-const ttlHours = Number(AUTH_TTL_HOURS || 24);
-const TOKEN_TTL_MS = (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : 24) * 60 * 60 * 1000;
+const { PORTAL_PASSWORD, AUTH_SECRET } = process.env;
 
-function timingSafeEqual(a, b) {
-  const aBuf = Buffer.from(a);
-  const bBuf = Buffer.from(b);
-  if (aBuf.length !== bBuf.length) return false;
-  return crypto.timingSafeEqual(aBuf, bBuf);
+function response(statusCode, body = {}, headers = {}) {
+  return jsonResponse(statusCode, body, headers);
 }
 
-function parseCookies(header = '') {
-  return header.split(';').reduce((acc, part) => {
-    const [key, ...rest] = part.trim().split('=');
-    if (!key) return acc;
-    acc[key] = rest.join('=');
-    return acc;
-  }, {});
+// Le jeton CSRF voyage dans son propre cookie, après celui de la session s'il est posé
+function withCsrf(res, session, cookies = []) {
+  const token = csrfToken(session);
+  return withCookies({
+    ...res,
+    body: JSON.stringify({ ...JSON.parse(res.body), csrfToken: token })
+  }, [...cookies, csrfCookie(token)]);
 }
 
-function sign(expiresAt, secret) {
-  return crypto.createHmac('sha256', secret).update(String(expiresAt)).digest('hex');
+// Profils Zoho proposés dans le sélecteur de la page (le premier est celui par défaut)
+function profilesOf(user) {
+  return allowedProfiles(user).map(publicProfile);
 }
 
-function verifyToken(token, secret) {
-  if (!token) return false;
-  const [expStr, signature] = token.split('.');
-  const expiresAt = Number(expStr);
-  if (!expStr || !signature || Number.isNaN(expiresAt) || expiresAt < Date.now()) return false;
-  const expected = sign(expiresAt, secret);
-  return timingSafeEqual(expected, signature);
+function isConfigured() {
+  // Avec un fichier utilisateurs, AUTH_SECRET est obligatoire (plus de mot de passe partagé pour signer)
+  return usesUserStore() ? Boolean(AUTH_SECRET) : Boolean(PORTAL_PASSWORD);
 }
 
-function generateToken(secret) {
-  const expiresAt = Date.now() + TOKEN_TTL_MS;
-  const signature = sign(expiresAt, secret);
-  return `${expiresAt}.${signature}`;
+function tooManyAttempts({ retryAfter, locked }) {
+  return response(429, errorBody(locked ? 'LOGIN_LOCKED' : 'LOGIN_THROTTLED', { wait: formatWait(retryAfter) }, {
+    retryAfter,
+    locked
+  }), { 'Retry-After': String(retryAfter) });
 }
 
-function response(statusCode, body = {}) {
-  return {
-    statusCode,
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  };
-}
-
-exports.handler = async (event) => {
-  const secret = AUTH_SECRET || PORTAL_PASSWORD;
-  if (!secret || !PORTAL_PASSWORD) {
-    console.error('Auth configuration manquante. PORTAL_PASSWORD (et idéalement AUTH_SECRET) doivent être définis.');
-    return response(500, { error: 'Configuration manquante' });
+exports.handler = withHttpPolicy(async (event) => {
+  const secret = getSecret();
+  if (!secret || !isConfigured()) {
+    console.error('Auth configuration manquante. PORTAL_USERS_FILE + AUTH_SECRET, ou PORTAL_PASSWORD (et idéalement AUTH_SECRET) doivent être définis.');
+    return response(500, errorBody('CONFIGURATION_MISSING'));
   }
 
   // GET => vérifie la session existante
   if (event.httpMethod === 'GET') {
-    const cookies = parseCookies(event.headers.cookie);
-    const token = cookies.authToken;
-    if (!verifyToken(token, secret)) {
-      return response(401, { error: 'Non authentifié' });
+    const session = await verifyAuth(event);
+    if (!session) {
+      return response(401, errorBody('UNAUTHENTICATED'));
     }
-    return response(200, { ok: true });
+    // Cookie CSRF reposé à chaque vérification : la page le retrouve même s'il a été effacé
+    return withCsrf(response(200, {
+      ok: true,
+      user: publicUser(session.user),
+      profiles: profilesOf(session.user),
+      sharedAccess: !usesUserStore()
+    }), session);
   }
 
   if (event.httpMethod !== 'POST') {
-    return response(405, { error: 'Méthode non autorisée' });
+    return response(405, errorBody('METHOD_NOT_ALLOWED', { methods: 'GET, POST' }));
   }
 
+  // Connexion forcée depuis un autre site (login CSRF)
+  if (!isAllowedOrigin(event)) {
+    return response(403, errorBody('ORIGIN_NOT_ALLOWED'));
+  }
+
+  let email = '';
   let password = '';
   try {
     const body = JSON.parse(event.body || '{}');
+    email = body.email || '';
     password = body.password || '';
   } catch (e) {
-    return response(400, { error: 'Requête invalide' });
+    return response(400, errorBody('INVALID_REQUEST'));
   }
 
-  const isValid = password && timingSafeEqual(password, PORTAL_PASSWORD);
-  if (!isValid) {
-    return response(401, { error: 'Mot de passe incorrect' });
+  // Anti force brute : le mot de passe n'est même pas vérifié pendant l'attente imposée
+  const keys = attemptKeys(event, usesUserStore() ? normalizeEmail(email) : null);
+  const wait = await loginWait(keys);
+  if (wait) {
+    return tooManyAttempts(wait);
   }
 
-  const token = generateToken(secret);
-  const cookie = [
-    `authToken=${token}`,
-    'Path=/',
-    'HttpOnly',
-    'Secure',
-    'SameSite=Lax',
-    `Max-Age=${Math.floor(TOKEN_TTL_MS / 1000)}`
-  ].join('; ');
+  let user = null;
+  try {
+    user = password ? authenticate(email, password) : null;
+  } catch (e) {
+    console.error('Lecture du fichier utilisateurs impossible:', e);
+    return response(500, errorBody('CONFIGURATION_MISSING'));
+  }
 
-  return {
-    ...response(200, { ok: true }),
-    headers: {
-      'Content-Type': 'application/json',
-      'Set-Cookie': cookie
+  if (!user) {
+    const next = await recordFailure(keys);
+    const code = usesUserStore() ? 'INVALID_CREDENTIALS' : 'INVALID_PASSWORD';
+    if (next) {
+      return response(401, errorBody(code, {}, { retryAfter: next.retryAfter, locked: next.locked }), { 'Retry-After': String(next.retryAfter) });
     }
-  };
-};
+    return response(401, errorBody(code));
+  }
+  await recordSuccess(keys);
+
+  const token = await generateToken(secret, user.id);
+  const session = { sessionId: verifyToken(token, secret).sid };
+  return withCsrf(response(200, { ok: true, user: publicUser(user), profiles: profilesOf(user) }), session, [sessionCookie(token)]);
+});
@@ -0,0 +1,123 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { deskJson, deskError, deskList } = require('../lib/zohoDesk');
+const { normalizeEmail } = require('../lib/users');
+const { fetchLayout, buildTicketPayload } = require('../lib/layouts');
+const { subjectTag } = require('../lib/ticketQuery');
+const { invalidateTicket } = require('../lib/cache');
+const { checkCsrf } = require('../lib/csrf');
+const { currentProfile, withProfile } = require('../lib/profiles');
+const { errorBody, codedError, message } = require('../lib/i18n');
+
+// Le tag [Portal] rend le ticket visible dans la liste du portail
+function withSubjectTag(subject) {
+  const trimmed = String(subject || '').trim();
+  const tag = subjectTag();
+  if (trimmed.toLowerCase().includes(tag.toLowerCase())) return trimmed;
+  return `${tag} ${trimmed}`;
+}
+
+/**
+ * Contact du compte client du profil portant l'email de l'utilisateur, créé au besoin :
+ * un ticket rattaché à un contact hors compte n'apparaîtrait ni dans la liste du compte
+ * ni dans le périmètre de son auteur.
+ */
+async function accountContactId(user) {
+  const { accountId } = currentProfile();
+  if (!accountId || !user.accountIds.includes(String(accountId))) {
+    throw codedError('CONTACT_ACCOUNT_MISSING', { statusCode: 403 });
+  }
+  const id = encodeURIComponent(accountId);
+  const contacts = await deskList(`/accounts/${id}/contacts`, { maxPages: 4, context: 'contacts du compte' });
+  const existing = contacts.find(c => normalizeEmail(c.email) === user.email);
+  if (existing) return String(existing.id);
+
+  const created = await deskJson('/contacts', {
+    lastName: user.name || user.email,
+    email: user.email,
+    accountId: String(accountId)
+  }, { method: 'POST', context: 'création du contact' });
+  if (!created.ok || !created.data) {
+    throw deskError(created, 'création du contact');
+  }
+  return String(created.data.id);
+}
+
+// Contact Zoho du demandeur : contact lié à l'utilisateur, contact de son compte client,
+// sinon contact par défaut (accès partagé)
+async function contactFor(user) {
+  if (user.contactIds.length > 0) return { contactId: user.contactIds[0] };
+  if (user.accountIds.length > 0) return { contactId: await accountContactId(user) };
+  if (user.email) return { contact: { email: user.email, lastName: user.name || user.email } };
+  const { defaultContactId } = currentProfile();
+  if (defaultContactId) return { contactId: defaultContactId };
+  throw codedError('CONTACT_MISSING');
+}
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, errorBody('METHOD_NOT_ALLOWED', { methods: 'POST' }));
+  }
+
+  const csrfError = checkCsrf(event, session);
+  if (csrfError) return csrfError;
+
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, errorBody('INVALID_JSON'));
+    }
+
+    const values = (body && body.values) || {};
+    // Toujours le layout de création du profil : le layout fixe le département du ticket,
+    // un layoutId envoyé par le client est donc ignoré
+    const { layout, fields } = await fetchLayout();
+
+    const { payload, errors } = buildTicketPayload(fields, values);
+    // Le sujet est obligatoire même si le layout ne le marque pas (ou ne l'expose pas)
+    const hasSubjectField = fields.some(f => f.apiName === 'subject' && f.editable);
+    const subject = hasSubjectField ? payload.subject : String(values.subject || '').trim();
+    if (!subject && !errors.subject) {
+      errors.subject = message('FIELD_REQUIRED');
+    }
+    if (Object.keys(errors).length > 0) {
+      return jsonResponse(422, errorBody('INVALID_FIELDS', {}, { details: errors }));
+    }
+
+    const departmentId = layout.departmentId || currentProfile().departmentId;
+    if (!departmentId) {
+      throw codedError('DEPARTMENT_MISSING');
+    }
+
+    const ticket = {
+      ...payload,
+      subject: withSubjectTag(subject),
+      departmentId,
+      layoutId: layout.id,
+      channel: 'Web',
+      ...await contactFor(session.user)
+    };
+
+    const result = await deskJson('/tickets', ticket, { method: 'POST', context: 'création de ticket' });
+    if (!result.ok) {
+      throw deskError(result, 'création de ticket');
+    }
+    invalidateTicket(null);
+
+    return jsonResponse(201, {
+      success: true,
+      message: message('TICKET_CREATED'),
+      ticket: result.data
+    });
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
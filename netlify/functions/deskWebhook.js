@@ -0,0 +1,57 @@
+const { jsonResponse, withHttpPolicy } = require('../lib/http');
+const { verifySignature, normalizeDeskEvent, withTicketInfo, recordEvents } = require('../lib/deskEvents');
+const { currentProfile, withProfile } = require('../lib/profiles');
+const { errorBody, message } = require('../lib/i18n');
+
+// Appelé par Zoho Desk (serveur à serveur) : pas d'en-têtes CORS
+function response(statusCode, body) {
+  return jsonResponse(statusCode, body, {});
+}
+
+function rawBodyOf(event) {
+  return Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+}
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  // Zoho vérifie que l'URL répond avant d'activer le webhook
+  if (event.httpMethod === 'GET' || event.httpMethod === 'HEAD') {
+    return response(200, { ok: true });
+  }
+  if (event.httpMethod !== 'POST') {
+    return response(405, errorBody('METHOD_NOT_ALLOWED', { methods: 'POST' }));
+  }
+
+  // Un webhook par profil : l'URL configurée dans Zoho porte ?profile=<id>
+  if (!currentProfile().webhookSecret) {
+    console.error(`deskWebhook - Secret du webhook non défini pour le profil ${currentProfile().id}, notification refusée`);
+    return response(500, errorBody('CONFIGURATION_MISSING'));
+  }
+
+  const headers = event.headers || {};
+  const rawBody = rawBodyOf(event);
+  if (!verifySignature(rawBody, headers['x-zdesk-signature'])) {
+    console.warn('deskWebhook - Signature invalide');
+    return response(401, errorBody('INVALID_SIGNATURE'));
+  }
+
+  let notifications;
+  try {
+    notifications = JSON.parse(rawBody.toString('utf8'));
+  } catch (e) {
+    return response(400, errorBody('INVALID_JSON'));
+  }
+
+  try {
+    // Zoho envoie un tableau d'évènements (un objet seul est aussi accepté)
+    const list = Array.isArray(notifications) ? notifications : [notifications];
+    const events = await withTicketInfo(list.map(normalizeDeskEvent).filter(Boolean));
+    const recorded = await recordEvents(events);
+
+    console.log(`deskWebhook - ${recorded.length} évènement(s) enregistré(s) sur ${list.length} reçu(s)`);
+    return response(200, { ok: true, received: list.length, recorded: recorded.length });
+  } catch (e) {
+    // 500 : Zoho rejouera la livraison
+    console.error(e);
+    return response(500, { error: e.message || message('UNKNOWN_ERROR'), code: e.code || 'UNKNOWN_ERROR' });
+  }
+}));
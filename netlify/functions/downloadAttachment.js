@@ -0,0 +1,65 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { deskRequest, deskError } = require('../lib/zohoDesk');
+const { requireTicketAccess } = require('../lib/ticketAccess');
+const { listAttachments } = require('../lib/attachments');
+const { contentDisposition } = require('../lib/files');
+const { withProfile } = require('../lib/profiles');
+const { errorBody, codedError } = require('../lib/i18n');
+
+// Limite de réponse des fonctions Netlify (6 Mo) une fois le binaire encodé en base64
+const MAX_DOWNLOAD_BYTES = Math.floor((6 * 1024 * 1024 * 3) / 4) - 64 * 1024;
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  try {
+    const params = event.queryStringParameters || {};
+    const { ticketId, attachmentId } = params;
+    if (!ticketId || !attachmentId) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETERS', { names: ['ticketId', 'attachmentId'] }));
+    }
+
+    await requireTicketAccess(session.user, ticketId);
+
+    // La pièce jointe doit appartenir au ticket et être publique
+    const attachment = (await listAttachments(ticketId)).find(a => a.id === String(attachmentId));
+    if (!attachment) {
+      throw codedError('ATTACHMENT_NOT_FOUND', { statusCode: 404 });
+    }
+    if (attachment.size && attachment.size > MAX_DOWNLOAD_BYTES) {
+      throw codedError('DOWNLOAD_TOO_LARGE', { statusCode: 413 });
+    }
+
+    const result = await deskRequest(
+      `/tickets/${encodeURIComponent(ticketId)}/attachments/${encodeURIComponent(attachmentId)}/content`,
+      { binary: true, headers: { Accept: '*/*' }, context: 'téléchargement pièce jointe' }
+    );
+    if (!result.ok) {
+      throw deskError(result, 'téléchargement pièce jointe');
+    }
+
+    const buffer = await result.res.buffer();
+    if (buffer.length > MAX_DOWNLOAD_BYTES) {
+      throw codedError('DOWNLOAD_TOO_LARGE', { statusCode: 413 });
+    }
+
+    return {
+      statusCode: 200,
+      isBase64Encoded: true,
+      body: buffer.toString('base64'),
+      headers: {
+        'Content-Type': result.res.headers.get('content-type') || attachment.contentType,
+        'Content-Length': String(buffer.length),
+        'Content-Disposition': contentDisposition(attachment.name),
+        'Cache-Control': 'private, no-store'
+      }
+    };
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
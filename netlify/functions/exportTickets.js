@@ -0,0 +1,105 @@
+const { verifyAuth } = require('../lib/session');
+const { unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { parseTicketQuery, collectTickets, withTicketDetails } = require('../lib/ticketQuery');
+const { fetchLayout, isCustomField } = require('../lib/layouts');
+const { canAccessTicket } = require('../lib/users');
+const { contentDisposition } = require('../lib/files');
+const { toCsv, toXlsx } = require('../lib/spreadsheet');
+const { resolutionOf } = require('../lib/dossier');
+const { currentProfile, withProfile } = require('../lib/profiles');
+const { codedError, message } = require('../lib/i18n');
+
+// Un appel Zoho par ticket (résolution, champs personnalisés), 6 en parallèle : 60 tickets
+// font 10 séries d'appels, de quoi tenir dans les 10 s d'une fonction synchrone avec la
+// lecture de la liste. Au-delà, l'export est tronqué (X-Export-Truncated) et la page
+// invite à resserrer les filtres.
+const MAX_EXPORT_TICKETS = 60;
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Libellés dans la langue de la requête
+function baseColumns() {
+  return [
+    { label: message('LABEL_TICKET_NUMBER'), type: 'string', width: 10, value: t => t.ticketNumber },
+    { label: message('LABEL_SUBJECT'), type: 'string', width: 50, value: t => t.subject },
+    { label: message('LABEL_STATUS'), type: 'string', width: 14, value: t => t.status },
+    { label: message('LABEL_PRIORITY'), type: 'string', width: 12, value: t => t.priority },
+    { label: message('LABEL_CREATED'), type: 'date', value: t => t.createdTime },
+    { label: message('LABEL_CLOSED'), type: 'date', value: t => t.closedTime },
+    { label: message('LABEL_RESOLUTION'), type: 'string', width: 60, value: t => resolutionOf(t) }
+  ];
+}
+
+function isEnabled(value) {
+  return ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+// Colonnes cf.* visibles du layout, libellées comme dans le formulaire Zoho
+function customColumns(fields) {
+  return fields
+    .filter(f => f.visible && isCustomField(f.apiName))
+    .map(f => ({
+      label: f.displayName || f.apiName,
+      type: f.dataType === 'DateTime' ? 'date' : 'string',
+      value: t => {
+        const cf = t.cf || {};
+        const value = [cf[f.apiName.replace(/^cf\./, '')], cf[f.apiName], t[f.apiName]]
+          .find(v => v !== undefined && v !== null && v !== '');
+        if (value === undefined) return null;
+        if (f.dataType === 'Boolean') return message(String(value) === 'true' ? 'LABEL_YES' : 'LABEL_NO');
+        return value;
+      }
+    }));
+}
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  try {
+    const params = event.queryStringParameters || {};
+    const format = FORMATS[String(params.format || 'csv').toLowerCase()];
+    if (!format) {
+      throw codedError('INVALID_FORMAT', { statusCode: 400 }, { values: Object.keys(FORMATS).join(', ') });
+    }
+
+    // Mêmes filtres et même tri que la liste ; l'export part toujours du début
+    const query = parseTicketQuery({ ...params, limit: undefined, cursor: undefined }, session.user);
+    const columns = baseColumns();
+    if (isEnabled(params.customFields)) {
+      const { fields } = await fetchLayout(params.layoutId || undefined);
+      columns.push(...customColumns(fields));
+    }
+
+    const { tickets, truncated } = await collectTickets(query, session.user, MAX_EXPORT_TICKETS);
+    const detailed = (await withTicketDetails(tickets, 'export ticket'))
+      // Le détail fait foi (client ou compte modifié depuis la lecture de la liste)
+      .filter(t => canAccessTicket(session.user, { accountId: currentProfile().accountId, ...t }));
+    const rows = detailed.map(t => columns.map(c => c.value(t)));
+
+    const filename = `tickets-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+    const file = format.extension === 'xlsx'
+      ? { isBase64Encoded: true, body: toXlsx(columns, rows, 'Tickets').toString('base64') }
+      : { body: toCsv(columns, rows) };
+
+    return {
+      statusCode: 200,
+      ...file,
+      headers: {
+        'Content-Type': format.contentType,
+        'Content-Disposition': contentDisposition(filename),
+        'X-Export-Count': String(rows.length),
+        'X-Export-Truncated': truncated ? 'true' : 'false',
+        'Cache-Control': 'private, no-store'
+      }
+    };
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
@@ -0,0 +1,31 @@
+const { verifyAuth, revokeSession, clearedSessionCookie } = require('../lib/session');
+const { jsonResponse, errorResponse, withHttpPolicy, withCookies } = require('../lib/http');
+const { checkCsrf, clearedCsrfCookie } = require('../lib/csrf');
+const { errorBody } = require('../lib/i18n');
+
+/**
+ * POST : ferme la session courante. Le jeton est révoqué côté serveur (un cookie copié
+ * ne sert plus) et le cookie effacé ; répond 200 même sans session valide.
+ */
+exports.handler = withHttpPolicy(async (event) => {
+  const cleared = [clearedSessionCookie(), clearedCsrfCookie()];
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, errorBody('METHOD_NOT_ALLOWED', { methods: 'POST' }));
+  }
+
+  try {
+    const session = await verifyAuth(event);
+    if (session) {
+      // Sans jeton CSRF, la session n'est pas révoquée côté serveur (un site tiers ne peut
+      // pas la fermer à distance), mais les cookies de ce navigateur sont tout de même effacés
+      const csrfError = checkCsrf(event, session);
+      if (csrfError) return withCookies(csrfError, cleared);
+      await revokeSession(session);
+    }
+    return withCookies(jsonResponse(200, { ok: true }), cleared);
+  } catch (e) {
+    console.error(e);
+    return withCookies(errorResponse(e), cleared);
+  }
+});
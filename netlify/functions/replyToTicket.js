@@ -0,0 +1,95 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { deskJson, deskError } = require('../lib/zohoDesk');
+const { requireTicketAccess } = require('../lib/ticketAccess');
+const { escapeHtml, sanitizeHtml, textToHtml, htmlToText } = require('../lib/html');
+const { invalidateTicket } = require('../lib/cache');
+const { checkCsrf } = require('../lib/csrf');
+const { withProfile } = require('../lib/profiles');
+const { errorBody, message } = require('../lib/i18n');
+
+const MAX_ATTACHMENTS = 10;
+const MAX_CONTENT_LENGTH = 32000;
+
+// L'API agent publie le commentaire au nom du compte OAuth : on signe avec l'identité du client
+function authorLine(user) {
+  const who = user.email ? `${user.name || user.email} <${user.email}>` : (user.name || 'Client');
+  return `<p><b>Réponse client via le portail</b> - ${escapeHtml(who)}</p>`;
+}
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, errorBody('METHOD_NOT_ALLOWED', { methods: 'POST' }));
+  }
+
+  const csrfError = checkCsrf(event, session);
+  if (csrfError) return csrfError;
+
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, errorBody('INVALID_JSON'));
+    }
+
+    const ticketId = body.ticketId;
+    // content = HTML (nettoyé), text = texte brut ; l'un des deux est requis
+    const html = body.content ? sanitizeHtml(body.content) : textToHtml(body.text);
+    const attachmentIds = Array.isArray(body.attachmentIds) ? body.attachmentIds.map(String) : [];
+
+    if (!ticketId || !htmlToText(html)) {
+      return jsonResponse(400, errorBody('MISSING_REPLY_CONTENT'));
+    }
+    if (html.length > MAX_CONTENT_LENGTH) {
+      return jsonResponse(400, errorBody('MESSAGE_TOO_LONG', { max: MAX_CONTENT_LENGTH }));
+    }
+    if (attachmentIds.length > MAX_ATTACHMENTS || attachmentIds.some(id => !/^\d+$/.test(id))) {
+      return jsonResponse(400, errorBody('ATTACHMENT_IDS_INVALID', { max: MAX_ATTACHMENTS }));
+    }
+
+    await requireTicketAccess(session.user, ticketId);
+
+    // Commentaire public : visible des agents dans leur fil de conversation habituel
+    const result = await deskJson(`/tickets/${encodeURIComponent(ticketId)}/comments`, {
+      isPublic: true,
+      contentType: 'html',
+      content: `${authorLine(session.user)}${html}`,
+      ...(attachmentIds.length > 0 ? { attachmentIds } : {})
+    }, {
+      method: 'POST',
+      context: 'réponse client'
+    });
+
+    if (!result.ok) {
+      throw deskError(result, 'réponse client');
+    }
+    invalidateTicket(ticketId);
+
+    const comment = result.data || {};
+    return jsonResponse(201, {
+      success: true,
+      message: message('REPLY_SENT'),
+      ticketId,
+      reply: {
+        id: comment.id || null,
+        type: 'comment',
+        direction: 'in',
+        isPublic: true,
+        author: session.user.name || session.user.email || 'Client',
+        html,
+        text: htmlToText(html),
+        attachmentIds,
+        createdTime: comment.commentedTime || comment.createdTime || new Date().toISOString()
+      }
+    });
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
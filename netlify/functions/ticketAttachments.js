@@ -0,0 +1,29 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { requireTicketAccess } = require('../lib/ticketAccess');
+const { listAttachments } = require('../lib/attachments');
+const { withProfile } = require('../lib/profiles');
+const { errorBody } = require('../lib/i18n');
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  try {
+    const ticketId =
+      event.queryStringParameters && event.queryStringParameters.id;
+    if (!ticketId) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETER', { name: 'id' }));
+    }
+
+    await requireTicketAccess(session.user, ticketId);
+
+    const attachments = await listAttachments(ticketId);
+    return jsonResponse(200, attachments);
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
@@ -0,0 +1,41 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { waitForEvents } = require('../lib/deskEvents');
+const { withProfile } = require('../lib/profiles');
+const { codedError } = require('../lib/i18n');
+
+const MAX_LIMIT = 200;
+// Délai max des fonctions synchrones Netlify : 10 s par défaut, 26 s sur demande
+const MAX_WAIT_SECONDS = 25;
+const NO_STORE_HEADERS = { 'Cache-Control': 'no-store' };
+
+function intParam(value, name, fallback, min, max) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw codedError('INVALID_RANGE', { statusCode: 400 }, { name, min, max });
+  }
+  return n;
+}
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized(NO_STORE_HEADERS);
+  }
+
+  try {
+    const params = event.queryStringParameters || {};
+    const since = intParam(params.since, 'since', 0, 0, Number.MAX_SAFE_INTEGER);
+    const limit = intParam(params.limit, 'limit', 100, 1, MAX_LIMIT);
+    // wait > 0 : la réponse est retenue jusqu'au prochain évènement (long polling du tableau de bord)
+    const wait = intParam(params.wait, 'wait', 0, 0, MAX_WAIT_SECONDS);
+
+    // Évènements reçus par deskWebhook depuis `since`, limités aux tickets de l'utilisateur
+    const result = await waitForEvents(session.user, { since, limit, waitMs: wait * 1000 });
+    return jsonResponse(200, result, NO_STORE_HEADERS);
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e, NO_STORE_HEADERS);
+  }
+}));
@@ -1,90 +1,28 @@
-const fetch = require('node-fetch');
-
-const {
-  ZOHO_CLIENT_ID,
-  ZOHO_CLIENT_SECRET,
-  ZOHO_REFRESH_TOKEN,
-  ZOHO_ORG_ID,
-  ZOHO_DC,
-  AUTH_SECRET,
-  PORTAL_PASSWORD
-} = process.env;
-
-const ACCOUNTS_BASE = `https://accounts.zoho.${ZOHO_DC}`;
-const DESK_BASE = `https://desk.zoho.${ZOHO_DC}/api/v1`;
-
-let cachedAccessToken = null;
-let accessTokenExpiry = 0;
-
-function parseCookies(header = '') {
-  return header.split(';').reduce((acc, part) => {
-    const [key, ...rest] = part.trim().split('=');
-    if (!key) return acc;
-    acc[key] = rest.join('=');
-    return acc;
-  }, {});
-}
-
-function timingSafeEqual(a, b) {
-  const aBuf = Buffer.from(a);
-  const bBuf = Buffer.from(b);
-  if (aBuf.length !== bBuf.length) return false;
-  return require('crypto').timingSafeEqual(aBuf, bBuf);
-}
-
-function verifyAuth(event) {
-  const secret = AUTH_SECRET || PORTAL_PASSWORD;
-  if (!secret) return false;
-  const cookies = parseCookies((event.headers && event.headers.cookie) || '');
-  const token = cookies.authToken;
-  if (!token) return false;
-  const [expStr, signature] = token.split('.');
-  const expiresAt = Number(expStr);
-  if (!expStr || !signature || Number.isNaN(expiresAt) || expiresAt < Date.now()) {
-    return false;
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { deskGetWithFallback, deskError } = require('../lib/zohoDesk');
+const { assertCanAccess } = require('../lib/ticketAccess');
+const { cachedResponse } = require('../lib/cache');
+const { withProfile } = require('../lib/profiles');
+const { errorBody } = require('../lib/i18n');
+const { sanitizeHtml } = require('../lib/html');
+
+// Description et résolution sont insérées telles quelles dans la page : même liste blanche
+// que la timeline, le sujet et la description pouvant venir du client
+function withSafeHtml(ticket) {
+  const safe = { ...ticket };
+  if (typeof safe.description === 'string') safe.description = sanitizeHtml(safe.description);
+  if (typeof safe.resolution === 'string') {
+    safe.resolution = sanitizeHtml(safe.resolution);
+  } else if (safe.resolution && typeof safe.resolution.content === 'string') {
+    safe.resolution = { ...safe.resolution, content: sanitizeHtml(safe.resolution.content) };
   }
-  const expected = require('crypto').createHmac('sha256', secret).update(expStr).digest('hex');
-  return timingSafeEqual(expected, signature);
-}
-
-function unauthorized() {
-  return {
-    statusCode: 401,
-    body: JSON.stringify({ error: 'Non authentifié' }),
-    headers: { "Access-Control-Allow-Origin": "*" }
-  };
+  return safe;
 }
 
-async function getAccessToken() {
-  const now = Date.now();
-  if (cachedAccessToken && now < accessTokenExpiry - 60000) {
-    return cachedAccessToken;
-  }
-
-  const res = await fetch(`${ACCOUNTS_BASE}/oauth/v2/token`, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: new URLSearchParams({
-      refresh_token: ZOHO_REFRESH_TOKEN,
-      client_id: ZOHO_CLIENT_ID,
-      client_secret: ZOHO_CLIENT_SECRET,
-      grant_type: "refresh_token"
-    })
-  });
-
-  const data = await res.json();
-  if (!res.ok) {
-    console.error("Erreur OAuth (details):", data);
-    throw new Error("Erreur OAuth Zoho");
-  }
-
-  cachedAccessToken = data.access_token;
-  accessTokenExpiry = now + (data.expires_in || 3600) * 1000;
-  return cachedAccessToken;
-}
-
-exports.handler = async (event) => {
-  if (!verifyAuth(event)) {
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
     return unauthorized();
   }
 
@@ -92,55 +30,32 @@ exports.handler = async (event) => {
     const ticketId =
       event.queryStringParameters && event.queryStringParameters.id;
     if (!ticketId) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: "Missing ticket id" }),
-        headers: { "Access-Control-Allow-Origin": "*" }
-      };
-    }
-
-    const token = await getAccessToken();
-    const include = 'contacts,assignee,team,department,product,collaborators';
-    const urlWithInclude = `${DESK_BASE}/tickets/${ticketId}?include=${encodeURIComponent(include)}`;
-    const urlFallback = `${DESK_BASE}/tickets/${ticketId}`;
-
-    async function fetchTicket(url) {
-      const res = await fetch(url, {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${token}`,
-          orgId: ZOHO_ORG_ID
-        }
-      });
-      const data = await res.json();
-      return { res, data };
-    }
-
-    let { res, data } = await fetchTicket(urlWithInclude);
-    if (!res.ok && res.status >= 400 && res.status < 500) {
-      console.warn("Include rejected (details), retrying without include", { status: res.status, data });
-      ({ res, data } = await fetchTicket(urlFallback));
+      return jsonResponse(400, errorBody('MISSING_PARAMETER', { name: 'id' }));
     }
-
-    if (!res.ok) {
-      console.error("Erreur Zoho Desk (details):", data);
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ error: "Erreur Zoho Desk", details: data }),
-        headers: { "Access-Control-Allow-Origin": "*" }
-      };
-    }
-
-    return {
-      statusCode: 200,
-      body: JSON.stringify(data),
-      headers: { "Access-Control-Allow-Origin": "*" }
-    };
+    // Même identifiant encodé que le contrôle d'accès (readAccessibleTicket)
+    const id = encodeURIComponent(ticketId);
+
+    return await cachedResponse(event, {
+      name: 'ticketDetails',
+      key: [session.user.id, ticketId],
+      ticketId
+    }, async () => {
+      const include = 'contacts,assignee,team,department,product,collaborators';
+      const result = await deskGetWithFallback(
+        `/tickets/${id}?include=${encodeURIComponent(include)}`,
+        `/tickets/${id}`,
+        'details'
+      );
+
+      if (!result.ok) {
+        throw deskError(result, 'details');
+      }
+
+      assertCanAccess(session.user, result.data);
+      return withSafeHtml(result.data);
+    });
   } catch (e) {
     console.error(e);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: e.message }),
-      headers: { "Access-Control-Allow-Origin": "*" }
-    };
+    return errorResponse(e);
   }
-};
+}));
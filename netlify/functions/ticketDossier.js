@@ -0,0 +1,58 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { contentDisposition } = require('../lib/files');
+const { loadDossier, renderDossierHtml, renderDossierPdf } = require('../lib/dossier');
+const { withProfile } = require('../lib/profiles');
+const { errorBody, codedError } = require('../lib/i18n');
+
+const FORMATS = ['html', 'pdf'];
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  try {
+    const params = event.queryStringParameters || {};
+    const ticketId = params.id;
+    if (!ticketId) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETER', { name: 'id' }));
+    }
+    const format = String(params.format || 'html').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      throw codedError('INVALID_FORMAT', { statusCode: 400 }, { values: FORMATS.join(', ') });
+    }
+
+    // Contrôle d'accès inclus (404 hors périmètre)
+    const dossier = await loadDossier(ticketId, session.user);
+    const filename = `ticket-${dossier.ticket.ticketNumber || ticketId}-dossier.${format}`;
+    const headers = {
+      'Content-Disposition': contentDisposition(filename),
+      'Cache-Control': 'private, no-store'
+    };
+
+    if (format === 'pdf') {
+      return {
+        statusCode: 200,
+        isBase64Encoded: true,
+        body: renderDossierPdf(dossier).toString('base64'),
+        headers: { 'Content-Type': 'application/pdf', ...headers }
+      };
+    }
+
+    return {
+      statusCode: 200,
+      body: renderDossierHtml(dossier),
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        // Document autonome : ni script ni ressource externe, même s'il est ouvert depuis le site
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+        ...headers
+      }
+    };
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
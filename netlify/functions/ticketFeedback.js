@@ -0,0 +1,98 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { readAccessibleTicket } = require('../lib/ticketAccess');
+const { invalidateTicket } = require('../lib/cache');
+const { withIdempotency } = require('../lib/idempotency');
+const { feedbackEntries, toView, addFeedback, editFeedback, deleteFeedback } = require('../lib/feedback');
+const { checkCsrf } = require('../lib/csrf');
+const { withProfile } = require('../lib/profiles');
+const { errorBody, codedError } = require('../lib/i18n');
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+
+function parseBody(event) {
+  try {
+    return JSON.parse(event.body) || {};
+  } catch (e) {
+    throw codedError('INVALID_JSON', { statusCode: 400 });
+  }
+}
+
+async function handleFeedback(event, user) {
+  const method = event.httpMethod;
+  try {
+    const query = event.queryStringParameters || {};
+    const params = method === 'GET' || (method === 'DELETE' && !event.body) ? query : parseBody(event);
+    if (!params.ticketId) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETER', { name: 'ticketId' }));
+    }
+    if ((method === 'PUT' || method === 'DELETE') && !params.feedbackId) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETER', { name: 'feedbackId' }));
+    }
+
+    const ticket = await readAccessibleTicket(user, params.ticketId, 'feedback ticket');
+    const ticketId = String(ticket.id);
+
+    if (method === 'GET') {
+      return jsonResponse(200, {
+        ticketId,
+        entries: (await feedbackEntries(ticket)).map(entry => toView(entry, user))
+      });
+    }
+
+    let result;
+    if (method === 'POST') {
+      result = await addFeedback(ticket, user, params.body);
+    } else if (method === 'PUT') {
+      result = await editFeedback(ticket, user, params.feedbackId, params.body);
+    } else {
+      result = await deleteFeedback(ticket, user, params.feedbackId);
+    }
+    invalidateTicket(ticketId);
+
+    return jsonResponse(method === 'POST' ? 201 : 200, {
+      success: true,
+      ticketId,
+      feedback: method === 'DELETE' ? { id: result.entry.id } : toView(result.entry, user),
+      entries: (await feedbackEntries(ticket)).map(entry => toView(entry, user)),
+      // Nouvelle résolution du ticket (null si elle n'a pas changé)
+      resolution: result.resolution,
+      // true si une modification faite entre-temps par un agent a été conservée
+      merged: Boolean(result.merged)
+    });
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}
+
+/**
+ * Feedbacks client d'un ticket, sous forme d'entrées distinctes (recopiées dans la résolution Zoho) :
+ * GET    ?ticketId=                          : liste des entrées
+ * POST   { ticketId, body }                  : ajoute une entrée
+ * PUT    { ticketId, feedbackId, body }      : modifie une entrée (versions précédentes conservées)
+ * DELETE { ticketId, feedbackId } ou ?ticketId=&feedbackId= : supprime une entrée
+ */
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const method = event.httpMethod;
+
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  if (!METHODS.includes(method)) {
+    return jsonResponse(405, errorBody('METHOD_NOT_ALLOWED', { methods: METHODS.join(', ') }));
+  }
+
+  if (method !== 'GET') {
+    const csrfError = checkCsrf(event, session);
+    if (csrfError) return csrfError;
+  }
+
+  // Ajout : un renvoi avec la même Idempotency-Key ne crée pas une seconde entrée
+  if (method === 'POST') {
+    return withIdempotency(event, session.user, 'ticketFeedback', () => handleFeedback(event, session.user));
+  }
+  return handleFeedback(event, session.user);
+}));
@@ -0,0 +1,26 @@
+const { verifyAuth } = require('../lib/session');
+const { unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { fetchTicketMetadata } = require('../lib/deskMetadata');
+const { cachedResponse } = require('../lib/cache');
+const { withProfile } = require('../lib/profiles');
+const { canFilterByAssignee } = require('../lib/users');
+
+// Départements, équipes, produits et agents proposés dans les filtres de la liste
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  try {
+    // Partagé par les utilisateurs du profil qui ont les mêmes droits ; indépendant des évènements ticket
+    return await cachedResponse(event, {
+      name: 'ticketMetadata',
+      key: [canFilterByAssignee(session.user)],
+      watchEvents: false
+    }, () => fetchTicketMetadata(session.user));
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
@@ -0,0 +1,87 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { readAccessibleTicket } = require('../lib/ticketAccess');
+const { cachedResponse, updateCached, invalidateTicket } = require('../lib/cache');
+const {
+  isResolvedStatus,
+  validateRating,
+  saveRatingToDesk,
+  ratingOf,
+  satisfactionSummary,
+  applyRating
+} = require('../lib/satisfaction');
+const { checkCsrf } = require('../lib/csrf');
+const { withProfile } = require('../lib/profiles');
+const { errorBody, codedError } = require('../lib/i18n');
+
+/**
+ * GET  (sans ticketId) : moyenne de satisfaction des tickets de l'utilisateur
+ * GET  ?ticketId=      : note enregistrée dans les champs du ticket (ou null)
+ * POST { ticketId, rating (1 à 5), comment? } : note un ticket résolu (une nouvelle note remplace la précédente)
+ */
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const isPost = event.httpMethod === 'POST';
+
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  if (!isPost && event.httpMethod !== 'GET') {
+    return jsonResponse(405, errorBody('METHOD_NOT_ALLOWED', { methods: 'GET, POST' }));
+  }
+
+  if (isPost) {
+    const csrfError = checkCsrf(event, session);
+    if (csrfError) return csrfError;
+  }
+
+  try {
+    if (!isPost) {
+      const ticketId = event.queryStringParameters && event.queryStringParameters.ticketId;
+      if (!ticketId) {
+        // Coûteux (un appel Zoho par ticket résolu) : calculé une fois par utilisateur et TTL
+        return await cachedResponse(event, {
+          name: 'satisfactionSummary',
+          key: [session.user.id],
+          watchEvents: false
+        }, () => satisfactionSummary(session.user));
+      }
+      const ticket = await readAccessibleTicket(session.user, ticketId, 'satisfaction ticket');
+      return jsonResponse(200, { ticketId, rating: await ratingOf(ticket) });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, errorBody('INVALID_JSON'));
+    }
+    if (!body || !body.ticketId) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETER', { name: 'ticketId' }));
+    }
+    const input = validateRating(body);
+
+    const ticket = await readAccessibleTicket(session.user, body.ticketId, 'satisfaction ticket');
+    if (!isResolvedStatus(ticket)) {
+      throw codedError('TICKET_NOT_RESOLVED', { statusCode: 409 });
+    }
+
+    const previous = await ratingOf(ticket);
+    const fields = await saveRatingToDesk(ticket, input);
+    invalidateTicket(ticket.id);
+    // Moyenne en cache corrigée de cette seule note ; null si elle n'a pas encore été calculée
+    const summary = await updateCached('satisfactionSummary', [session.user.id], current => applyRating(current, previous, input));
+
+    return jsonResponse(201, {
+      success: true,
+      ticketId: String(ticket.id),
+      rating: input,
+      fields,
+      summary
+    });
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
@@ -0,0 +1,31 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { requireTicketAccess } = require('../lib/ticketAccess');
+const { fetchTimeline } = require('../lib/timeline');
+const { withProfile } = require('../lib/profiles');
+const { errorBody } = require('../lib/i18n');
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  try {
+    const ticketId =
+      event.queryStringParameters && event.queryStringParameters.id;
+    if (!ticketId) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETER', { name: 'id' }));
+    }
+
+    await requireTicketAccess(session.user, ticketId);
+
+    // Historique, conversations, threads et messages fusionnés en une seule liste chronologique
+    const { entries, sources } = await fetchTimeline(ticketId);
+
+    return jsonResponse(200, { ticketId, entries, sources });
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}));
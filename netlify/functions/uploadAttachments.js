@@ -0,0 +1,88 @@
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { requireTicketAccess } = require('../lib/ticketAccess');
+const { UPLOAD_POLICY, prepareUpload, uploadToTicket, normalizeAttachment } = require('../lib/attachments');
+const { invalidateTicket } = require('../lib/cache');
+const { withIdempotency } = require('../lib/idempotency');
+const { checkCsrf } = require('../lib/csrf');
+const { withProfile } = require('../lib/profiles');
+const { errorBody, message } = require('../lib/i18n');
+
+async function uploadFiles(event, user) {
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, errorBody('INVALID_JSON'));
+    }
+
+    // files = [{ name, data }] avec data en base64 (ou data URL)
+    const ticketId = body.ticketId;
+    const files = Array.isArray(body.files) ? body.files : [];
+    if (!ticketId || files.length === 0) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETERS', { names: ['ticketId', 'files'] }));
+    }
+    if (files.length > UPLOAD_POLICY.maxFiles) {
+      return jsonResponse(400, errorBody('TOO_MANY_FILES', { max: UPLOAD_POLICY.maxFiles }));
+    }
+
+    await requireTicketAccess(user, ticketId);
+
+    // Résultat par fichier : un fichier refusé n'empêche pas l'envoi des autres
+    const results = [];
+    for (let i = 0; i < files.length; i++) {
+      const prepared = prepareUpload(files[i], UPLOAD_POLICY, i);
+      if (prepared.error) {
+        results.push({ name: prepared.name, status: 'rejected', size: prepared.size || null, contentType: prepared.contentType || null, error: prepared.error, code: prepared.code });
+        continue;
+      }
+
+      const { file } = prepared;
+      try {
+        const attachment = await uploadToTicket(ticketId, file);
+        results.push({
+          name: file.name,
+          status: 'uploaded',
+          size: file.size,
+          contentType: file.contentType,
+          attachment: attachment && attachment.id ? normalizeAttachment(ticketId, { ...attachment, name: attachment.name || file.name }) : attachment
+        });
+      } catch (err) {
+        console.error(`Upload échoué (${file.name}):`, err);
+        results.push({ name: file.name, status: 'failed', size: file.size, contentType: file.contentType, ...(err.rateLimited ? errorBody('RATE_LIMITED') : { error: err.message, code: err.code || 'UNKNOWN_ERROR' }) });
+      }
+    }
+
+    const uploaded = results.filter(r => r.status === 'uploaded').length;
+    if (uploaded > 0) invalidateTicket(ticketId);
+    // Aucun envoi réussi : 502 si Zoho a échoué (réessayable), 422 si tout a été refusé
+    const failedStatus = results.some(r => r.status === 'failed') ? 502 : 422;
+    return jsonResponse(uploaded > 0 ? 200 : failedStatus, {
+      success: uploaded === results.length,
+      message: message('FILES_UPLOADED', { uploaded, total: results.length }),
+      ticketId,
+      results
+    });
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
+  }
+}
+
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
+    return unauthorized();
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, errorBody('METHOD_NOT_ALLOWED', { methods: 'POST' }));
+  }
+
+  const csrfError = checkCsrf(event, session);
+  if (csrfError) return csrfError;
+
+  // Même Idempotency-Key : les fichiers déjà envoyés ne le sont pas une seconde fois
+  return withIdempotency(event, session.user, 'uploadAttachments', () => uploadFiles(event, session.user));
+}));
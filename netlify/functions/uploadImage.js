@@ -1,182 +1,72 @@
-const fetch = require('node-fetch');
-const FormData = require('form-data');
-
-const {
-  ZOHO_CLIENT_ID,
-  ZOHO_CLIENT_SECRET,
-  ZOHO_REFRESH_TOKEN,
-  ZOHO_ORG_ID,
-  ZOHO_DC,
-  AUTH_SECRET,
-  PORTAL_PASSWORD
-} = process.env;
-
-const ACCOUNTS_BASE = `https://accounts.zoho.${ZOHO_DC}`;
-const DESK_BASE = `https://desk.zoho.${ZOHO_DC}/api/v1`;
+const { verifyAuth } = require('../lib/session');
+const { jsonResponse, unauthorized, errorResponse, withHttpPolicy } = require('../lib/http');
+const { requireTicketAccess } = require('../lib/ticketAccess');
+const { UPLOAD_POLICY, prepareUpload, uploadToTicket } = require('../lib/attachments');
+const { invalidateTicket } = require('../lib/cache');
+const { withIdempotency } = require('../lib/idempotency');
+const { checkCsrf } = require('../lib/csrf');
+const { withProfile } = require('../lib/profiles');
+const { errorBody, message } = require('../lib/i18n');
+
+// Ancien endpoint (une seule image) : mêmes contrôles que uploadAttachments, limité aux images
+const IMAGE_POLICY = {
+  ...UPLOAD_POLICY,
+  allowedTypes: UPLOAD_POLICY.allowedTypes.filter(t => t.startsWith('image/'))
+};
+
+async function uploadImage(event, user) {
+  try {
+    // Parser le corps de la requête qui devrait contenir l'image
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return jsonResponse(400, errorBody('INVALID_JSON'));
+    }
 
-let cachedAccessToken = null;
-let accessTokenExpiry = 0;
+    const ticketId = body.ticketId;
+    const imageData = body.imageData; // Base64 encoded image (data URL acceptée)
 
-function parseCookies(header = '') {
-  return header.split(';').reduce((acc, part) => {
-    const [key, ...rest] = part.trim().split('=');
-    if (!key) return acc;
-    acc[key] = rest.join('=');
-    return acc;
-  }, {});
-}
+    if (!ticketId || !imageData) {
+      return jsonResponse(400, errorBody('MISSING_PARAMETERS', { names: ['ticketId', 'imageData'] }));
+    }
 
-function timingSafeEqual(a, b) {
-  const aBuf = Buffer.from(a);
-  const bBuf = Buffer.from(b);
-  if (aBuf.length !== bBuf.length) return false;
-  return require('crypto').timingSafeEqual(aBuf, bBuf);
-}
+    await requireTicketAccess(user, ticketId);
 
-function verifyAuth(event) {
-  const secret = AUTH_SECRET || PORTAL_PASSWORD;
-  if (!secret) return false;
-  const cookies = parseCookies((event.headers && event.headers.cookie) || '');
-  const token = cookies.authToken;
-  if (!token) return false;
-  const [expStr, signature] = token.split('.');
-  const expiresAt = Number(expStr);
-  if (!expStr || !signature || Number.isNaN(expiresAt) || expiresAt < Date.now()) {
-    return false;
-  }
-  const expected = require('crypto').createHmac('sha256', secret).update(expStr).digest('hex');
-  return timingSafeEqual(expected, signature);
-}
-
-function unauthorized() {
-  return {
-    statusCode: 401,
-    body: JSON.stringify({ error: 'Non authentifié' }),
-    headers: {
-      "Access-Control-Allow-Origin": "https://zohodeskclabots.netlify.app",
-      "Access-Control-Allow-Credentials": "true"
+    const prepared = prepareUpload({ name: body.filename || `feedback-image-${Date.now()}`, data: imageData }, IMAGE_POLICY);
+    if (prepared.error) {
+      return jsonResponse(422, { error: prepared.error, code: prepared.code });
     }
-  };
-}
-
-async function getAccessToken() {
-  const now = Date.now();
-  if (cachedAccessToken && now < accessTokenExpiry - 60000) {
-    return cachedAccessToken;
-  }
 
-  const res = await fetch(`${ACCOUNTS_BASE}/oauth/v2/token`, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: new URLSearchParams({
-      refresh_token: ZOHO_REFRESH_TOKEN,
-      client_id: ZOHO_CLIENT_ID,
-      client_secret: ZOHO_CLIENT_SECRET,
-      grant_type: "refresh_token"
-    })
-  });
+    const attachment = await uploadToTicket(ticketId, prepared.file);
+    invalidateTicket(ticketId);
 
-  const data = await res.json();
-  if (!res.ok) {
-    console.error("Erreur OAuth (uploadImage):", data);
-    throw new Error("Erreur OAuth Zoho");
+    return jsonResponse(200, {
+      success: true,
+      message: message('IMAGE_UPLOADED'),
+      ticketId: ticketId,
+      attachment
+    });
+  } catch (e) {
+    console.error(e);
+    return errorResponse(e);
   }
-
-  cachedAccessToken = data.access_token;
-  accessTokenExpiry = now + (data.expires_in || 3600) * 1000;
-  return cachedAccessToken;
 }
 
-exports.handler = async (event) => {
-  console.log('uploadImage - Headers reçus:', JSON.stringify(event.headers));
-  console.log('uploadImage - Cookies:', event.headers?.cookie || 'Aucun cookie');
-
-  if (!verifyAuth(event)) {
+exports.handler = withHttpPolicy(withProfile(async (event) => {
+  const session = await verifyAuth(event);
+  if (!session) {
     console.log('uploadImage - Échec de l\'authentification');
     return unauthorized();
   }
 
-  console.log('uploadImage - Authentification réussie');
-
   // Vérifier que c'est une requête POST
   if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      body: JSON.stringify({ error: 'Méthode non autorisée. Utilisez POST.' }),
-      headers: { "Access-Control-Allow-Origin": "*" }
-    };
+    return jsonResponse(405, errorBody('METHOD_NOT_ALLOWED', { methods: 'POST' }));
   }
 
-  try {
-    // Parser le corps de la requête qui devrait contenir l'image
-    const body = JSON.parse(event.body);
-    const ticketId = body.ticketId;
-    const imageData = body.imageData; // Base64 encoded image
+  const csrfError = checkCsrf(event, session);
+  if (csrfError) return csrfError;
 
-    if (!ticketId || !imageData) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: "Paramètres manquants: ticketId et imageData sont requis" }),
-        headers: { "Access-Control-Allow-Origin": "*" }
-      };
-    }
-
-    const token = await getAccessToken();
-
-    // Upload de l'image vers Zoho Desk
-    const uploadUrl = `${DESK_BASE}/tickets/${ticketId}/attachments`;
-
-    // Convertir l'image base64 en buffer
-    const base64Data = imageData.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
-
-    const form = new FormData();
-    form.append('file', buffer, {
-      filename: `feedback-image-${Date.now()}.jpg`,
-      contentType: 'image/jpeg'
-    });
-
-    const uploadRes = await fetch(uploadUrl, {
-      method: 'POST',
-      headers: {
-        Authorization: `Zoho-oauthtoken ${token}`,
-        orgId: ZOHO_ORG_ID,
-        ...form.getHeaders()
-      },
-      body: form
-    });
-
-    if (!uploadRes.ok) {
-      const errorData = await uploadRes.json();
-      console.error("Erreur lors de l'upload de l'image:", errorData);
-      throw new Error("Impossible d'uploader l'image");
-    }
-
-    const responseData = await uploadRes.json();
-
-    return {
-      statusCode: 200,
-      body: JSON.stringify({
-        success: true,
-        message: 'Image uploadée avec succès',
-        ticketId: ticketId,
-        attachment: responseData
-      }),
-      headers: {
-        "Access-Control-Allow-Origin": "https://zohodeskclabots.netlify.app",
-        "Access-Control-Allow-Credentials": "true"
-      }
-    };
-
-  } catch (e) {
-    console.error(e);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: e.message }),
-      headers: {
-        "Access-Control-Allow-Origin": "https://zohodeskclabots.netlify.app",
-        "Access-Control-Allow-Credentials": "true"
-      }
-    };
-  }
-};
\ No newline at end of file
+  return withIdempotency(event, session.user, 'uploadImage', () => uploadImage(event, session.user));
+}));
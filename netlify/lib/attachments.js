@@ -0,0 +1,123 @@
+const FormData = require('form-data');
+const { deskList, deskRequest, deskError } = require('./zohoDesk');
+const { mimeFromName, detectMime, safeFilename, decodeBase64File } = require('./files');
+const { DEFAULT_PROFILE_ID, currentProfile } = require('./profiles');
+const { errorBody } = require('./i18n');
+
+const { UPLOAD_MAX_BYTES, UPLOAD_MAX_FILES, UPLOAD_ALLOWED_TYPES } = process.env;
+
+// Le corps d'une requête Netlify est limité à 6 Mo (base64 compris) : 4 Mo par défaut
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'application/zip',
+  'application/gzip'
+];
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+const UPLOAD_POLICY = Object.freeze({
+  maxBytes: positiveInt(UPLOAD_MAX_BYTES, DEFAULT_MAX_BYTES),
+  maxFiles: positiveInt(UPLOAD_MAX_FILES, 5),
+  allowedTypes: UPLOAD_ALLOWED_TYPES
+    ? UPLOAD_ALLOWED_TYPES.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES
+});
+
+// Le lien reste dans le profil Zoho du ticket
+function downloadUrl(ticketId, attachmentId) {
+  const { id } = currentProfile();
+  const profile = id === DEFAULT_PROFILE_ID ? '' : `&profile=${encodeURIComponent(id)}`;
+  return `/.netlify/functions/downloadAttachment?ticketId=${encodeURIComponent(ticketId)}&attachmentId=${encodeURIComponent(attachmentId)}${profile}`;
+}
+
+function normalizeAttachment(ticketId, a) {
+  const creator = a.creator || a.author || {};
+  return {
+    id: String(a.id),
+    name: a.name || a.fileName || `piece-jointe-${a.id}`,
+    size: Number(a.size) || null,
+    contentType: a.contentType || mimeFromName(a.name || a.fileName),
+    creator: creator.name || [creator.firstName, creator.lastName].filter(Boolean).join(' ') || creator.email || null,
+    createdTime: a.createdTime || null,
+    downloadUrl: downloadUrl(ticketId, a.id)
+  };
+}
+
+/**
+ * Pièces jointes publiques du ticket ; celles marquées privées par les agents
+ * (isPublic === false) ne sont jamais exposées au portail.
+ */
+async function listAttachments(ticketId) {
+  const raw = await deskList(`/tickets/${encodeURIComponent(ticketId)}/attachments`, {
+    maxPages: 5,
+    context: 'attachments'
+  });
+  return raw
+    .filter(a => a && a.id && a.isPublic !== false)
+    .map(a => normalizeAttachment(ticketId, a));
+}
+
+/**
+ * Décode et valide un fichier reçu ({ name, data } en base64) selon la politique d'upload.
+ * Renvoie { file } prêt à envoyer ou { error } ; le type est détecté sur le contenu.
+ */
+function prepareUpload(input, policy = UPLOAD_POLICY, index = 0) {
+  const originalName = (input && (input.name || input.filename)) || '';
+  const buffer = decodeBase64File(input && input.data);
+  if (!buffer || buffer.length === 0) {
+    return errorBody('FILE_CONTENT_INVALID', {}, { name: originalName });
+  }
+
+  const contentType = detectMime(buffer, originalName);
+  const name = safeFilename(originalName, contentType, `fichier-${Date.now()}-${index + 1}`);
+
+  if (buffer.length > policy.maxBytes) {
+    return errorBody('FILE_TOO_LARGE', { maxBytes: policy.maxBytes }, { name, size: buffer.length, contentType });
+  }
+  if (!policy.allowedTypes.includes(contentType)) {
+    return errorBody('FILE_TYPE_NOT_ALLOWED', { contentType }, { name, size: buffer.length, contentType });
+  }
+
+  return { file: { name, buffer, size: buffer.length, contentType } };
+}
+
+async function uploadToTicket(ticketId, file) {
+  // Le formulaire est un flux : on le reconstruit à chaque tentative (refresh token / rate limit),
+  // avec la même boundary pour que l'en-tête Content-Type reste valide.
+  const boundary = new FormData().getBoundary();
+  const buildForm = () => {
+    const form = new FormData();
+    form.setBoundary(boundary);
+    form.append('file', file.buffer, { filename: file.name, contentType: file.contentType });
+    return form;
+  };
+
+  const result = await deskRequest(`/tickets/${encodeURIComponent(ticketId)}/attachments`, {
+    method: 'POST',
+    headers: buildForm().getHeaders(),
+    body: buildForm,
+    context: `upload ${file.name}`
+  });
+
+  if (!result.ok) {
+    throw deskError(result, `upload ${file.name}`);
+  }
+  return result.data;
+}
+
+module.exports = {
+  UPLOAD_POLICY,
+  listAttachments,
+  normalizeAttachment,
+  prepareUpload,
+  uploadToTicket
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { headerOf } = require('./http');
+const { lastEventTime } = require('./deskEvents');
+const { currentProfile } = require('./profiles');
+
+// Durée de vie par type d'endpoint ; les layouts ne changent quasiment jamais
+const CACHE_TTLS = {
+  tickets: 30 * 1000,
+  ticketDetails: 60 * 1000,
+  ticketHistory: 60 * 1000,
+  layoutFields: 24 * 60 * 60 * 1000,
+  ticketMetadata: 60 * 60 * 1000,
+  // Relit chaque ticket résolu : recalculé au plus toutes les 10 min, les notes du portail
+  // sont reportées sur la valeur en cache (updateCached)
+  satisfactionSummary: 10 * 60 * 1000
+};
+// Durée pendant laquelle le navigateur peut réutiliser la réponse sans revalider
+const BROWSER_MAX_AGE = {
+  layoutFields: 60 * 60,
+  ticketMetadata: 15 * 60,
+  satisfactionSummary: 5 * 60
+};
+const MAX_ENTRIES = 500;
+
+// Cache mémoire de l'instance (réutilisée entre invocations tant qu'elle reste chaude)
+const entries = new Map();
+
+// Les mêmes identifiants de ticket peuvent exister dans deux organisations Zoho
+function cacheKey(name, parts) {
+  return `${name}:${currentProfile().id}:${JSON.stringify(parts)}`;
+}
+
+function etagOf(body) {
+  return `W/"${crypto.createHash('sha1').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+// If-None-Match prime sur If-Modified-Since (RFC 9110)
+function isNotModified(event, entry) {
+  const ifNoneMatch = headerOf(event, 'if-none-match');
+  if (ifNoneMatch) {
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(entry.etag));
+  }
+  const ifModifiedSince = Date.parse(headerOf(event, 'if-modified-since'));
+  return Number.isFinite(ifModifiedSince) && Math.floor(entry.storedAt / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Une entrée est périmée à expiration du TTL, ou si deskWebhook a reçu depuis un évènement
+ * sur le ticket (ou sur n'importe quel ticket pour une liste).
+ */
+async function isFresh(entry, now) {
+  if (now >= entry.expiresAt) return false;
+  const changedAt = entry.watchEvents ? await lastEventTime(entry.ticketId) : 0;
+  return changedAt < entry.storedAt;
+}
+
+function remember(key, entry) {
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Sert une réponse JSON depuis le cache (ou `load()` en cas d'absence) avec ETag et
+ * Last-Modified ; renvoie 304 sans corps si le client a déjà cette version.
+ * options : name (clé de CACHE_TTLS), key (parties de la clé, utilisateur compris
+ * pour les données cloisonnées), ticketId (invalidation ciblée), watchEvents, headers.
+ */
+async function cachedResponse(event, options, load) {
+  const { name, key = [], ticketId = null, watchEvents = true, headers = {} } = options;
+  const fullKey = cacheKey(name, key);
+  const now = Date.now();
+
+  let entry = entries.get(fullKey);
+  const hit = Boolean(entry && await isFresh(entry, now));
+  if (!hit) {
+    const body = JSON.stringify(await load());
+    entry = {
+      name,
+      ticketId: ticketId ? String(ticketId) : null,
+      watchEvents,
+      body,
+      etag: etagOf(body),
+      storedAt: now,
+      expiresAt: now + (CACHE_TTLS[name] || 0)
+    };
+    remember(fullKey, entry);
+  }
+
+  const maxAge = BROWSER_MAX_AGE[name] || 0;
+  const cacheHeaders = {
+    ...headers,
+    ETag: entry.etag,
+    'Last-Modified': new Date(entry.storedAt).toUTCString(),
+    'Cache-Control': maxAge ? `private, max-age=${maxAge}` : 'private, no-cache',
+    'X-Cache': hit ? 'HIT' : 'MISS'
+  };
+
+  if (isNotModified(event, entry)) {
+    return { statusCode: 304, body: '', headers: cacheHeaders };
+  }
+  return {
+    statusCode: 200,
+    body: entry.body,
+    headers: { 'Content-Type': 'application/json', ...cacheHeaders }
+  };
+}
+
+/**
+ * Applique `update` à une réponse encore valide sans appeler Zoho ; renvoie la nouvelle
+ * valeur, ou null si rien n'est en cache (le prochain GET la recalculera).
+ */
+async function updateCached(name, key, update) {
+  const fullKey = cacheKey(name, key);
+  const entry = entries.get(fullKey);
+  const now = Date.now();
+  if (!entry || !await isFresh(entry, now)) return null;
+  const value = update(JSON.parse(entry.body));
+  const body = JSON.stringify(value);
+  remember(fullKey, { ...entry, body, etag: etagOf(body), storedAt: now });
+  return value;
+}
+
+// Après une écriture depuis le portail : le ticket et les listes doivent être relus
+function invalidateTicket(ticketId) {
+  for (const [key, entry] of entries) {
+    if (entry.name === 'tickets' || (ticketId && entry.ticketId === String(ticketId))) {
+      entries.delete(key);
+    }
+  }
+}
+
+function clearCache() {
+  entries.clear();
+}
+
+module.exports = {
+  CACHE_TTLS,
+  cachedResponse,
+  updateCached,
+  invalidateTicket,
+  clearCache
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { getSecret, timingSafeEqual, parseCookies, TOKEN_TTL_MS } = require('./session');
+const { jsonResponse, headerOf, allowedOrigin } = require('./http');
+const { errorBody } = require('./i18n');
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * Jeton anti-CSRF de la session : dérivé de son identifiant, il ne peut pas être fabriqué
+ * (ni imposé par un cookie injecté depuis un sous-domaine) sans AUTH_SECRET.
+ */
+function csrfToken(session) {
+  return crypto.createHmac('sha256', getSecret())
+    .update(`csrf\n${session.sessionId}`)
+    .digest('base64url');
+}
+
+// Lisible par le script de la page (pas HttpOnly) : c'est lui qui le recopie dans l'en-tête
+function csrfCookie(token) {
+  return `${CSRF_COOKIE}=${token}; Path=/; Secure; SameSite=Strict; Max-Age=${Math.floor(TOKEN_TTL_MS / 1000)}`;
+}
+
+function clearedCsrfCookie() {
+  return `${CSRF_COOKIE}=; Path=/; Secure; SameSite=Strict; Max-Age=0`;
+}
+
+function originOf(value) {
+  try {
+    return new URL(value).origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Origine de la requête (Origin, sinon Referer) : le site qui a servi la fonction ou
+ * l'une des ALLOWED_ORIGINS. Sans aucun des deux (client hors navigateur), seul le jeton compte.
+ */
+function isAllowedOrigin(event) {
+  const origin = headerOf(event, 'Origin');
+  const referer = headerOf(event, 'Referer');
+  if (!origin && !referer) return true;
+
+  const source = origin ? originOf(origin) : originOf(referer);
+  if (!source) return false;
+  const host = headerOf(event, 'X-Forwarded-Host') || headerOf(event, 'Host');
+  return Boolean(allowedOrigin(source)) || Boolean(host && new URL(source).host === host);
+}
+
+// Double soumission : l'en-tête doit reprendre le cookie, et le cookie correspondre à la session
+function hasValidToken(event, session) {
+  const sent = headerOf(event, CSRF_HEADER);
+  const cookie = parseCookies(headerOf(event, 'Cookie') || '')[CSRF_COOKIE];
+  if (!sent || !cookie || !timingSafeEqual(sent, cookie)) return false;
+  return timingSafeEqual(sent, csrfToken(session));
+}
+
+function forbidden(code) {
+  return jsonResponse(403, errorBody(code));
+}
+
+/**
+ * Contrôle CSRF des requêtes d'écriture authentifiées par cookie.
+ * Renvoie la réponse 403 à retourner, ou null si la requête est acceptée.
+ */
+function checkCsrf(event, session) {
+  if (!isAllowedOrigin(event)) {
+    console.warn(`Requête refusée : origine non autorisée (${headerOf(event, 'Origin') || headerOf(event, 'Referer')})`);
+    return forbidden('ORIGIN_NOT_ALLOWED');
+  }
+  if (!hasValidToken(event, session)) {
+    return forbidden('CSRF_INVALID');
+  }
+  return null;
+}
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  csrfToken,
+  csrfCookie,
+  clearedCsrfCookie,
+  isAllowedOrigin,
+  checkCsrf
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { readJson, updateJson } = require('./store');
+const { deskRequest } = require('./zohoDesk');
+const { timingSafeEqual } = require('./session');
+const { canAccessTicket } = require('./users');
+const { subjectTag } = require('./ticketQuery');
+const { currentProfile, profileStoreName } = require('./profiles');
+
+const STORE_NAME = 'desk-events';
+const MAX_EVENTS = 500; // évènements conservés (les plus anciens sont oubliés)
+
+// Évènements abonnés côté Zoho Desk ; les autres sont acquittés mais ignorés
+const EVENT_TYPES = {
+  Ticket_Add: 'ticket_added',
+  Ticket_Update: 'ticket_updated',
+  Ticket_Thread_Add: 'thread_added',
+  Ticket_Comment_Add: 'comment_added',
+  Ticket_Comment_Update: 'comment_updated'
+};
+
+/**
+ * Zoho Desk signe le corps brut : en-tête X-ZDesk-Signature = HMAC-SHA256(secret), en base64.
+ * L'encodage hexadécimal est aussi accepté (proxys / outils de test).
+ */
+function verifySignature(rawBody, signature, secret = currentProfile().webhookSecret) {
+  if (!secret || !signature) return false;
+  const hmac = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const given = String(signature).trim();
+  return timingSafeEqual(hmac.toString('base64'), given) || timingSafeEqual(hmac.toString('hex'), given.toLowerCase());
+}
+
+function ticketIdOf(type, payload) {
+  if (type === 'Ticket_Add' || type === 'Ticket_Update') return payload.id;
+  return payload.ticketId || (payload.ticket && payload.ticket.id);
+}
+
+// Champs modifiés : Ticket_Update fournit l'état précédent (prevState)
+function changedFields(payload, prevState) {
+  if (!prevState || typeof prevState !== 'object') return [];
+  return Object.keys(prevState)
+    .filter(key => key !== 'modifiedTime' && JSON.stringify(prevState[key]) !== JSON.stringify(payload[key]))
+    .map(key => ({ field: key, from: prevState[key], to: payload[key] === undefined ? null : payload[key] }));
+}
+
+/**
+ * Normalise une notification Zoho Desk ({ eventType, payload, prevState, eventTime }).
+ * Renvoie null pour un type non suivi ou sans ticket identifiable.
+ */
+function normalizeDeskEvent(raw) {
+  if (!raw || !EVENT_TYPES[raw.eventType] || !raw.payload) return null;
+  const payload = raw.payload;
+  const ticketId = ticketIdOf(raw.eventType, payload);
+  if (!ticketId) return null;
+
+  const isTicket = raw.eventType === 'Ticket_Add' || raw.eventType === 'Ticket_Update';
+  const eventTime = raw.eventTime
+    ? new Date(Number(raw.eventTime) || raw.eventTime).toISOString()
+    : (payload.modifiedTime || payload.createdTime || payload.commentedTime || null);
+  const fingerprint = [raw.eventType, ticketId, payload.id, eventTime, payload.modifiedTime].join('|');
+
+  return {
+    id: crypto.createHash('sha1').update(fingerprint).digest('hex').slice(0, 16),
+    type: EVENT_TYPES[raw.eventType],
+    ticketId: String(ticketId),
+    eventTime,
+    ticket: isTicket
+      ? {
+        subject: payload.subject || null,
+        status: payload.status || null,
+        priority: payload.priority || null,
+        modifiedTime: payload.modifiedTime || null,
+        contactId: payload.contactId || (payload.contact && payload.contact.id) || null,
+        accountId: payload.accountId || (payload.contact && payload.contact.accountId) || null
+      }
+      : null,
+    changes: raw.eventType === 'Ticket_Update' ? changedFields(payload, raw.prevState) : [],
+    // Les commentaires privés des agents ne sont jamais exposés au portail
+    isPublic: payload.isPublic !== false && String(payload.visibility || '').toLowerCase() !== 'private'
+  };
+}
+
+function emptyStore() {
+  return { lastSeq: 0, events: [], tickets: {} };
+}
+
+function readStore() {
+  return readJson(profileStoreName(STORE_NAME), emptyStore());
+}
+
+/**
+ * Les évènements thread/commentaire ne portent pas le client du ticket : pour un ticket
+ * encore inconnu, on le lit une fois dans Zoho (sinon il resterait invisible aux clients).
+ */
+async function withTicketInfo(events) {
+  const known = (await readStore()).tickets;
+  const missing = Array.from(new Set(events.filter(e => !e.ticket && !known[e.ticketId]).map(e => e.ticketId)));
+
+  const fetched = {};
+  await Promise.all(missing.map(async ticketId => {
+    try {
+      const result = await deskRequest(`/tickets/${encodeURIComponent(ticketId)}`, { context: 'webhook ticket' });
+      if (result.ok && result.data) {
+        const t = result.data;
+        fetched[ticketId] = {
+          subject: t.subject || null,
+          status: t.status || null,
+          priority: t.priority || null,
+          modifiedTime: t.modifiedTime || null,
+          contactId: t.contactId || null,
+          accountId: t.accountId || null
+        };
+      }
+    } catch (err) {
+      console.warn(`Ticket ${ticketId} illisible pour l'évènement webhook:`, err.message);
+    }
+  }));
+
+  return events.map(e => (!e.ticket && fetched[e.ticketId] ? { ...e, ticket: fetched[e.ticketId] } : e));
+}
+
+/**
+ * Enregistre les évènements (dédoublonnés : Zoho rejoue les livraisons en échec).
+ * Chaque évènement reçoit un numéro de séquence croissant pour les lectures incrémentales.
+ */
+async function recordEvents(events, receivedAt = new Date().toISOString()) {
+  let recorded = [];
+  await updateJson(profileStoreName(STORE_NAME), emptyStore(), doc => {
+    const known = new Set(doc.events.map(e => e.id));
+    recorded = [];
+    events.forEach(event => {
+      if (known.has(event.id)) return;
+      known.add(event.id);
+      doc.lastSeq += 1;
+      // Dernier état connu du ticket, pour filtrer les évènements threads/commentaires par client
+      if (event.ticket) {
+        doc.tickets[event.ticketId] = { ...doc.tickets[event.ticketId], ...event.ticket };
+      }
+      recorded.push({ ...event, seq: doc.lastSeq, receivedAt });
+    });
+    doc.events = [...doc.events, ...recorded].slice(-MAX_EVENTS);
+    // Seuls les tickets encore cités par un évènement conservé restent utiles au filtrage
+    const retained = new Set(doc.events.map(e => String(e.ticketId)));
+    doc.tickets = Object.fromEntries(Object.entries(doc.tickets).filter(([id]) => retained.has(id)));
+    return doc;
+  });
+  return recorded;
+}
+
+function isVisible(user, event, ticket) {
+  if (!event.isPublic || !ticket) return false;
+  if (ticket.subject && !ticket.subject.toLowerCase().includes(subjectTag().toLowerCase())) return false;
+  return canAccessTicket(user, { id: event.ticketId, ...ticket });
+}
+
+/**
+ * Évènements postérieurs à `since` (numéro de séquence) visibles par l'utilisateur.
+ * Un ticket dont on ne connaît ni le client ni le sujet n'est montré qu'aux accès non restreints.
+ */
+async function listEvents(user, { since = 0, limit = 100 } = {}) {
+  const doc = await readStore();
+  const visible = doc.events
+    .filter(e => e.seq > since)
+    .filter(e => isVisible(user, e, doc.tickets[e.ticketId] || (user.unrestricted ? {} : null)));
+  const page = visible.slice(0, limit);
+
+  return {
+    // État le plus récent du ticket (statut, priorité) : le portail le met à jour sans recharger
+    events: page.map(({ ticket, isPublic, ...e }) => {
+      const latest = doc.tickets[e.ticketId] || {};
+      return { ...e, subject: latest.subject || null, status: latest.status || null, priority: latest.priority || null };
+    }),
+    // Page tronquée : on reprendra après le dernier évènement renvoyé
+    lastSeq: visible.length > limit ? page[page.length - 1].seq : doc.lastSeq
+  };
+}
+
+// Réception du dernier évènement (ms) pour un ticket, ou pour tous si ticketId est null
+async function lastEventTime(ticketId = null) {
+  const { events } = await readStore();
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (!ticketId || events[i].ticketId === String(ticketId)) {
+      return Date.parse(events[i].receivedAt) || 0;
+    }
+  }
+  return 0;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Long polling : attend au plus `waitMs` qu'un évènement visible arrive après `since`.
+ * Le store est relu toutes les `intervalMs` (écrit par deskWebhook dans une autre invocation).
+ */
+async function waitForEvents(user, { since = 0, limit = 100, waitMs = 0, intervalMs = 1000 } = {}) {
+  const deadline = Date.now() + waitMs;
+  let result = await listEvents(user, { since, limit });
+  while (result.events.length === 0 && Date.now() < deadline) {
+    await sleep(Math.min(intervalMs, Math.max(deadline - Date.now(), 0)));
+    result = await listEvents(user, { since, limit });
+  }
+  return result;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  verifySignature,
+  normalizeDeskEvent,
+  withTicketInfo,
+  recordEvents,
+  listEvents,
+  waitForEvents,
+  lastEventTime
+};
@@ -0,0 +1,88 @@
+const { deskRequest, deskError, deskList } = require('./zohoDesk');
+const { currentProfile } = require('./profiles');
+const { canFilterByAssignee } = require('./users');
+
+// Équipes, produits et agents dépendent de l'édition Desk et des scopes OAuth accordés
+const OPTIONAL_STATUSES = [403, 404, 422];
+
+function isOptionalFailure(e) {
+  return OPTIONAL_STATUSES.includes(e && e.statusCode);
+}
+
+function personName(p) {
+  return p.name || [p.firstName, p.lastName].filter(Boolean).join(' ') || p.emailId || String(p.id);
+}
+
+// Liste facultative : module absent ou non autorisé = liste vide, le reste du portail fonctionne
+async function optionalList(load, context) {
+  try {
+    return await load();
+  } catch (e) {
+    if (!isOptionalFailure(e)) throw e;
+    console.warn(`Métadonnées Zoho Desk indisponibles (${context}) : ${e.statusCode}`);
+    return [];
+  }
+}
+
+// Départements du profil : departmentIds (fichier de profils) ou departmentId
+function profileDepartmentIds(profile) {
+  const ids = Array.isArray(profile.departmentIds) ? profile.departmentIds : [profile.departmentId];
+  return ids.filter(Boolean).map(String);
+}
+
+// Les autres départements de l'organisation (autres clients, services internes) restent invisibles
+async function fetchDepartments() {
+  const allowed = profileDepartmentIds(currentProfile());
+  if (allowed.length === 0) return [];
+  const departments = await deskList('/departments?isEnabled=true', { context: 'departments' });
+  return departments
+    .filter(d => allowed.includes(String(d.id)))
+    .map(d => ({ id: String(d.id), name: d.name || String(d.id) }));
+}
+
+// GET /departments/{id}/teams répond { teams: [...] } sans pagination
+async function fetchTeams(departmentId) {
+  return optionalList(async () => {
+    const result = await deskRequest(`/departments/${encodeURIComponent(departmentId)}/teams`, { context: 'teams' });
+    if (!result.ok) throw deskError(result, 'teams');
+    const teams = (result.data && result.data.teams) || [];
+    return teams.map(t => ({ id: String(t.id), name: t.name || String(t.id), departmentId }));
+  }, 'teams');
+}
+
+async function fetchProducts(departmentId) {
+  return optionalList(async () => {
+    const products = await deskList(`/products?departmentId=${encodeURIComponent(departmentId)}`, { context: 'products' });
+    return products.map(p => ({ id: String(p.id), name: p.productName || p.name || String(p.id), departmentId }));
+  }, 'products');
+}
+
+// Seuls l'identifiant et le nom sont exposés (jamais l'email ni le rôle de l'agent)
+async function fetchAgents() {
+  return optionalList(async () => {
+    const agents = await deskList('/agents?status=ACTIVE', { context: 'agents' });
+    return agents.map(a => ({ id: String(a.id), name: personName(a) }));
+  }, 'agents');
+}
+
+/**
+ * Départements actifs du profil, avec leurs équipes et produits, et agents actifs si
+ * l'utilisateur peut filtrer par agent : de quoi alimenter les filtres departmentId,
+ * teamId, productId et assigneeId de la liste.
+ * Les appels sont séquentiels pour ménager la limite de requêtes Zoho.
+ */
+async function fetchTicketMetadata(user) {
+  const departments = await fetchDepartments();
+  const teams = [];
+  const products = [];
+  for (const department of departments) {
+    teams.push(...await fetchTeams(department.id));
+    products.push(...await fetchProducts(department.id));
+  }
+  const agents = canFilterByAssignee(user) ? await fetchAgents() : [];
+  return { departments, teams, products, agents };
+}
+
+module.exports = {
+  fetchTicketMetadata
+};
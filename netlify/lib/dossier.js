@@ -0,0 +1,228 @@
+const { deskGetWithFallback, deskList, deskError } = require('./zohoDesk');
+const { assertCanAccess } = require('./ticketAccess');
+const { fetchTimeline, normalizeEvent } = require('./timeline');
+const { listAttachments } = require('./attachments');
+const { escapeHtml, htmlToText } = require('./html');
+const { formatSize } = require('./files');
+const { formatDate } = require('./spreadsheet');
+const { renderPdf } = require('./pdf');
+const { message, currentLanguage } = require('./i18n');
+
+const DIRECTION_LABELS = { in: 'DIRECTION_IN', out: 'DIRECTION_OUT' };
+
+// La résolution Zoho est une chaîne ou un objet { content }
+function resolutionOf(ticket) {
+  if (typeof ticket.resolution === 'string') return ticket.resolution;
+  return (ticket.resolution && ticket.resolution.content) || '';
+}
+
+function plainText(value) {
+  const text = String(value || '');
+  return /<[a-z][\s\S]*>/i.test(text) ? htmlToText(text) : text.trim();
+}
+
+function byTime(a, b) {
+  return (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0);
+}
+
+/**
+ * Rassemble tout ce que le portail affiche d'un ticket : détail, historique complet,
+ * corps de la conversation (timeline) et pièces jointes publiques.
+ */
+async function loadDossier(ticketId, user) {
+  const id = encodeURIComponent(ticketId);
+  const details = await deskGetWithFallback(`/tickets/${id}?include=contacts`, `/tickets/${id}`, 'dossier');
+  if (!details.ok || !details.data) {
+    throw deskError(details, 'dossier');
+  }
+  assertCanAccess(user, details.data);
+
+  const historyRequest = deskList(`/tickets/${id}/History`, { maxPages: 15, context: 'history' });
+  const [history, timeline, attachments] = await Promise.all([
+    historyRequest,
+    fetchTimeline(ticketId, { history: historyRequest }),
+    listAttachments(ticketId)
+  ]);
+
+  return {
+    ticket: details.data,
+    history: history.map(normalizeEvent).sort(byTime),
+    conversation: timeline.entries.filter(e => e.type !== 'event'),
+    attachments,
+    generatedAt: new Date().toISOString(),
+    generatedBy: user.name || user.email || user.id
+  };
+}
+
+function contactOf(ticket) {
+  const contact = ticket.contact || {};
+  const name = [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+  return name || null;
+}
+
+/**
+ * Contenu du dossier, commun aux rendus HTML et PDF : métadonnées (comme le détail
+ * du portail) puis sections d'entrées { label, meta, text }, libellées dans la langue
+ * de la requête.
+ */
+function dossierContent(dossier) {
+  const t = dossier.ticket;
+  const title = `Ticket #${t.ticketNumber || t.id}${t.subject ? ` - ${t.subject}` : ''}`;
+
+  const meta = [
+    ['LABEL_TICKET', `#${t.ticketNumber || t.id}`],
+    ['LABEL_SUBJECT', t.subject],
+    ['LABEL_STATUS', t.status],
+    ['LABEL_PRIORITY', t.priority],
+    ['LABEL_CREATED', t.createdTime && formatDate(t.createdTime)],
+    ['LABEL_CLOSED', t.closedTime && formatDate(t.closedTime)],
+    ['LABEL_CONTACT', contactOf(t)],
+    ['LABEL_EMAIL', t.email],
+    ['LABEL_TIME_ENTRIES', t.timeEntryCount || '0'],
+    ['LABEL_ATTACHMENTS', String(dossier.attachments.length)],
+    ['LABEL_ACTIVITIES', t.taskCount || '0']
+  ].filter(([, value]) => value).map(([code, value]) => [message(code), value]);
+
+  const sections = [
+    {
+      title: message('LABEL_DESCRIPTION'),
+      items: [{ text: plainText(t.description) || message('DOSSIER_NO_DESCRIPTION') }]
+    },
+    {
+      title: message('LABEL_RESOLUTION'),
+      items: [{ text: plainText(resolutionOf(t)) || message('DOSSIER_NO_RESOLUTION') }]
+    },
+    {
+      title: message('LABEL_HISTORY'),
+      empty: message('DOSSIER_NO_HISTORY'),
+      items: dossier.history.map(ev => {
+        const [name, ...changes] = ev.text.split('\n');
+        return {
+          label: ev.author.name ? message('DOSSIER_EVENT_BY', { event: name, author: ev.author.name }) : name,
+          meta: ev.timestamp ? formatDate(ev.timestamp) : null,
+          text: changes.join('\n')
+        };
+      })
+    },
+    {
+      title: message('LABEL_CONVERSATION'),
+      empty: message('DOSSIER_NO_MESSAGES'),
+      items: dossier.conversation.map(entry => ({
+        label: [
+          entry.author.name || message('UNKNOWN_AUTHOR'),
+          DIRECTION_LABELS[entry.direction] && message(DIRECTION_LABELS[entry.direction])
+        ].filter(Boolean).join(' - '),
+        meta: [
+          entry.timestamp ? formatDate(entry.timestamp) : null,
+          entry.attachments.length
+            ? message('DOSSIER_ENTRY_ATTACHMENTS', { names: entry.attachments.map(a => a.name).filter(Boolean).join(', ') })
+            : null
+        ].filter(Boolean).join(' - '),
+        text: entry.text
+      }))
+    },
+    {
+      title: message('LABEL_ATTACHMENTS'),
+      empty: message('DOSSIER_NO_ATTACHMENTS'),
+      items: dossier.attachments.map(a => ({
+        label: a.name,
+        meta: [
+          formatSize(a.size),
+          a.createdTime ? message('DOSSIER_ATTACHMENT_ADDED', { date: formatDate(a.createdTime) }) : null,
+          a.creator ? message('DOSSIER_ATTACHMENT_BY', { name: a.creator }) : null
+        ].filter(Boolean).join(' - ')
+      }))
+    }
+  ];
+
+  return {
+    title,
+    generated: message('DOSSIER_GENERATED', { date: formatDate(dossier.generatedAt), name: dossier.generatedBy }),
+    meta,
+    sections
+  };
+}
+
+const DOSSIER_CSS = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 13px; color: #111827; max-width: 820px; margin: 24px auto; padding: 0 16px; line-height: 1.45; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; padding-bottom: 4px; border-bottom: 1px solid #d1d5db; }
+  .muted { color: #6b7280; font-size: 12px; }
+  table.meta { border-collapse: collapse; margin-top: 16px; }
+  table.meta th { text-align: left; font-weight: 600; padding: 3px 16px 3px 0; color: #374151; white-space: nowrap; vertical-align: top; }
+  table.meta td { padding: 3px 0; }
+  .entry { margin: 0 0 12px; }
+  .entry-label { font-weight: 600; }
+  .entry-text { white-space: pre-wrap; word-break: break-word; margin-top: 2px; }
+  @page { size: A4; margin: 18mm; }
+  @media print {
+    body { margin: 0; max-width: none; padding: 0; font-size: 11px; }
+    h2 { break-after: avoid; page-break-after: avoid; }
+    .entry { break-inside: avoid; page-break-inside: avoid; }
+  }
+`;
+
+// Document autonome (aucune ressource externe), imprimable tel quel
+function renderDossierHtml(dossier) {
+  const content = dossierContent(dossier);
+  const metaRows = content.meta
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  const sections = content.sections.map(section => {
+    const items = section.items.length
+      ? section.items.map(item => `<div class="entry">
+${item.label ? `<div class="entry-label">${escapeHtml(item.label)}</div>` : ''}
+${item.meta ? `<div class="muted">${escapeHtml(item.meta)}</div>` : ''}
+${item.text ? `<div class="entry-text">${escapeHtml(item.text)}</div>` : ''}
+</div>`).join('\n')
+      : `<p class="muted">${escapeHtml(section.empty)}</p>`;
+    return `<section>\n<h2>${escapeHtml(section.title)}</h2>\n${items}\n</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${currentLanguage()}">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(content.title)}</title>
+<style>${DOSSIER_CSS}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(content.title)}</h1>
+<div class="muted">${escapeHtml(content.generated)}</div>
+</header>
+<table class="meta">${metaRows}</table>
+${sections}
+</body>
+</html>
+`;
+}
+
+function renderDossierPdf(dossier) {
+  const content = dossierContent(dossier);
+  const blocks = [
+    { style: 'title', text: content.title },
+    { style: 'muted', text: content.generated },
+    ...content.meta.map(([label, value]) => ({ style: 'text', text: `${label} : ${value}` }))
+  ];
+  content.sections.forEach(section => {
+    blocks.push({ style: 'heading', text: section.title });
+    if (section.items.length === 0) {
+      blocks.push({ style: 'muted', text: section.empty });
+    }
+    section.items.forEach(item => {
+      if (item.label) blocks.push({ style: 'label', text: item.label });
+      if (item.meta) blocks.push({ style: 'muted', text: item.meta });
+      if (item.text) blocks.push({ style: 'text', text: item.text });
+    });
+  });
+
+  return renderPdf(blocks, { title: content.title, footer: content.title, date: new Date(dossier.generatedAt) });
+}
+
+module.exports = {
+  resolutionOf,
+  loadDossier,
+  renderDossierHtml,
+  renderDossierPdf
+};
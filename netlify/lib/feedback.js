@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./store');
+const { deskRequest, deskJson, deskError } = require('./zohoDesk');
+const { resolutionOf } = require('./dossier');
+const { profileStoreName } = require('./profiles');
+const { codedError } = require('./i18n');
+
+const STORE_NAME = 'feedback';
+const MAX_BODY_LENGTH = 5000;
+const MAX_REVISIONS = 20;
+
+// Bloc ajouté à la résolution pour chaque feedback : "[Feedback client - 12/03/2024 14:05:09] texte"
+const BLOCK_PATTERN = /\[Feedback client - ([^\]]+)\] ?/g;
+// Horodatage que l'ancien portail ajoutait en plus côté navigateur
+const CLIENT_PREFIX_PATTERN = /^\[\d{2}\/\d{2}\/\d{4}[^\]]*\]\s*/;
+
+function formatTimestamp(date) {
+  return date.toLocaleString('fr-FR', {
+    timeZone: 'Europe/Brussels',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+}
+
+function validateBody(value) {
+  const body = typeof value === 'string' ? value.trim() : '';
+  if (!body) {
+    throw codedError('FEEDBACK_EMPTY', { statusCode: 400 });
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    throw codedError('FEEDBACK_TOO_LONG', { statusCode: 400 }, { max: MAX_BODY_LENGTH });
+  }
+  return body;
+}
+
+/**
+ * Sépare la résolution en texte des agents (avant le premier bloc) et blocs de feedback.
+ */
+function splitResolution(resolution) {
+  const text = String(resolution || '');
+  const matches = [...text.matchAll(BLOCK_PATTERN)];
+  if (matches.length === 0) {
+    return { base: text.trim(), blocks: [] };
+  }
+  return {
+    base: text.slice(0, matches[0].index).trim(),
+    blocks: matches.map((match, i) => {
+      const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+      return {
+        timestamp: match[1].trim(),
+        body: text.slice(match.index + match[0].length, end).trim().replace(CLIENT_PREFIX_PATTERN, '')
+      };
+    })
+  };
+}
+
+// Identifiant stable d'un bloc écrit avant le stockage structuré : même résolution, mêmes ids
+function legacyId(ticketId, block, index) {
+  return 'legacy-' + crypto.createHash('sha1')
+    .update(`${ticketId}\n${index}\n${block.timestamp}\n${block.body}`)
+    .digest('hex')
+    .slice(0, 12);
+}
+
+function displayTime(entry) {
+  return entry.createdAt ? formatTimestamp(new Date(entry.createdAt)) : entry.legacyTimestamp;
+}
+
+// La résolution Zoho reste lisible des agents : texte d'origine puis un bloc par feedback
+function renderResolution(base, entries) {
+  return [base, ...entries.map(entry => `[Feedback client - ${displayTime(entry)}] ${entry.body}`)]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Une clé par ticket : une écriture ne touche que le feedback de son ticket
+function ticketStoreName(ticketId) {
+  return `${profileStoreName(STORE_NAME)}/${encodeURIComponent(String(ticketId))}`;
+}
+
+async function storedEntries(ticketId) {
+  const stored = await readJson(ticketStoreName(ticketId), null);
+  if (stored) return stored.entries;
+  // Document unique des versions précédentes, lu tant que le ticket n'a pas été réécrit
+  const legacy = await readJson(profileStoreName(STORE_NAME), { tickets: {} });
+  const entry = legacy.tickets[String(ticketId)];
+  return entry ? entry.entries : null;
+}
+
+async function saveEntries(ticketId, entries) {
+  await writeJson(ticketStoreName(ticketId), { entries });
+}
+
+/**
+ * Entrées de feedback d'un ticket. Tant qu'aucune n'a été enregistrée par le portail,
+ * elles sont reconstituées à partir des blocs déjà présents dans la résolution.
+ */
+async function feedbackEntries(ticket) {
+  const stored = await storedEntries(ticket.id);
+  if (stored) return stored;
+
+  return splitResolution(resolutionOf(ticket)).blocks.map((block, index) => ({
+    id: legacyId(ticket.id, block, index),
+    author: null,
+    createdAt: null,
+    updatedAt: null,
+    legacyTimestamp: block.timestamp,
+    body: block.body,
+    revisions: [],
+    legacy: true
+  }));
+}
+
+// Seul l'auteur modifie son feedback ; ceux d'avant le portail, sans auteur connu,
+// restent en lecture seule (les agents peuvent toujours les corriger dans Zoho)
+function canEdit(user, entry) {
+  return Boolean(entry.author) && entry.author.id === user.id;
+}
+
+function toView(entry, user) {
+  return {
+    id: entry.id,
+    author: entry.author,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    displayTime: displayTime(entry),
+    body: entry.body,
+    revisions: entry.revisions,
+    legacy: Boolean(entry.legacy),
+    canEdit: canEdit(user, entry)
+  };
+}
+
+function authorOf(user) {
+  return { id: user.id, name: user.name || user.email || user.id };
+}
+
+function updateError(result) {
+  const data = result.data;
+  const errorMessage = (data && (data.message || data.error)) ||
+    result.raw ||
+    "Erreur inconnue de l'API Zoho Desk";
+  return codedError('RESOLUTION_UPDATE_FAILED', {
+    status: result.status,
+    rateLimited: result.status === 429
+  }, { message: errorMessage, status: result.status });
+}
+
+// Partie de la résolution occupée par les feedbacks (à partir du premier bloc)
+function feedbackPart(resolution) {
+  const text = String(resolution || '');
+  const start = text.search(/\[Feedback client - /);
+  return start < 0 ? '' : text.slice(start).trim();
+}
+
+async function readTicket(ticketId) {
+  const result = await deskRequest(`/tickets/${encodeURIComponent(ticketId)}`, { context: 'relecture du ticket' });
+  if (result.status === 404) {
+    throw codedError('TICKET_NOT_FOUND', { statusCode: 404 });
+  }
+  if (!result.ok || !result.data) {
+    throw deskError(result, 'relecture du ticket');
+  }
+  return result.data;
+}
+
+/**
+ * Concurrence optimiste : Zoho n'offre pas d'écriture conditionnelle, on relit donc le ticket
+ * juste avant d'écrire. S'il a changé depuis la lecture (modifiedTime), le texte des agents
+ * est repris de la version relue ; si ce sont les blocs de feedback eux-mêmes qui ont changé,
+ * la fusion est impossible et on renvoie 409 avec les deux versions.
+ */
+async function resolutionToWrite(ticket, entries) {
+  const read = resolutionOf(ticket);
+  const latest = await readTicket(ticket.id);
+  const current = resolutionOf(latest);
+  // Ticket inchangé, ou modifié sans toucher à la résolution (statut, assignation...)
+  if (latest.modifiedTime === ticket.modifiedTime || current === read) {
+    return { resolution: renderResolution(splitResolution(read).base, entries), merged: false };
+  }
+  if (feedbackPart(current) !== feedbackPart(read)) {
+    console.warn(`Résolution du ticket ${ticket.id} modifiée pendant la mise à jour, fusion impossible`);
+    throw codedError('RESOLUTION_CONFLICT', {
+      statusCode: 409,
+      details: {
+        current,
+        proposed: renderResolution(splitResolution(read).base, entries),
+        modifiedTime: latest.modifiedTime || null
+      }
+    });
+  }
+  console.log(`Résolution du ticket ${ticket.id} modifiée par un agent pendant la mise à jour : modification conservée`);
+  return { resolution: renderResolution(splitResolution(current).base, entries), merged: true };
+}
+
+/**
+ * Réécrit la résolution du ticket. On tente plusieurs formes de payload pour s'adapter
+ * aux variations de l'API Desk ; renvoie la dernière réponse et la forme utilisée.
+ */
+async function writeResolution(ticketId, content) {
+  const id = encodeURIComponent(ticketId);
+  const attempts = [
+    { source: 'resolution-endpoint', path: `/tickets/${id}/resolution`, body: { content } },
+    { source: 'ticket-fallback-object', path: `/tickets/${id}`, body: { resolution: { content } } },
+    { source: 'ticket-fallback-string', path: `/tickets/${id}`, body: { resolution: content } }
+  ];
+
+  let result = null;
+  let source = null;
+  for (const attempt of attempts) {
+    source = attempt.source;
+    result = await deskJson(attempt.path, attempt.body, {
+      method: 'PUT',
+      context: `mise à jour de la résolution (${attempt.source})`
+    });
+    if (result.ok) break;
+    // Log et tenter la forme suivante
+    console.warn(`${attempt.source} (${result.status}) ; tentative avec une autre forme de payload...`);
+  }
+
+  if (result.ok && source !== 'resolution-endpoint') {
+    console.log("Mise à jour effectuée via PUT /tickets/{id} (fallback résolution)");
+  }
+  return { result, source };
+}
+
+// Réécrit la résolution avec les entrées modifiées ; le store n'est mis à jour qu'en cas de succès
+async function persistEntries(ticket, entries) {
+  const { resolution, merged } = await resolutionToWrite(ticket, entries);
+  const { result, source } = await writeResolution(ticket.id, resolution);
+  if (!result.ok) {
+    console.error("Erreur lors de la mise à jour de la résolution:", {
+      status: result.status,
+      source,
+      response: result.data || result.raw
+    });
+    throw updateError(result);
+  }
+  await saveEntries(ticket.id, entries);
+  return { resolution, merged, response: result.data };
+}
+
+function findEntry(entries, feedbackId, user) {
+  const entry = entries.find(e => e.id === String(feedbackId));
+  if (!entry) {
+    throw codedError('FEEDBACK_NOT_FOUND', { statusCode: 404 });
+  }
+  if (!canEdit(user, entry)) {
+    throw codedError('FEEDBACK_NOT_AUTHOR', { statusCode: 403 });
+  }
+  return entry;
+}
+
+/**
+ * Ajoute un feedback. Si Zoho refuse toute mise à jour de la résolution, le feedback
+ * est conservé dans une note privée (il rejoindra la résolution à la prochaine écriture).
+ */
+async function addFeedback(ticket, user, value, now = new Date()) {
+  const body = validateBody(value);
+  const entry = {
+    id: crypto.randomUUID(),
+    author: authorOf(user),
+    createdAt: now.toISOString(),
+    updatedAt: null,
+    body,
+    revisions: []
+  };
+  const entries = [...await feedbackEntries(ticket), entry];
+  const { resolution, merged } = await resolutionToWrite(ticket, entries);
+
+  const { result, source } = await writeResolution(ticket.id, resolution);
+  if (result.ok) {
+    await saveEntries(ticket.id, entries);
+    return { entry, resolution, merged, source, response: result.data };
+  }
+
+  console.warn(`Mise à jour résolution échouée (${result.status}), tentative de création de commentaire`);
+  const commentResult = await deskJson(`/tickets/${encodeURIComponent(ticket.id)}/comments`, {
+    isPublic: false,
+    content: `[Feedback client - ${displayTime(entry)}]\n${body}`
+  }, {
+    method: 'POST',
+    context: 'création de commentaire (fallback)'
+  });
+
+  if (!commentResult.ok) {
+    console.error("Erreur lors de la mise à jour de la résolution:", {
+      status: result.status,
+      source,
+      response: result.data || result.raw,
+      commentFallbackStatus: commentResult.status,
+      commentFallbackResponse: commentResult.data || commentResult.raw
+    });
+    throw updateError(result);
+  }
+
+  console.log("Commentaire créé via /comments (fallback)");
+  await saveEntries(ticket.id, entries);
+  return { entry, resolution: null, merged: false, source: 'comment-fallback', response: commentResult.data || commentResult.raw };
+}
+
+// Modifie un feedback en conservant les versions précédentes
+async function editFeedback(ticket, user, feedbackId, value, now = new Date()) {
+  const body = validateBody(value);
+  const entries = (await feedbackEntries(ticket)).map(e => ({ ...e, revisions: [...(e.revisions || [])] }));
+  const entry = findEntry(entries, feedbackId, user);
+  if (entry.body === body) {
+    return { entry, resolution: null, merged: false };
+  }
+
+  entry.revisions = [
+    ...entry.revisions,
+    { body: entry.body, editedAt: now.toISOString(), editedBy: authorOf(user) }
+  ].slice(-MAX_REVISIONS);
+  entry.body = body;
+  entry.updatedAt = now.toISOString();
+
+  const { resolution, merged } = await persistEntries(ticket, entries);
+  return { entry, resolution, merged };
+}
+
+async function deleteFeedback(ticket, user, feedbackId) {
+  const entries = await feedbackEntries(ticket);
+  const entry = findEntry(entries, feedbackId, user);
+  const { resolution, merged } = await persistEntries(ticket, entries.filter(e => e !== entry));
+  return { entry, resolution, merged };
+}
+
+module.exports = {
+  MAX_BODY_LENGTH,
+  formatTimestamp,
+  splitResolution,
+  renderResolution,
+  feedbackEntries,
+  toView,
+  addFeedback,
+  editFeedback,
+  deleteFeedback
+};
@@ -0,0 +1,132 @@
+const path = require('path');
+const { message, currentLanguage } = require('./i18n');
+
+const MIME_BY_EXTENSION = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.eml': 'message/rfc822'
+};
+
+// Extension canonique par type détecté (pour corriger un .jpg qui contient un PNG)
+const EXTENSION_BY_MIME = {
+  'application/pdf': '.pdf',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/zip': '.zip',
+  'application/gzip': '.gz'
+};
+
+// Les conteneurs Office sont des zip : on garde le type précis si l'extension correspond
+const ZIP_BASED_EXTENSIONS = ['.docx', '.xlsx'];
+
+const MAX_FILENAME_LENGTH = 180;
+
+function mimeFromName(filename) {
+  return MIME_BY_EXTENSION[path.extname(String(filename || '')).toLowerCase()] || 'application/octet-stream';
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => buffer[offset + i] === b);
+}
+
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  // UTF-8 valide = texte (logs, csv...) ; stream tolère un caractère coupé en fin d'échantillon
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Type MIME réel d'après les premiers octets du fichier, sans se fier à
+ * l'extension ni au type annoncé par le navigateur.
+ */
+function detectMime(buffer, filename) {
+  if (!buffer || buffer.length === 0) return 'application/octet-stream';
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) return 'image/gif';
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (startsWith(buffer, [0x1f, 0x8b])) return 'application/gzip';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06])) {
+    const ext = path.extname(String(filename || '')).toLowerCase();
+    return ZIP_BASED_EXTENSIONS.includes(ext) ? MIME_BY_EXTENSION[ext] : 'application/zip';
+  }
+  if (looksLikeText(buffer)) return 'text/plain';
+  return 'application/octet-stream';
+}
+
+// Garde le nom d'origine (sans chemin ni caractères de contrôle) et aligne l'extension sur le type réel
+function safeFilename(filename, mime, fallback = 'fichier') {
+  let name = path.basename(String(filename || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"<>|:*?]/g, '_')
+    .trim();
+  if (!name || name === '.' || name === '..') name = fallback;
+
+  const expected = EXTENSION_BY_MIME[mime];
+  const ext = path.extname(name).toLowerCase();
+  if (expected && ext !== expected && !(expected === '.jpg' && ext === '.jpeg')) {
+    name = `${ext ? name.slice(0, -ext.length) : name}${expected}`;
+  }
+
+  if (name.length > MAX_FILENAME_LENGTH) {
+    const finalExt = path.extname(name);
+    name = name.slice(0, MAX_FILENAME_LENGTH - finalExt.length) + finalExt;
+  }
+  return name;
+}
+
+// Accepte du base64 brut ou une data URL (data:<type>;base64,...)
+function decodeBase64File(data) {
+  const base64 = String(data || '').replace(/^data:[^;,]*(;[^,]*)?;base64,/, '').replace(/\s/g, '');
+  if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) return null;
+  return Buffer.from(base64, 'base64');
+}
+
+// Nom de fichier sûr pour un en-tête HTTP (ASCII) + version UTF-8 (RFC 6266 / 5987)
+function contentDisposition(filename, disposition = 'attachment') {
+  const name = String(filename || 'fichier').replace(/[\r\n"\\/]/g, '_');
+  const ascii = name.replace(/[^\x20-\x7e]/g, '_');
+  return `${disposition}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+// Taille lisible (« 12,5 Ko », « 12.5 KB »…) dans la langue de la requête
+function formatSize(bytes) {
+  if (!bytes) return null;
+  if (bytes < 1024) return message('SIZE_BYTES', { size: bytes });
+  const decimal = value => value.toLocaleString(currentLanguage(), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  if (bytes < 1024 * 1024) return message('SIZE_KB', { size: decimal(bytes / 1024) });
+  return message('SIZE_MB', { size: decimal(bytes / 1024 / 1024) });
+}
+
+module.exports = {
+  mimeFromName,
+  detectMime,
+  safeFilename,
+  decodeBase64File,
+  contentDisposition,
+  formatSize
+};
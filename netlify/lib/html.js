@@ -0,0 +1,102 @@
+// Nettoyage minimal du HTML saisi par les clients avant envoi à Zoho Desk (liste blanche)
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'div', 'span', 'b', 'strong', 'i', 'em', 'u', 's',
+  'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'a', 'h1', 'h2', 'h3', 'h4'
+]);
+const DROPPED_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math'];
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function safeHref(tagSource) {
+  const match = tagSource.match(/\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+  const href = match ? (match[1] || match[2] || match[3] || '').trim() : '';
+  return /^(https?:|mailto:)/i.test(href) ? href : '';
+}
+
+// Balise complète, attributs entre guillemets compris (ils peuvent contenir ">")
+const TAG_PATTERN = /<\/?([a-zA-Z][a-zA-Z0-9]*)\b(?:[^<>"']|"[^"]*"|'[^']*')*>/y;
+const COMMENT_PATTERN = /<!--[\s\S]*?-->/y;
+
+function rebuildTag(tagSource, rawName) {
+  const name = rawName.toLowerCase();
+  if (!ALLOWED_TAGS.has(name)) return '';
+  if (tagSource.startsWith('</')) return name === 'br' ? '' : `</${name}>`;
+  if (name === 'a') {
+    const href = safeHref(tagSource);
+    return href ? `<a href="${escapeHtml(href)}" rel="noopener noreferrer">` : '<a>';
+  }
+  return `<${name}>`;
+}
+
+/**
+ * Chaque balise est reconstruite sans attributs (sauf href filtré sur <a>). Tout "<" qui
+ * n'ouvre pas une balise complète (balise non fermée, "<" isolé) est échappé : le
+ * navigateur ne peut plus en faire une balise, avec ou sans la suite du message.
+ */
+function sanitizeHtml(html) {
+  let source = String(html || '');
+  DROPPED_WITH_CONTENT.forEach(tag => {
+    source = source.replace(new RegExp(`<${tag}\\b[\\s\\S]*?(?:</${tag}\\s*>|$)`, 'gi'), '');
+  });
+
+  let out = '';
+  let index = 0;
+  while (index < source.length) {
+    const next = source.indexOf('<', index);
+    if (next < 0) {
+      out += source.slice(index);
+      break;
+    }
+    out += source.slice(index, next);
+
+    COMMENT_PATTERN.lastIndex = next;
+    const comment = COMMENT_PATTERN.exec(source);
+    if (comment) {
+      index = next + comment[0].length;
+      continue;
+    }
+    TAG_PATTERN.lastIndex = next;
+    const tag = TAG_PATTERN.exec(source);
+    if (tag) {
+      out += rebuildTag(tag[0], tag[1]);
+      index = next + tag[0].length;
+    } else {
+      out += '&lt;';
+      index = next + 1;
+    }
+  }
+  return out;
+}
+
+function textToHtml(text) {
+  return escapeHtml(String(text || '').trim()).replace(/\r?\n/g, '<br>');
+}
+
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-4])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  escapeHtml,
+  sanitizeHtml,
+  textToHtml,
+  htmlToText
+};
@@ -0,0 +1,158 @@
+const { DEFAULT_LANGUAGE, MESSAGES, languageOf, runWithLanguage, message, errorBody } = require('./i18n');
+const { connectStore } = require('./store');
+
+const { ALLOWED_ORIGINS } = process.env;
+
+// Origines autorisées à appeler les fonctions avec le cookie de session (séparées par des virgules)
+const DEFAULT_ALLOWED_ORIGINS = 'https://zohodeskclabots.netlify.app';
+
+function parseOrigins(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(origin => {
+      try {
+        return new URL(origin).origin;
+      } catch (e) {
+        console.warn(`ALLOWED_ORIGINS : origine ignorée (${origin})`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+const ALLOWED_ORIGIN_LIST = parseOrigins(ALLOWED_ORIGINS || DEFAULT_ALLOWED_ORIGINS);
+
+// En-têtes que le navigateur peut envoyer en cross-origin, et ceux que la page peut lire
+const ALLOWED_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const ALLOWED_HEADERS = 'Content-Type, Idempotency-Key, If-None-Match, X-CSRF-Token';
+const EXPOSED_HEADERS = 'Retry-After, ETag, Idempotent-Replayed, Content-Disposition, X-Export-Count, X-Export-Truncated';
+const PREFLIGHT_MAX_AGE = '600';
+
+// Les réponses des fonctions ne sont que des données : rien à exécuter ni à afficher en iframe
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'strict-origin-when-cross-origin'
+};
+
+const RATE_LIMIT_MESSAGE = MESSAGES[DEFAULT_LANGUAGE].RATE_LIMITED;
+
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    body: JSON.stringify(body),
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    }
+  };
+}
+
+// Netlify transmet les en-têtes en minuscules ; les tests peuvent garder la casse d'origine
+function headerOf(event, name) {
+  const headers = (event && event.headers) || {};
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+function allowedOrigin(origin) {
+  return origin && ALLOWED_ORIGIN_LIST.includes(origin) ? origin : null;
+}
+
+// CORS : l'origine de la requête est renvoyée telle quelle si elle est autorisée, sinon rien
+function corsHeaders(event) {
+  const origin = allowedOrigin(headerOf(event, 'Origin'));
+  return origin
+    ? { 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Credentials': 'true', 'Access-Control-Expose-Headers': EXPOSED_HEADERS }
+    : {};
+}
+
+function preflight(event) {
+  const cors = corsHeaders(event);
+  if (!cors['Access-Control-Allow-Origin']) {
+    return jsonResponse(403, errorBody('ORIGIN_NOT_ALLOWED'), { Vary: 'Origin' });
+  }
+  return {
+    statusCode: 204,
+    body: '',
+    headers: {
+      ...cors,
+      'Access-Control-Allow-Methods': ALLOWED_METHODS,
+      'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+      'Access-Control-Max-Age': PREFLIGHT_MAX_AGE,
+      Vary: 'Origin, Access-Control-Request-Method, Access-Control-Request-Headers'
+    }
+  };
+}
+
+/**
+ * Politique HTTP commune à toutes les fonctions : répond aux requêtes OPTIONS, pose les
+ * en-têtes CORS selon ALLOWED_ORIGINS (Vary: Origin, la réponse en dépend) et les en-têtes
+ * de sécurité. Une fonction peut garder sa propre Content-Security-Policy (dossier HTML).
+ * Les messages d'erreur sont rédigés dans la langue de la requête (voir i18n.languageOf).
+ */
+function withHttpPolicy(handler) {
+  return async (event) => {
+    connectStore(event);
+    const language = languageOf(event);
+    const response = await runWithLanguage(language, () => (
+      event.httpMethod === 'OPTIONS' ? preflight(event) : handler(event)
+    ));
+    const headers = { 'Content-Language': language, ...response.headers };
+    const vary = headers.Vary && headers.Vary.includes('Origin') ? headers.Vary : [headers.Vary, 'Origin'].filter(Boolean).join(', ');
+    return {
+      ...response,
+      headers: {
+        ...SECURITY_HEADERS,
+        ...headers,
+        ...corsHeaders(event),
+        Vary: vary
+      }
+    };
+  };
+}
+
+/**
+ * Pose les cookies dans multiValueHeaders['Set-Cookie'], seul endroit où plusieurs cookies
+ * tiennent : Netlify et API Gateway laissent multiValueHeaders remplacer headers pour la
+ * même clé, un cookie resté dans headers serait donc perdu.
+ */
+function withCookies(response, cookies) {
+  const { 'Set-Cookie': single, ...headers } = response.headers || {};
+  const previous = (response.multiValueHeaders && response.multiValueHeaders['Set-Cookie']) || [];
+  return {
+    ...response,
+    headers,
+    multiValueHeaders: {
+      ...response.multiValueHeaders,
+      'Set-Cookie': [...(single ? [single] : []), ...previous, ...cookies]
+    }
+  };
+}
+
+function unauthorized(headers) {
+  return jsonResponse(401, errorBody('UNAUTHENTICATED'), headers);
+}
+
+// Forme d'erreur commune : { error, code, status?, details? } (code stable, error traduit)
+function errorResponse(err, headers) {
+  if (err.rateLimited) {
+    return jsonResponse(429, errorBody('RATE_LIMITED'), headers);
+  }
+
+  const body = { error: err.message || message('UNKNOWN_ERROR'), code: err.code || 'UNKNOWN_ERROR' };
+  if (err.status) body.status = err.status;
+  if (err.details !== undefined) body.details = err.details;
+  return jsonResponse(err.statusCode || 500, body, headers);
+}
+
+module.exports = {
+  RATE_LIMIT_MESSAGE,
+  jsonResponse,
+  headerOf,
+  allowedOrigin,
+  withHttpPolicy,
+  withCookies,
+  unauthorized,
+  errorResponse
+};
@@ -0,0 +1,426 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LANGUAGES = ['fr', 'en', 'nl'];
+const DEFAULT_LANGUAGE = 'fr';
+// Posé par le sélecteur de langue de la page ; prime sur Accept-Language
+const LANGUAGE_COOKIE = 'portalLang';
+
+/**
+ * Messages d'erreur de l'API par code stable. Le code voyage dans la réponse
+ * ({ error, code }) : un client peut s'y fier, le texte dépend de la langue.
+ * Même catalogue pour les confirmations (message des réponses 2xx) et les libellés
+ * des documents générés (export, dossier).
+ * {nom} est remplacé par le paramètre correspondant ; un tableau devient une liste
+ * ("a et b", "a and b", "a en b").
+ */
+const MESSAGES = {
+  fr: {
+    UNKNOWN_ERROR: 'Erreur inconnue',
+    UNAUTHENTICATED: 'Non authentifié',
+    CONFIGURATION_MISSING: 'Configuration manquante',
+    METHOD_NOT_ALLOWED: 'Méthode non autorisée. Utilisez {methods}.',
+    ORIGIN_NOT_ALLOWED: 'Origine de la requête non autorisée',
+    CSRF_INVALID: 'Jeton CSRF absent ou invalide. Rechargez la page puis réessayez.',
+    INVALID_JSON: 'Corps de requête invalide. JSON attendu.',
+    INVALID_REQUEST: 'Requête invalide',
+    MISSING_PARAMETER: 'Paramètre manquant: {name} est requis',
+    MISSING_PARAMETERS: 'Paramètres manquants: {names} sont requis',
+    MISSING_REPLY_CONTENT: 'Paramètres manquants: ticketId et content (ou text) sont requis',
+    INVALID_DATE: 'Paramètre {name} invalide (date ISO attendue)',
+    INVALID_RANGE: 'Paramètre {name} invalide ({min} à {max})',
+    FILTER_NOT_ALLOWED: 'Filtre {name} non autorisé pour ce compte',
+    INVALID_SORT: 'Paramètre sortBy invalide (valeurs possibles : {values}, préfixe - pour décroissant)',
+    INVALID_FORMAT: 'Paramètre format invalide (valeurs possibles : {values})',
+    INVALID_CURSOR: 'Curseur invalide',
+    CURSOR_MISMATCH: 'Curseur invalide ou filtres modifiés',
+    RATE_LIMITED: 'Limite de requêtes Zoho atteinte, réessayez dans quelques instants.',
+    ZOHO_ERROR: 'Erreur Zoho Desk',
+    ZOHO_AUTH_ERROR: 'Erreur OAuth Zoho',
+    ZOHO_INVALID_RESPONSE: "Réponse invalide de l'API Zoho Desk{context}",
+    LOGIN_THROTTLED: 'Trop de tentatives de connexion. Réessayez dans {wait}.',
+    LOGIN_LOCKED: 'Connexion temporairement verrouillée après trop de tentatives. Réessayez dans {wait}.',
+    INVALID_CREDENTIALS: 'Email ou mot de passe incorrect',
+    INVALID_PASSWORD: 'Mot de passe incorrect',
+    PROFILE_NOT_FOUND: 'Profil introuvable',
+    NO_PROFILE_ALLOWED: 'Aucun profil Zoho autorisé pour cet utilisateur',
+    TICKET_NOT_FOUND: 'Ticket introuvable',
+    ATTACHMENT_NOT_FOUND: 'Pièce jointe introuvable',
+    DOWNLOAD_TOO_LARGE: 'Fichier trop volumineux pour être téléchargé via le portail',
+    FILE_CONTENT_INVALID: 'Contenu absent ou base64 invalide',
+    FILE_TOO_LARGE: 'Fichier trop volumineux ({maxBytes} octets maximum)',
+    FILE_TYPE_NOT_ALLOWED: 'Type de fichier non autorisé ({contentType})',
+    TOO_MANY_FILES: 'Trop de fichiers ({max} maximum par envoi)',
+    MESSAGE_TOO_LONG: 'Message trop long ({max} caractères maximum)',
+    ATTACHMENT_IDS_INVALID: 'attachmentIds invalides ({max} identifiants numériques maximum)',
+    INVALID_FIELDS: 'Champs invalides',
+    FIELD_REQUIRED: 'Champ obligatoire',
+    FIELD_INTEGER: 'Nombre entier attendu',
+    FIELD_NUMBER: 'Nombre attendu',
+    FIELD_EMAIL: 'Adresse email invalide',
+    FIELD_URL: 'URL invalide (http:// ou https://)',
+    FIELD_DATE: 'Date invalide (AAAA-MM-JJ)',
+    FIELD_DATETIME: 'Date/heure invalide',
+    FIELD_BOOLEAN: 'Valeur oui/non attendue',
+    FIELD_PICKLIST: 'Valeur non autorisée',
+    FIELD_MAX_LENGTH: '{max} caractères maximum',
+    CONTACT_MISSING: 'Configuration manquante: aucun contact Zoho pour créer le ticket (ZOHO_DEFAULT_CONTACT_ID)',
+    CONTACT_ACCOUNT_MISSING: 'Votre accès n\'est rattaché à aucun compte client de cette organisation Zoho',
+    DEPARTMENT_MISSING: 'Configuration manquante: département Zoho inconnu (ZOHO_DEPARTMENT_ID)',
+    FEEDBACK_EMPTY: 'Le feedback ne peut pas être vide',
+    FEEDBACK_TOO_LONG: 'Feedback trop long ({max} caractères maximum)',
+    FEEDBACK_NOT_FOUND: 'Feedback introuvable',
+    FEEDBACK_NOT_AUTHOR: "Seul l'auteur d'un feedback peut le modifier ou le supprimer",
+    RESOLUTION_UPDATE_FAILED: 'Impossible de mettre à jour la résolution du ticket: {message} (code: {status})',
+    RESOLUTION_CONFLICT: 'La résolution a été modifiée entre-temps par un agent et ne peut pas être fusionnée. Rechargez le ticket puis réessayez.',
+    INVALID_RATING: 'Note invalide (entier de {min} à {max})',
+    COMMENT_TOO_LONG: 'Commentaire trop long ({max} caractères maximum)',
+    TICKET_NOT_RESOLVED: 'Seuls les tickets résolus peuvent être évalués',
+    SATISFACTION_FIELD_MISSING: 'Configuration manquante : aucun champ de satisfaction dans le layout du ticket',
+    SATISFACTION_VALUE_MISSING: 'Aucune valeur du champ {field} ne correspond à la note {rating}',
+    IDEMPOTENCY_KEY_INVALID: 'En-tête {header} invalide (1 à 255 caractères ASCII imprimables)',
+    IDEMPOTENCY_KEY_REUSED: '{header} déjà utilisée pour une requête différente',
+    IDEMPOTENCY_IN_PROGRESS: 'Une requête identique est encore en cours de traitement, réessayez dans quelques instants.',
+    INVALID_SIGNATURE: 'Signature invalide',
+    TICKET_CREATED: 'Ticket créé avec succès',
+    REPLY_SENT: 'Réponse ajoutée au ticket',
+    FILES_UPLOADED: '{uploaded}/{total} fichier(s) ajouté(s) au ticket',
+    IMAGE_UPLOADED: 'Image envoyée avec succès',
+    FEEDBACK_ADDED: 'Feedback ajouté avec succès comme nouvelle résolution',
+    FEEDBACK_ADDED_AS_COMMENT: 'Feedback ajouté comme commentaire (fallback) car la mise à jour de la résolution a été refusée',
+    RESOLUTION_UPDATED: 'Mise à jour réussie (réponse vide)',
+    LABEL_TICKET: 'Ticket',
+    LABEL_TICKET_NUMBER: 'N°',
+    LABEL_SUBJECT: 'Sujet',
+    LABEL_STATUS: 'Statut',
+    LABEL_PRIORITY: 'Priorité',
+    LABEL_CREATED: 'Créé le',
+    LABEL_CLOSED: 'Clôturé le',
+    LABEL_RESOLUTION: 'Résolution',
+    LABEL_CONTACT: 'Contact',
+    LABEL_EMAIL: 'Email',
+    LABEL_TIME_ENTRIES: 'Entrées de temps',
+    LABEL_ATTACHMENTS: 'Pièces jointes',
+    LABEL_ACTIVITIES: 'Activités',
+    LABEL_DESCRIPTION: 'Description',
+    LABEL_HISTORY: 'Historique',
+    LABEL_CONVERSATION: 'Conversation',
+    LABEL_YES: 'Oui',
+    LABEL_NO: 'Non',
+    DIRECTION_IN: 'Client',
+    DIRECTION_OUT: 'Support',
+    UNKNOWN_AUTHOR: 'Auteur inconnu',
+    DOSSIER_GENERATED: 'Dossier généré le {date} par {name}',
+    DOSSIER_NO_DESCRIPTION: '(Aucune description disponible)',
+    DOSSIER_NO_RESOLUTION: '(Aucune résolution encodée)',
+    DOSSIER_NO_HISTORY: "Aucun élément d'historique.",
+    DOSSIER_NO_MESSAGES: 'Aucun message.',
+    DOSSIER_NO_ATTACHMENTS: 'Aucune pièce jointe.',
+    DOSSIER_EVENT_BY: '{event} par {author}',
+    DOSSIER_ENTRY_ATTACHMENTS: 'Pièces jointes : {names}',
+    DOSSIER_ATTACHMENT_ADDED: 'ajoutée le {date}',
+    DOSSIER_ATTACHMENT_BY: 'par {name}',
+    SIZE_BYTES: '{size} o',
+    SIZE_KB: '{size} Ko',
+    SIZE_MB: '{size} Mo'
+  },
+  en: {
+    UNKNOWN_ERROR: 'Unknown error',
+    UNAUTHENTICATED: 'Not authenticated',
+    CONFIGURATION_MISSING: 'Missing configuration',
+    METHOD_NOT_ALLOWED: 'Method not allowed. Use {methods}.',
+    ORIGIN_NOT_ALLOWED: 'Request origin not allowed',
+    CSRF_INVALID: 'Missing or invalid CSRF token. Reload the page and try again.',
+    INVALID_JSON: 'Invalid request body. JSON expected.',
+    INVALID_REQUEST: 'Invalid request',
+    MISSING_PARAMETER: 'Missing parameter: {name} is required',
+    MISSING_PARAMETERS: 'Missing parameters: {names} are required',
+    MISSING_REPLY_CONTENT: 'Missing parameters: ticketId and content (or text) are required',
+    INVALID_DATE: 'Invalid {name} parameter (ISO date expected)',
+    INVALID_RANGE: 'Invalid {name} parameter ({min} to {max})',
+    FILTER_NOT_ALLOWED: 'Filter {name} is not allowed for this account',
+    INVALID_SORT: 'Invalid sortBy parameter (possible values: {values}, prefix - for descending)',
+    INVALID_FORMAT: 'Invalid format parameter (possible values: {values})',
+    INVALID_CURSOR: 'Invalid cursor',
+    CURSOR_MISMATCH: 'Invalid cursor or filters changed',
+    RATE_LIMITED: 'Zoho request limit reached, please try again in a moment.',
+    ZOHO_ERROR: 'Zoho Desk error',
+    ZOHO_AUTH_ERROR: 'Zoho OAuth error',
+    ZOHO_INVALID_RESPONSE: 'Invalid response from the Zoho Desk API{context}',
+    LOGIN_THROTTLED: 'Too many login attempts. Try again in {wait}.',
+    LOGIN_LOCKED: 'Login temporarily locked after too many attempts. Try again in {wait}.',
+    INVALID_CREDENTIALS: 'Incorrect email or password',
+    INVALID_PASSWORD: 'Incorrect password',
+    PROFILE_NOT_FOUND: 'Profile not found',
+    NO_PROFILE_ALLOWED: 'No Zoho profile is allowed for this user',
+    TICKET_NOT_FOUND: 'Ticket not found',
+    ATTACHMENT_NOT_FOUND: 'Attachment not found',
+    DOWNLOAD_TOO_LARGE: 'File too large to be downloaded through the portal',
+    FILE_CONTENT_INVALID: 'Missing content or invalid base64',
+    FILE_TOO_LARGE: 'File too large ({maxBytes} bytes maximum)',
+    FILE_TYPE_NOT_ALLOWED: 'File type not allowed ({contentType})',
+    TOO_MANY_FILES: 'Too many files ({max} per upload maximum)',
+    MESSAGE_TOO_LONG: 'Message too long ({max} characters maximum)',
+    ATTACHMENT_IDS_INVALID: 'Invalid attachmentIds ({max} numeric identifiers maximum)',
+    INVALID_FIELDS: 'Invalid fields',
+    FIELD_REQUIRED: 'Required field',
+    FIELD_INTEGER: 'Whole number expected',
+    FIELD_NUMBER: 'Number expected',
+    FIELD_EMAIL: 'Invalid email address',
+    FIELD_URL: 'Invalid URL (http:// or https://)',
+    FIELD_DATE: 'Invalid date (YYYY-MM-DD)',
+    FIELD_DATETIME: 'Invalid date/time',
+    FIELD_BOOLEAN: 'Yes/no value expected',
+    FIELD_PICKLIST: 'Value not allowed',
+    FIELD_MAX_LENGTH: '{max} characters maximum',
+    CONTACT_MISSING: 'Missing configuration: no Zoho contact to create the ticket (ZOHO_DEFAULT_CONTACT_ID)',
+    CONTACT_ACCOUNT_MISSING: 'Your access is not linked to any customer account of this Zoho organisation',
+    DEPARTMENT_MISSING: 'Missing configuration: unknown Zoho department (ZOHO_DEPARTMENT_ID)',
+    FEEDBACK_EMPTY: 'Feedback cannot be empty',
+    FEEDBACK_TOO_LONG: 'Feedback too long ({max} characters maximum)',
+    FEEDBACK_NOT_FOUND: 'Feedback not found',
+    FEEDBACK_NOT_AUTHOR: 'Only the author of a feedback can edit or delete it',
+    RESOLUTION_UPDATE_FAILED: 'Unable to update the ticket resolution: {message} (code: {status})',
+    RESOLUTION_CONFLICT: 'The resolution was changed by an agent in the meantime and cannot be merged. Reload the ticket and try again.',
+    INVALID_RATING: 'Invalid rating (whole number from {min} to {max})',
+    COMMENT_TOO_LONG: 'Comment too long ({max} characters maximum)',
+    TICKET_NOT_RESOLVED: 'Only resolved tickets can be rated',
+    SATISFACTION_FIELD_MISSING: 'Missing configuration: no satisfaction field in the ticket layout',
+    SATISFACTION_VALUE_MISSING: 'No value of field {field} matches rating {rating}',
+    IDEMPOTENCY_KEY_INVALID: 'Invalid {header} header (1 to 255 printable ASCII characters)',
+    IDEMPOTENCY_KEY_REUSED: '{header} already used for a different request',
+    IDEMPOTENCY_IN_PROGRESS: 'An identical request is still being processed, please try again in a moment.',
+    INVALID_SIGNATURE: 'Invalid signature',
+    TICKET_CREATED: 'Ticket created successfully',
+    REPLY_SENT: 'Reply added to the ticket',
+    FILES_UPLOADED: '{uploaded}/{total} file(s) added to the ticket',
+    IMAGE_UPLOADED: 'Image uploaded successfully',
+    FEEDBACK_ADDED: 'Feedback successfully added to the resolution',
+    FEEDBACK_ADDED_AS_COMMENT: 'Feedback added as a comment (fallback) because the resolution update was refused',
+    RESOLUTION_UPDATED: 'Update successful (empty response)',
+    LABEL_TICKET: 'Ticket',
+    LABEL_TICKET_NUMBER: 'No.',
+    LABEL_SUBJECT: 'Subject',
+    LABEL_STATUS: 'Status',
+    LABEL_PRIORITY: 'Priority',
+    LABEL_CREATED: 'Created on',
+    LABEL_CLOSED: 'Closed on',
+    LABEL_RESOLUTION: 'Resolution',
+    LABEL_CONTACT: 'Contact',
+    LABEL_EMAIL: 'Email',
+    LABEL_TIME_ENTRIES: 'Time entries',
+    LABEL_ATTACHMENTS: 'Attachments',
+    LABEL_ACTIVITIES: 'Activities',
+    LABEL_DESCRIPTION: 'Description',
+    LABEL_HISTORY: 'History',
+    LABEL_CONVERSATION: 'Conversation',
+    LABEL_YES: 'Yes',
+    LABEL_NO: 'No',
+    DIRECTION_IN: 'Customer',
+    DIRECTION_OUT: 'Support',
+    UNKNOWN_AUTHOR: 'Unknown author',
+    DOSSIER_GENERATED: 'File generated on {date} by {name}',
+    DOSSIER_NO_DESCRIPTION: '(No description available)',
+    DOSSIER_NO_RESOLUTION: '(No resolution entered)',
+    DOSSIER_NO_HISTORY: 'No history items.',
+    DOSSIER_NO_MESSAGES: 'No messages.',
+    DOSSIER_NO_ATTACHMENTS: 'No attachments.',
+    DOSSIER_EVENT_BY: '{event} by {author}',
+    DOSSIER_ENTRY_ATTACHMENTS: 'Attachments: {names}',
+    DOSSIER_ATTACHMENT_ADDED: 'added on {date}',
+    DOSSIER_ATTACHMENT_BY: 'by {name}',
+    SIZE_BYTES: '{size} B',
+    SIZE_KB: '{size} KB',
+    SIZE_MB: '{size} MB'
+  },
+  nl: {
+    UNKNOWN_ERROR: 'Onbekende fout',
+    UNAUTHENTICATED: 'Niet aangemeld',
+    CONFIGURATION_MISSING: 'Configuratie ontbreekt',
+    METHOD_NOT_ALLOWED: 'Methode niet toegestaan. Gebruik {methods}.',
+    ORIGIN_NOT_ALLOWED: 'Herkomst van het verzoek niet toegestaan',
+    CSRF_INVALID: 'CSRF-token ontbreekt of is ongeldig. Herlaad de pagina en probeer opnieuw.',
+    INVALID_JSON: 'Ongeldige inhoud van het verzoek. JSON verwacht.',
+    INVALID_REQUEST: 'Ongeldig verzoek',
+    MISSING_PARAMETER: 'Ontbrekende parameter: {name} is verplicht',
+    MISSING_PARAMETERS: 'Ontbrekende parameters: {names} zijn verplicht',
+    MISSING_REPLY_CONTENT: 'Ontbrekende parameters: ticketId en content (of text) zijn verplicht',
+    INVALID_DATE: 'Ongeldige parameter {name} (ISO-datum verwacht)',
+    INVALID_RANGE: 'Ongeldige parameter {name} ({min} tot {max})',
+    FILTER_NOT_ALLOWED: 'Filter {name} is niet toegestaan voor dit account',
+    INVALID_SORT: 'Ongeldige parameter sortBy (mogelijke waarden: {values}, voorvoegsel - voor aflopend)',
+    INVALID_FORMAT: 'Ongeldige parameter format (mogelijke waarden: {values})',
+    INVALID_CURSOR: 'Ongeldige cursor',
+    CURSOR_MISMATCH: 'Ongeldige cursor of gewijzigde filters',
+    RATE_LIMITED: 'Limiet van Zoho-verzoeken bereikt, probeer het zo meteen opnieuw.',
+    ZOHO_ERROR: 'Zoho Desk-fout',
+    ZOHO_AUTH_ERROR: 'Zoho OAuth-fout',
+    ZOHO_INVALID_RESPONSE: 'Ongeldig antwoord van de Zoho Desk-API{context}',
+    LOGIN_THROTTLED: 'Te veel aanmeldpogingen. Probeer opnieuw over {wait}.',
+    LOGIN_LOCKED: 'Aanmelden tijdelijk geblokkeerd na te veel pogingen. Probeer opnieuw over {wait}.',
+    INVALID_CREDENTIALS: 'Onjuist e-mailadres of wachtwoord',
+    INVALID_PASSWORD: 'Onjuist wachtwoord',
+    PROFILE_NOT_FOUND: 'Profiel niet gevonden',
+    NO_PROFILE_ALLOWED: 'Geen enkel Zoho-profiel toegestaan voor deze gebruiker',
+    TICKET_NOT_FOUND: 'Ticket niet gevonden',
+    ATTACHMENT_NOT_FOUND: 'Bijlage niet gevonden',
+    DOWNLOAD_TOO_LARGE: 'Bestand te groot om via het portaal te downloaden',
+    FILE_CONTENT_INVALID: 'Inhoud ontbreekt of ongeldige base64',
+    FILE_TOO_LARGE: 'Bestand te groot (maximaal {maxBytes} bytes)',
+    FILE_TYPE_NOT_ALLOWED: 'Bestandstype niet toegestaan ({contentType})',
+    TOO_MANY_FILES: 'Te veel bestanden (maximaal {max} per verzending)',
+    MESSAGE_TOO_LONG: 'Bericht te lang (maximaal {max} tekens)',
+    ATTACHMENT_IDS_INVALID: 'Ongeldige attachmentIds (maximaal {max} numerieke identificatoren)',
+    INVALID_FIELDS: 'Ongeldige velden',
+    FIELD_REQUIRED: 'Verplicht veld',
+    FIELD_INTEGER: 'Geheel getal verwacht',
+    FIELD_NUMBER: 'Getal verwacht',
+    FIELD_EMAIL: 'Ongeldig e-mailadres',
+    FIELD_URL: 'Ongeldige URL (http:// of https://)',
+    FIELD_DATE: 'Ongeldige datum (JJJJ-MM-DD)',
+    FIELD_DATETIME: 'Ongeldige datum/tijd',
+    FIELD_BOOLEAN: 'Ja/nee-waarde verwacht',
+    FIELD_PICKLIST: 'Waarde niet toegestaan',
+    FIELD_MAX_LENGTH: 'Maximaal {max} tekens',
+    CONTACT_MISSING: 'Configuratie ontbreekt: geen Zoho-contact om het ticket aan te maken (ZOHO_DEFAULT_CONTACT_ID)',
+    CONTACT_ACCOUNT_MISSING: 'Uw toegang is aan geen enkel klantaccount van deze Zoho-organisatie gekoppeld',
+    DEPARTMENT_MISSING: 'Configuratie ontbreekt: onbekende Zoho-afdeling (ZOHO_DEPARTMENT_ID)',
+    FEEDBACK_EMPTY: 'Feedback mag niet leeg zijn',
+    FEEDBACK_TOO_LONG: 'Feedback te lang (maximaal {max} tekens)',
+    FEEDBACK_NOT_FOUND: 'Feedback niet gevonden',
+    FEEDBACK_NOT_AUTHOR: 'Alleen de auteur van een feedback kan die wijzigen of verwijderen',
+    RESOLUTION_UPDATE_FAILED: 'Kan de oplossing van het ticket niet bijwerken: {message} (code: {status})',
+    RESOLUTION_CONFLICT: 'De oplossing is intussen door een medewerker gewijzigd en kan niet worden samengevoegd. Herlaad het ticket en probeer opnieuw.',
+    INVALID_RATING: 'Ongeldige score (geheel getal van {min} tot {max})',
+    COMMENT_TOO_LONG: 'Opmerking te lang (maximaal {max} tekens)',
+    TICKET_NOT_RESOLVED: 'Alleen opgeloste tickets kunnen worden beoordeeld',
+    SATISFACTION_FIELD_MISSING: 'Configuratie ontbreekt: geen tevredenheidsveld in de lay-out van het ticket',
+    SATISFACTION_VALUE_MISSING: 'Geen enkele waarde van veld {field} komt overeen met score {rating}',
+    IDEMPOTENCY_KEY_INVALID: 'Ongeldige header {header} (1 tot 255 afdrukbare ASCII-tekens)',
+    IDEMPOTENCY_KEY_REUSED: '{header} al gebruikt voor een ander verzoek',
+    IDEMPOTENCY_IN_PROGRESS: 'Een identiek verzoek wordt nog verwerkt, probeer het zo meteen opnieuw.',
+    INVALID_SIGNATURE: 'Ongeldige handtekening',
+    TICKET_CREATED: 'Ticket succesvol aangemaakt',
+    REPLY_SENT: 'Antwoord toegevoegd aan het ticket',
+    FILES_UPLOADED: '{uploaded}/{total} bestand(en) toegevoegd aan het ticket',
+    IMAGE_UPLOADED: 'Afbeelding succesvol geüpload',
+    FEEDBACK_ADDED: 'Feedback succesvol toegevoegd aan de oplossing',
+    FEEDBACK_ADDED_AS_COMMENT: 'Feedback toegevoegd als opmerking (fallback) omdat het bijwerken van de oplossing werd geweigerd',
+    RESOLUTION_UPDATED: 'Bijwerken geslaagd (leeg antwoord)',
+    LABEL_TICKET: 'Ticket',
+    LABEL_TICKET_NUMBER: 'Nr.',
+    LABEL_SUBJECT: 'Onderwerp',
+    LABEL_STATUS: 'Status',
+    LABEL_PRIORITY: 'Prioriteit',
+    LABEL_CREATED: 'Aangemaakt op',
+    LABEL_CLOSED: 'Gesloten op',
+    LABEL_RESOLUTION: 'Oplossing',
+    LABEL_CONTACT: 'Contactpersoon',
+    LABEL_EMAIL: 'E-mail',
+    LABEL_TIME_ENTRIES: 'Tijdregistraties',
+    LABEL_ATTACHMENTS: 'Bijlagen',
+    LABEL_ACTIVITIES: 'Activiteiten',
+    LABEL_DESCRIPTION: 'Beschrijving',
+    LABEL_HISTORY: 'Geschiedenis',
+    LABEL_CONVERSATION: 'Gesprek',
+    LABEL_YES: 'Ja',
+    LABEL_NO: 'Nee',
+    DIRECTION_IN: 'Klant',
+    DIRECTION_OUT: 'Support',
+    UNKNOWN_AUTHOR: 'Onbekende auteur',
+    DOSSIER_GENERATED: 'Dossier gegenereerd op {date} door {name}',
+    DOSSIER_NO_DESCRIPTION: '(Geen beschrijving beschikbaar)',
+    DOSSIER_NO_RESOLUTION: '(Geen oplossing ingevoerd)',
+    DOSSIER_NO_HISTORY: 'Geen geschiedenis.',
+    DOSSIER_NO_MESSAGES: 'Geen berichten.',
+    DOSSIER_NO_ATTACHMENTS: 'Geen bijlagen.',
+    DOSSIER_EVENT_BY: '{event} door {author}',
+    DOSSIER_ENTRY_ATTACHMENTS: 'Bijlagen: {names}',
+    DOSSIER_ATTACHMENT_ADDED: 'toegevoegd op {date}',
+    DOSSIER_ATTACHMENT_BY: 'door {name}',
+    SIZE_BYTES: '{size} B',
+    SIZE_KB: '{size} kB',
+    SIZE_MB: '{size} MB'
+  }
+};
+
+const requestLanguage = new AsyncLocalStorage();
+
+function supported(tag) {
+  const primary = String(tag || '').trim().toLowerCase().split('-')[0];
+  return LANGUAGES.includes(primary) ? primary : null;
+}
+
+// "nl-BE,nl;q=0.9,en;q=0.8" : langues par préférence décroissante
+function acceptedLanguages(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(';');
+      const q = options.map(o => /^\s*q=([\d.]+)\s*$/.exec(o)).find(Boolean);
+      return { tag, q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(l => l.tag && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(l => l.tag);
+}
+
+function cookieLanguage(event) {
+  const headers = (event && event.headers) || {};
+  const cookie = headers.cookie || headers.Cookie || '';
+  const match = new RegExp(`(?:^|;\\s*)${LANGUAGE_COOKIE}=([^;]+)`).exec(cookie);
+  return match ? supported(decodeURIComponent(match[1])) : null;
+}
+
+/**
+ * Langue de la réponse : choix explicite de la page (cookie portalLang), sinon
+ * Accept-Language du navigateur, sinon le français.
+ */
+function languageOf(event) {
+  const headers = (event && event.headers) || {};
+  const accepted = acceptedLanguages(headers['accept-language'] || headers['Accept-Language']);
+  return cookieLanguage(event) || accepted.map(supported).find(Boolean) || DEFAULT_LANGUAGE;
+}
+
+function currentLanguage() {
+  return requestLanguage.getStore() || DEFAULT_LANGUAGE;
+}
+
+function runWithLanguage(language, fn) {
+  return requestLanguage.run(language, fn);
+}
+
+function formatParam(value, language) {
+  if (!Array.isArray(value)) return String(value);
+  return new Intl.ListFormat(language, { type: 'conjunction' }).format(value.map(String));
+}
+
+// Texte du code dans la langue de la requête (repli sur le français, puis sur le code)
+function message(code, params = {}, language = currentLanguage()) {
+  const template = (MESSAGES[language] && MESSAGES[language][code]) || MESSAGES[DEFAULT_LANGUAGE][code] || code;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined ? match : formatParam(params[name], language)
+  ));
+}
+
+// Corps d'erreur { error, code } d'une réponse construite directement par une fonction
+function errorBody(code, params = {}, extra = {}) {
+  return { error: message(code, params), code, ...extra };
+}
+
+// Équivalent de createError (zohoDesk) pour une erreur du catalogue
+function codedError(code, props = {}, params = {}) {
+  return Object.assign(new Error(message(code, params)), { code, ...props });
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_COOKIE,
+  MESSAGES,
+  languageOf,
+  currentLanguage,
+  runWithLanguage,
+  message,
+  errorBody,
+  codedError
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { updateJson } = require('./store');
+const { jsonResponse, headerOf } = require('./http');
+const { errorBody } = require('./i18n');
+const { currentProfile } = require('./profiles');
+
+const STORE_NAME = 'idempotency';
+const KEY_HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const RESULT_TTL_MS = 24 * 60 * 60 * 1000; // une clé rejouée après 24 h est traitée comme nouvelle
+const PENDING_TTL_MS = 2 * 60 * 1000; // au-delà, un traitement interrompu libère la clé
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Une clé n'a de sens que pour un utilisateur, un profil Zoho et un endpoint donnés :
+// la même clé envoyée sur une autre organisation est une autre requête
+function storeKey(user, endpoint, key) {
+  return sha256(`${user.id}\n${currentProfile().id}\n${endpoint}\n${key}`);
+}
+
+function fingerprint(event) {
+  return sha256(event.body || '');
+}
+
+function pruned(doc, now) {
+  const keys = {};
+  Object.entries(doc.keys).forEach(([id, record]) => {
+    if (record.expiresAt > now) keys[id] = record;
+  });
+  return { keys };
+}
+
+// Réponses rejouables : succès et refus définitifs. Les erreurs transitoires libèrent la clé.
+function isFinal(response) {
+  return response.statusCode < 500 && ![401, 409, 429].includes(response.statusCode);
+}
+
+async function release(id) {
+  await updateJson(STORE_NAME, { keys: {} }, doc => {
+    delete doc.keys[id];
+    return doc;
+  });
+}
+
+/**
+ * Exécute run() au plus une fois par en-tête Idempotency-Key : une requête répétée avec
+ * la même clé (après un timeout côté navigateur par exemple) reçoit la réponse d'origine.
+ * Sans en-tête, run() est exécuté normalement.
+ */
+async function withIdempotency(event, user, endpoint, run) {
+  const key = headerOf(event, KEY_HEADER);
+  if (!key) {
+    return run();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return jsonResponse(400, errorBody('IDEMPOTENCY_KEY_INVALID', { header: KEY_HEADER }));
+  }
+
+  const id = storeKey(user, endpoint, key);
+  const requestHash = fingerprint(event);
+  const now = Date.now();
+  let existing = null;
+  await updateJson(STORE_NAME, { keys: {} }, doc => {
+    const next = pruned(doc, now);
+    existing = next.keys[id] || null;
+    if (!existing) {
+      next.keys[id] = { status: 'pending', fingerprint: requestHash, expiresAt: now + PENDING_TTL_MS };
+    }
+    return next;
+  });
+
+  if (existing) {
+    if (existing.fingerprint !== requestHash) {
+      return jsonResponse(422, errorBody('IDEMPOTENCY_KEY_REUSED', { header: KEY_HEADER }));
+    }
+    if (existing.status === 'pending') {
+      return jsonResponse(409, errorBody('IDEMPOTENCY_IN_PROGRESS'));
+    }
+    console.log(`Requête rejouée (${endpoint}), réponse d'origine renvoyée`);
+    return {
+      statusCode: existing.response.statusCode,
+      body: existing.response.body,
+      headers: { 'Content-Type': existing.response.contentType, 'Idempotent-Replayed': 'true' }
+    };
+  }
+
+  let response;
+  try {
+    response = await run();
+  } catch (e) {
+    await release(id);
+    throw e;
+  }
+
+  if (!isFinal(response)) {
+    await release(id);
+    return response;
+  }
+  // La requête a abouti côté Zoho : un échec d'enregistrement ne doit pas la transformer
+  // en erreur (la clé reste « en cours » jusqu'à PENDING_TTL_MS, sans double envoi)
+  await updateJson(STORE_NAME, { keys: {} }, doc => {
+    doc.keys[id] = {
+      status: 'done',
+      fingerprint: requestHash,
+      expiresAt: Date.now() + RESULT_TTL_MS,
+      response: {
+        statusCode: response.statusCode,
+        body: response.body,
+        contentType: (response.headers && response.headers['Content-Type']) || 'application/json'
+      }
+    };
+    return doc;
+  }).catch(e => console.error(`Résultat idempotent non enregistré (${endpoint}) :`, e.message));
+  return response;
+}
+
+module.exports = {
+  withIdempotency
+};
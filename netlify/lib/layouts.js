@@ -0,0 +1,162 @@
+const { deskRequest, deskError } = require('./zohoDesk');
+const { currentProfile } = require('./profiles');
+const { codedError, message } = require('./i18n');
+
+// Champs gérés côté serveur ou par les agents : jamais saisis dans le portail
+const NON_EDITABLE_FIELDS = new Set([
+  'contactId', 'accountId', 'departmentId', 'assigneeId', 'teamId', 'productId',
+  'status', 'statusType', 'channel', 'dueDate', 'resolution', 'email', 'phone',
+  'secondaryContacts', 'language', 'onholdTime', 'classification'
+]);
+
+function isCustomField(apiName) {
+  return /^cf[._]/.test(apiName || '');
+}
+
+function allowedValuesOf(f) {
+  const values = f.allowedValues || f.pickListValues || f.options;
+  if (!Array.isArray(values)) return null;
+  return values.map(v => (typeof v === 'string' ? v : v.value || v.displayValue || v.actualValue)).filter(Boolean);
+}
+
+// On extrait les champs pour les mettre en regard de cf.*
+function extractLayoutFields(layout) {
+  const sections = Array.isArray(layout && layout.sections) ? layout.sections : [];
+  return sections.flatMap(sec => {
+    const fs = Array.isArray(sec.fields) ? sec.fields : [];
+    return fs.map(f => {
+      const apiName = f.apiName || f.fieldName;
+      const visible = f.visible !== false;
+      return {
+        section: sec.name || sec.label || '',
+        apiName,
+        displayName: f.displayName || f.label,
+        dataType: f.dataType,
+        required: !!f.required,
+        visible,
+        editable: visible && !f.isReadOnly && !NON_EDITABLE_FIELDS.has(apiName),
+        maxLength: Number(f.maxLength) || null,
+        allowedValues: allowedValuesOf(f)
+      };
+    });
+  });
+}
+
+/**
+ * Récupère le layout complet (include=fields documenté, puis fallback sans include).
+ * Sans layoutId, utilise le layout de création du profil (ZOHO_TICKET_LAYOUT_ID).
+ */
+async function fetchLayout(layoutId = currentProfile().layoutId) {
+  if (!layoutId) {
+    throw codedError('MISSING_PARAMETER', { statusCode: 400 }, { name: 'layoutId' });
+  }
+
+  let result = await deskRequest(`/layouts/${encodeURIComponent(layoutId)}?include=fields`, { context: 'layoutFields include=fields' })
+    .catch(err => {
+      console.error(err);
+      return null;
+    });
+
+  // Fallback si erreur ou réponse vide/illisible
+  if (!result || !result.ok || !result.data) {
+    console.warn("Retry layoutFields without include");
+    result = await deskRequest(`/layouts/${encodeURIComponent(layoutId)}`, { context: 'layoutFields fallback' });
+    if (!result.ok || !result.data) {
+      throw deskError({ ...result, status: result.ok ? 502 : result.status }, 'layoutFields');
+    }
+  }
+
+  const layout = result.data;
+  return { layout, fields: extractLayoutFields(layout) };
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Validation d'une valeur selon le dataType Zoho ; renvoie le code d'erreur (FIELD_*) ou null
+function fieldErrorCode(field, value) {
+  if (isEmpty(value)) {
+    return field.required ? 'FIELD_REQUIRED' : null;
+  }
+
+  const text = String(value).trim();
+  switch (field.dataType) {
+    case 'Number':
+      if (!/^-?\d+$/.test(text)) return 'FIELD_INTEGER';
+      break;
+    case 'Decimal':
+    case 'Currency':
+    case 'Percent':
+      if (!Number.isFinite(Number(text))) return 'FIELD_NUMBER';
+      break;
+    case 'Email':
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) return 'FIELD_EMAIL';
+      break;
+    case 'URL':
+      if (!/^https?:\/\/\S+$/i.test(text)) return 'FIELD_URL';
+      break;
+    case 'Date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) return 'FIELD_DATE';
+      break;
+    case 'DateTime':
+      if (Number.isNaN(Date.parse(text))) return 'FIELD_DATETIME';
+      break;
+    case 'Boolean':
+      if (!['true', 'false'].includes(text.toLowerCase())) return 'FIELD_BOOLEAN';
+      break;
+    case 'Picklist':
+      if (field.allowedValues && !field.allowedValues.includes(text)) return 'FIELD_PICKLIST';
+      break;
+    default:
+      break;
+  }
+
+  if (field.maxLength && text.length > field.maxLength) {
+    return 'FIELD_MAX_LENGTH';
+  }
+  return null;
+}
+
+// Message traduit, ou null si la valeur est valide
+function validateFieldValue(field, value) {
+  const code = fieldErrorCode(field, value);
+  return code ? message(code, { max: field.maxLength }) : null;
+}
+
+/**
+ * Valide les valeurs saisies contre les champs éditables du layout.
+ * Renvoie { payload, errors } : cf.* regroupés sous payload.cf, champs inconnus ignorés.
+ */
+function buildTicketPayload(fields, values = {}) {
+  const errors = {};
+  const payload = {};
+
+  fields.filter(f => f.editable && f.apiName).forEach(field => {
+    const value = values[field.apiName];
+    const error = validateFieldValue(field, value);
+    if (error) {
+      errors[field.apiName] = error;
+      return;
+    }
+    if (isEmpty(value)) return;
+
+    const normalized = field.dataType === 'Boolean' ? String(value).toLowerCase() === 'true' : String(value).trim();
+    if (isCustomField(field.apiName)) {
+      payload.cf = payload.cf || {};
+      payload.cf[field.apiName.replace(/^cf\./, '')] = normalized;
+    } else {
+      payload[field.apiName] = normalized;
+    }
+  });
+
+  return { payload, errors };
+}
+
+module.exports = {
+  isCustomField,
+  extractLayoutFields,
+  fetchLayout,
+  validateFieldValue,
+  buildTicketPayload
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { readJson, updateJson } = require('./store');
+const { headerOf } = require('./http');
+
+const {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_MAX_ATTEMPTS_IP,
+  LOGIN_MAX_ATTEMPTS_ACCOUNT,
+  LOGIN_LOCKOUT_MINUTES
+} = process.env;
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+const STORE_NAME = 'login-attempts';
+const BASE_DELAY_MS = 1000;
+// Par IP : échecs tolérés avant le premier délai, puis délai doublé à chaque échec (1 s, 2 s, 4 s...)
+const FREE_ATTEMPTS = positiveInt(LOGIN_FREE_ATTEMPTS, 3);
+const LOCKOUT_MS = positiveInt(LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000;
+// Par compte (attaque répartie sur plusieurs IP) : verrouillage seul, à un seuil plus haut.
+// Jamais pour le mot de passe partagé : n'importe qui pourrait bloquer tout le portail.
+const MAX_FAILURES = {
+  ip: positiveInt(LOGIN_MAX_ATTEMPTS_IP, 10),
+  account: positiveInt(LOGIN_MAX_ATTEMPTS_ACCOUNT, 20)
+};
+// Compteur oublié après une heure sans échec (et hors verrouillage)
+const FORGET_AFTER_MS = 60 * 60 * 1000;
+
+// Netlify fournit l'IP du client ; x-forwarded-for en secours (dev local, proxy)
+function clientIp(event) {
+  const direct = headerOf(event, 'x-nf-client-connection-ip');
+  if (direct) return direct.trim();
+  const forwarded = headerOf(event, 'x-forwarded-for');
+  return forwarded ? forwarded.split(',')[0].trim() : 'inconnue';
+}
+
+/**
+ * Compteurs concernés par une tentative : l'IP, et le compte visé quand il y en a un
+ * (l'email saisi ; null en mode mot de passe partagé).
+ */
+function attemptKeys(event, account = null) {
+  const keys = [{ scope: 'ip', label: clientIp(event) }];
+  if (account !== null) keys.push({ scope: 'account', label: account });
+  return keys.map(key => ({
+    ...key,
+    id: `${key.scope}:${crypto.createHash('sha256').update(key.label).digest('hex').slice(0, 32)}`
+  }));
+}
+
+function pruned(doc, now) {
+  const entries = {};
+  Object.entries(doc.entries).forEach(([id, entry]) => {
+    if (Math.max(entry.lastFailure + FORGET_AFTER_MS, entry.blockedUntil) > now) entries[id] = entry;
+  });
+  return { entries };
+}
+
+function waitFor(entries, keys, now) {
+  let retryAfterMs = 0;
+  let locked = false;
+  keys.forEach(key => {
+    const entry = entries[key.id];
+    if (!entry || entry.blockedUntil <= now) return;
+    retryAfterMs = Math.max(retryAfterMs, entry.blockedUntil - now);
+    locked = locked || Boolean(entry.locked);
+  });
+  return retryAfterMs > 0 ? { retryAfter: Math.ceil(retryAfterMs / 1000), locked } : null;
+}
+
+// Attente imposée avant une nouvelle tentative (null si aucune) ; simple lecture,
+// les entrées expirées sont purgées à la prochaine écriture
+async function loginWait(keys, now = Date.now()) {
+  const doc = await readJson(STORE_NAME, { entries: {} });
+  return waitFor(doc.entries, keys, now);
+}
+
+/**
+ * Enregistre un échec : délai exponentiel au-delà des essais gratuits, verrouillage
+ * temporaire au seuil. Renvoie l'attente désormais imposée.
+ */
+async function recordFailure(keys, now = Date.now()) {
+  let wait = null;
+  await updateJson(STORE_NAME, { entries: {} }, doc => {
+    const next = pruned(doc, now);
+    keys.forEach(key => {
+      const entry = next.entries[key.id] || { failures: 0, blockedUntil: 0 };
+      // Verrouillage expiré : on repart de zéro, sinon un échec par période suffirait à le prolonger
+      if (entry.locked && entry.blockedUntil <= now) {
+        entry.failures = 0;
+      }
+      entry.failures += 1;
+      entry.lastFailure = now;
+      entry.locked = entry.failures >= MAX_FAILURES[key.scope];
+      if (entry.locked) {
+        entry.blockedUntil = now + LOCKOUT_MS;
+        console.warn(`Connexion verrouillée ${LOCKOUT_MS / 60000} min (${key.scope === 'ip' ? 'IP' : 'compte'} ${key.label}) après ${entry.failures} échecs`);
+      } else if (key.scope === 'ip' && entry.failures > FREE_ATTEMPTS) {
+        entry.blockedUntil = now + Math.min(BASE_DELAY_MS * 2 ** (entry.failures - FREE_ATTEMPTS - 1), LOCKOUT_MS);
+      }
+      next.entries[key.id] = entry;
+    });
+    wait = waitFor(next.entries, keys, now);
+    return next;
+  });
+  return wait;
+}
+
+// Seul le compteur du compte est remis à zéro : une connexion réussie avec son propre
+// compte ne doit pas effacer les échecs de l'IP sur les comptes des autres
+async function recordSuccess(keys) {
+  await updateJson(STORE_NAME, { entries: {} }, doc => {
+    const reset = keys.filter(key => key.scope === 'account' && doc.entries[key.id]);
+    if (reset.length === 0) return undefined;
+    reset.forEach(key => delete doc.entries[key.id]);
+    return doc;
+  });
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} s`;
+  return `${Math.ceil(seconds / 60)} min`;
+}
+
+module.exports = {
+  attemptKeys,
+  loginWait,
+  recordFailure,
+  recordSuccess,
+  formatWait
+};
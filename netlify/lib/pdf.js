@@ -0,0 +1,224 @@
+const zlib = require('zlib');
+
+/*
+ * Générateur PDF minimal (texte seul) : polices standard Helvetica, encodage WinAnsi,
+ * retour à la ligne calculé sur les largeurs AFM. Suffisant pour des documents
+ * imprimables sans dépendance ni service externe.
+ */
+
+const PAGE = { width: 595.28, height: 841.89, margin: 50 }; // A4 en points
+const FOOTER_SIZE = 8;
+
+// Largeurs AFM des caractères 32 à 126 (millièmes de la taille de police)
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const FONT_NAMES = { regular: 'F1', bold: 'F2' };
+
+const STYLES = {
+  title: { font: 'bold', size: 16, before: 0, after: 8 },
+  heading: { font: 'bold', size: 12, before: 14, after: 4 },
+  label: { font: 'bold', size: 9.5, before: 6, after: 1 },
+  text: { font: 'regular', size: 9.5, before: 0, after: 3 },
+  muted: { font: 'regular', size: 8, before: 0, after: 2, gray: 0.4 }
+};
+
+// Caractères hors Latin-1 présents dans WinAnsi (plage 0x80-0x9F)
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‹': 0x8B, 'Œ': 0x8C, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, '›': 0x9B, 'œ': 0x9C, 'Ÿ': 0x9F
+};
+const REPLACEMENTS = { '→': '->', '←': '<-', '\t': '    ' };
+
+// Texte → codes WinAnsi ; les caractères non représentables deviennent "?"
+function toWinAnsi(text) {
+  const codes = [];
+  for (const ch of String(text).replace(/[→←\t]/g, c => REPLACEMENTS[c])) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI_EXTRA[ch]) codes.push(WIN_ANSI_EXTRA[ch]);
+    else if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) codes.push(code);
+    else if (code >= 32) codes.push(63);
+  }
+  return codes;
+}
+
+function charWidth(code, font) {
+  if (code >= 32 && code <= 126) return WIDTHS[font][code - 32];
+  // Lettres accentuées : largeur de la lettre de base
+  const base = String.fromCharCode(code).normalize('NFD').charCodeAt(0);
+  return base >= 32 && base <= 126 ? WIDTHS[font][base - 32] : 556;
+}
+
+function textWidth(codes, font, size) {
+  return codes.reduce((sum, code) => sum + charWidth(code, font), 0) * size / 1000;
+}
+
+// Découpe un paragraphe en lignes de largeur maxWidth (mots trop longs coupés)
+function wrapCodes(codes, font, size, maxWidth) {
+  const lines = [];
+  let line = [];
+  let word = [];
+
+  const flushWord = () => {
+    if (word.length === 0) return;
+    const candidate = line.length ? [...line, 32, ...word] : word;
+    if (textWidth(candidate, font, size) <= maxWidth) {
+      line = candidate;
+    } else {
+      if (line.length) lines.push(line);
+      line = [];
+      while (textWidth(word, font, size) > maxWidth) {
+        let cut = word.length - 1;
+        while (cut > 1 && textWidth(word.slice(0, cut), font, size) > maxWidth) cut -= 1;
+        lines.push(word.slice(0, cut));
+        word = word.slice(cut);
+      }
+      line = word;
+    }
+    word = [];
+  };
+
+  codes.forEach(code => {
+    if (code === 32) flushWord();
+    else word.push(code);
+  });
+  flushWord();
+  lines.push(line);
+  return lines;
+}
+
+function pdfString(codes) {
+  return `(${codes.map(code => {
+    if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+    if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+    return String.fromCharCode(code);
+  }).join('')})`;
+}
+
+function textOp(codes, font, size, x, y, gray = 0) {
+  return `BT /${FONT_NAMES[font]} ${size} Tf ${gray} g ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(codes)} Tj ET`;
+}
+
+// Place les blocs { style, text } sur des pages A4 ; renvoie les opérations de chaque page
+function layout(blocks) {
+  const maxWidth = PAGE.width - 2 * PAGE.margin;
+  const bottom = PAGE.margin + FOOTER_SIZE * 2;
+  const pages = [[]];
+  let y = PAGE.height - PAGE.margin;
+
+  blocks.forEach(block => {
+    const style = STYLES[block.style] || STYLES.text;
+    const leading = style.size * 1.3;
+    if (y < PAGE.height - PAGE.margin) y -= style.before;
+
+    const paragraphs = String(block.text === undefined || block.text === null ? '' : block.text).split(/\r?\n/);
+    const lines = paragraphs.flatMap(p => wrapCodes(toWinAnsi(p), style.font, style.size, maxWidth));
+    lines.forEach((line, index) => {
+      // Un titre ne reste pas seul en bas de page
+      const keep = index === 0 && (block.style === 'heading' || block.style === 'label') ? leading * 2 : leading;
+      if (y - keep < bottom) {
+        pages.push([]);
+        y = PAGE.height - PAGE.margin;
+      }
+      y -= leading;
+      if (line.length) {
+        pages[pages.length - 1].push(textOp(line, style.font, style.size, PAGE.margin, y, style.gray));
+      }
+    });
+    y -= style.after;
+  });
+
+  return pages;
+}
+
+function pdfDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Produit un PDF à partir de blocs { style: title|heading|label|text|muted, text }.
+ * footer : texte répété en bas de chaque page, suivi de la pagination.
+ */
+function renderPdf(blocks, { title = '', footer = '', date = new Date() } = {}) {
+  const pages = layout(blocks);
+  const objects = [];
+  const add = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const resources = `<< /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >>`;
+
+  const pageIds = pages.map((ops, index) => {
+    const pageLabel = toWinAnsi(`Page ${index + 1} / ${pages.length}`);
+    const footerOps = [
+      textOp(toWinAnsi(footer), 'regular', FOOTER_SIZE, PAGE.margin, PAGE.margin - FOOTER_SIZE, 0.4),
+      textOp(pageLabel, 'regular', FOOTER_SIZE, PAGE.width - PAGE.margin - textWidth(pageLabel, 'regular', FOOTER_SIZE), PAGE.margin - FOOTER_SIZE, 0.4)
+    ];
+    const stream = zlib.deflateSync(Buffer.from([...ops, ...footerOps].join('\n'), 'latin1'));
+    const contentId = add(Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream', 'latin1')
+    ]));
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< /Title ${pdfString(toWinAnsi(title))} /Producer (Zoho Desk Portal) /CreationDate (${pdfDate(date)}) >>`);
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    chunks.push(chunk);
+    const start = offset;
+    offset += chunk.length;
+    return start;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { verifyAuth } = require('./session');
+const { jsonResponse } = require('./http');
+const { errorBody } = require('./i18n');
+
+const {
+  PORTAL_PROFILES_FILE,
+  ZOHO_PROFILE_NAME,
+  ZOHO_DC,
+  ZOHO_ORG_ID,
+  ZOHO_ACCOUNT_ID,
+  ZOHO_DEPARTMENT_ID,
+  ZOHO_TICKET_LAYOUT_ID,
+  ZOHO_DEFAULT_CONTACT_ID,
+  ZOHO_CLIENT_ID,
+  ZOHO_CLIENT_SECRET,
+  ZOHO_REFRESH_TOKEN,
+  PORTAL_SUBJECT_TAG,
+  DESK_WEBHOOK_SECRET
+} = process.env;
+
+const DEFAULT_PROFILE_ID = 'default';
+
+// Valeurs de l'environnement : profil unique sans fichier, valeurs par défaut sinon
+const ENV_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: ZOHO_PROFILE_NAME || 'Zoho Desk',
+  dc: ZOHO_DC,
+  orgId: ZOHO_ORG_ID,
+  accountId: ZOHO_ACCOUNT_ID,
+  departmentId: ZOHO_DEPARTMENT_ID,
+  layoutId: ZOHO_TICKET_LAYOUT_ID,
+  defaultContactId: ZOHO_DEFAULT_CONTACT_ID,
+  subjectTag: PORTAL_SUBJECT_TAG,
+  clientId: ZOHO_CLIENT_ID,
+  clientSecret: ZOHO_CLIENT_SECRET,
+  refreshToken: ZOHO_REFRESH_TOKEN,
+  webhookSecret: DESK_WEBHOOK_SECRET
+};
+
+const SECRET_FIELDS = ['clientId', 'clientSecret', 'refreshToken', 'webhookSecret'];
+
+const requestProfile = new AsyncLocalStorage();
+let profilesCache = null;
+
+// Les secrets ne sont pas écrits dans le fichier : "env:NOM_VARIABLE" renvoie à l'environnement
+function resolveSecret(value) {
+  const match = /^env:(\w+)$/.exec(String(value || ''));
+  return match ? process.env[match[1]] : value;
+}
+
+function normalizeProfile(raw) {
+  const profile = { ...ENV_PROFILE };
+  Object.entries(raw).forEach(([field, value]) => {
+    if (value !== undefined && value !== null && value !== '') profile[field] = value;
+  });
+  SECRET_FIELDS.forEach(field => {
+    profile[field] = resolveSecret(profile[field]);
+  });
+  profile.id = String(raw.id);
+  profile.name = raw.name || profile.id;
+  return profile;
+}
+
+/**
+ * Profils Zoho (organisation, compte, département, identifiants) du fichier
+ * PORTAL_PROFILES_FILE ({ profiles: [...] }), chargé une fois par instance.
+ * Un champ absent d'un profil reprend la variable d'environnement correspondante.
+ */
+function loadProfiles() {
+  if (profilesCache) return profilesCache;
+  if (!PORTAL_PROFILES_FILE) {
+    profilesCache = [ENV_PROFILE];
+    return profilesCache;
+  }
+
+  const file = path.resolve(PORTAL_PROFILES_FILE);
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(content) ? content : content.profiles;
+  if (!Array.isArray(list) || list.length === 0 || list.some(p => !p || !p.id)) {
+    throw new Error(`Fichier de profils invalide: ${file}`);
+  }
+  profilesCache = list.map(normalizeProfile);
+  return profilesCache;
+}
+
+function findProfile(id) {
+  return loadProfiles().find(p => p.id === String(id)) || null;
+}
+
+// Sans liste "profiles" dans le fichier utilisateurs, l'utilisateur a accès à tous les profils
+function canUseProfile(user, profile) {
+  if (!user || !profile) return false;
+  if (user.unrestricted || !user.profiles) return true;
+  return user.profiles.includes(profile.id);
+}
+
+function allowedProfiles(user) {
+  return loadProfiles().filter(p => canUseProfile(user, p));
+}
+
+// Profil de la requête en cours (premier profil hors requête : scripts, tests)
+function currentProfile() {
+  return requestProfile.getStore() || loadProfiles()[0];
+}
+
+function runWithProfile(profile, fn) {
+  return requestProfile.run(profile, fn);
+}
+
+// Les stores indexés par ticket sont séparés par profil ; le profil par défaut garde les noms d'origine
+function profileStoreName(name, profile = currentProfile()) {
+  return profile.id === DEFAULT_PROFILE_ID ? name : `${name}-${profile.id}`;
+}
+
+// Vue publique (jamais les identifiants Zoho)
+function publicProfile(profile) {
+  return { id: profile.id, name: profile.name };
+}
+
+/**
+ * Exécute le handler dans le profil demandé (paramètre profile), après vérification des
+ * droits de l'utilisateur connecté. Sans paramètre : premier profil autorisé. Un profil
+ * inconnu ou interdit répond 404, comme un ticket hors périmètre.
+ */
+function withProfile(handler) {
+  return async (event) => {
+    const requested = (event.queryStringParameters || {}).profile;
+    let user = null;
+    let profile;
+    try {
+      const session = await verifyAuth(event);
+      user = session && session.user;
+      profile = requested ? findProfile(requested) : (user ? allowedProfiles(user)[0] : loadProfiles()[0]);
+    } catch (e) {
+      console.error('Lecture du fichier de profils impossible:', e);
+      return jsonResponse(500, errorBody('CONFIGURATION_MISSING'));
+    }
+
+    if (requested && (!profile || (user && !canUseProfile(user, profile)))) {
+      console.warn(`Profil ${requested} refusé pour l'utilisateur ${user ? user.id : '(anonyme)'}`);
+      return jsonResponse(404, errorBody('PROFILE_NOT_FOUND'));
+    }
+    if (!profile) {
+      return jsonResponse(403, errorBody('NO_PROFILE_ALLOWED'));
+    }
+    return runWithProfile(profile, () => handler(event));
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  loadProfiles,
+  findProfile,
+  canUseProfile,
+  allowedProfiles,
+  currentProfile,
+  runWithProfile,
+  profileStoreName,
+  publicProfile,
+  withProfile
+};
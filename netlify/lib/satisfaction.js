@@ -0,0 +1,186 @@
+const { fetchLayout, isCustomField } = require('./layouts');
+const { deskJson, deskError } = require('./zohoDesk');
+const { parseTicketQuery, collectTickets, withTicketDetails } = require('./ticketQuery');
+const { codedError } = require('./i18n');
+
+const { CSAT_RATING_FIELD, CSAT_COMMENT_FIELD } = process.env;
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_COMMENT_LENGTH = 2000;
+// Moyenne : un appel Zoho par ticket résolu (champs personnalisés), nombre de tickets borné
+const MAX_SUMMARY_TICKETS = 200;
+
+const RATING_FIELD_PATTERN = /(satisfaction|csat|happiness|rating)/i;
+const COMMENT_FIELD_PATTERN = /(comment|remarque|avis)/i;
+
+// Même règle que les statistiques du portail (updateStats)
+function isResolvedStatus(ticket) {
+  if (String(ticket.statusType || '').toLowerCase() === 'closed') return true;
+  const status = String(ticket.status || '').toLowerCase();
+  return status.includes('clos') || status.includes('ferme') || status.includes('resolved');
+}
+
+function validateRating(body) {
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    throw codedError('INVALID_RATING', { statusCode: 400 }, { min: MIN_RATING, max: MAX_RATING });
+  }
+  const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    throw codedError('COMMENT_TOO_LONG', { statusCode: 400 }, { max: MAX_COMMENT_LENGTH });
+  }
+  return { rating, comment };
+}
+
+/**
+ * Champs personnalisés recevant la note et le commentaire : CSAT_RATING_FIELD /
+ * CSAT_COMMENT_FIELD s'ils sont définis, sinon repérés dans le layout du ticket
+ * par leur nom ("Satisfaction", "CSAT"...).
+ */
+function findSatisfactionFields(fields) {
+  const custom = fields.filter(f => f.apiName && isCustomField(f.apiName));
+  const byApiName = name => custom.find(f => f.apiName === name || f.apiName.replace(/^cf\./, '') === name) || null;
+  const matches = f => RATING_FIELD_PATTERN.test(f.apiName) || RATING_FIELD_PATTERN.test(f.displayName || '');
+  const isComment = f => COMMENT_FIELD_PATTERN.test(f.apiName) || COMMENT_FIELD_PATTERN.test(f.displayName || '');
+
+  const rating = CSAT_RATING_FIELD
+    ? byApiName(CSAT_RATING_FIELD)
+    : custom.find(f => matches(f) && !isComment(f)) || null;
+  const comment = CSAT_COMMENT_FIELD
+    ? byApiName(CSAT_COMMENT_FIELD)
+    : custom.find(f => matches(f) && isComment(f)) || null;
+  return { rating, comment };
+}
+
+// Valeur adaptée au type du champ : liste de choix "4 - Satisfait", nombre ou texte
+function ratingValue(field, rating) {
+  if (field.allowedValues) {
+    const value = field.allowedValues.find(v => parseInt(v, 10) === rating);
+    if (!value) {
+      throw codedError('SATISFACTION_VALUE_MISSING', { statusCode: 500 }, { field: field.apiName, rating });
+    }
+    return value;
+  }
+  return ['Number', 'Decimal', 'Percent'].includes(field.dataType) ? rating : String(rating);
+}
+
+function cfKey(field) {
+  return field.apiName.replace(/^cf\./, '');
+}
+
+/**
+ * Enregistre la note dans les champs personnalisés du ticket. L'API Desk ne permet pas
+ * de créer une évaluation "happiness" pour le compte d'un client : le champ dédié fait foi.
+ */
+async function saveRatingToDesk(ticket, { rating, comment }) {
+  const { fields } = await fetchLayout(ticket.layoutId || undefined);
+  const target = findSatisfactionFields(fields);
+  if (!target.rating) {
+    throw codedError('SATISFACTION_FIELD_MISSING', { statusCode: 500 });
+  }
+
+  const cf = { [cfKey(target.rating)]: ratingValue(target.rating, rating) };
+  if (target.comment) {
+    cf[cfKey(target.comment)] = comment.slice(0, target.comment.maxLength || MAX_COMMENT_LENGTH);
+  }
+
+  const result = await deskJson(`/tickets/${encodeURIComponent(ticket.id)}`, { cf }, {
+    method: 'PUT',
+    context: 'satisfaction'
+  });
+  if (!result.ok) {
+    throw deskError(result, 'satisfaction');
+  }
+
+  // Sans champ commentaire, le commentaire reste lisible des agents dans une note privée
+  if (!target.comment && comment) {
+    const note = await deskJson(`/tickets/${encodeURIComponent(ticket.id)}/comments`, {
+      isPublic: false,
+      contentType: 'plainText',
+      content: `[Satisfaction client] ${rating}/${MAX_RATING}\n${comment}`
+    }, { method: 'POST', context: 'satisfaction commentaire' });
+    if (!note.ok) {
+      throw deskError(note, 'satisfaction commentaire');
+    }
+  }
+
+  return { ratingField: target.rating.apiName, commentField: target.comment ? target.comment.apiName : null };
+}
+
+/**
+ * Note enregistrée sur un ticket détaillé (GET /tickets/{id}, avec ses champs cf), lue dans
+ * les champs du layout : "4 - Satisfait" comme 4. null si le ticket n'est pas noté.
+ */
+function ratingFromTicket(ticket, fields) {
+  const target = findSatisfactionFields(fields);
+  if (!target.rating) return null;
+  const cf = ticket.cf || {};
+  const rating = parseInt(cf[cfKey(target.rating)], 10);
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) return null;
+  return { rating, comment: (target.comment && cf[cfKey(target.comment)]) || '' };
+}
+
+async function ratingOf(ticket) {
+  const { fields } = await fetchLayout(ticket.layoutId || undefined);
+  return ratingFromTicket(ticket, fields);
+}
+
+/**
+ * Moyenne des notes des tickets résolus visibles par l'utilisateur (tickets du portail
+ * uniquement), lue dans Zoho : la liste ne renvoyant pas les champs personnalisés, chaque
+ * ticket résolu est relu. `truncated` signale qu'il restait des tickets au-delà de la limite.
+ */
+async function satisfactionSummary(user) {
+  const query = parseTicketQuery({}, user);
+  const { tickets, truncated } = await collectTickets(query, user, MAX_SUMMARY_TICKETS);
+  const resolved = await withTicketDetails(tickets.filter(isResolvedStatus), 'satisfaction ticket');
+
+  // Un layout par département en général : lu une fois par calcul
+  const layouts = new Map();
+  const fieldsOf = ticket => {
+    const layoutId = ticket.layoutId || undefined;
+    if (!layouts.has(layoutId)) layouts.set(layoutId, fetchLayout(layoutId).then(layout => layout.fields));
+    return layouts.get(layoutId);
+  };
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let count = 0;
+  for (const ticket of resolved) {
+    const entry = ratingFromTicket(ticket, await fieldsOf(ticket));
+    if (!entry) continue;
+    distribution[entry.rating] += 1;
+    total += entry.rating;
+    count += 1;
+  }
+
+  return {
+    average: count ? Math.round((total / count) * 10) / 10 : null,
+    count,
+    distribution,
+    truncated
+  };
+}
+
+// Moyenne et répartition après qu'un ticket est passé de `previous` (note ou null) à `next`
+// (la moyenne est recalculée depuis la répartition, pas depuis la valeur arrondie)
+function applyRating(summary, previous, next) {
+  const distribution = { ...summary.distribution };
+  if (previous) distribution[previous.rating] -= 1;
+  distribution[next.rating] += 1;
+  const ratings = Object.entries(distribution);
+  const count = ratings.reduce((sum, [, n]) => sum + n, 0);
+  const total = ratings.reduce((sum, [rating, n]) => sum + Number(rating) * n, 0);
+  return { ...summary, average: Math.round((total / count) * 10) / 10, count, distribution };
+}
+
+module.exports = {
+  isResolvedStatus,
+  validateRating,
+  findSatisfactionFields,
+  saveRatingToDesk,
+  ratingOf,
+  satisfactionSummary,
+  applyRating
+};
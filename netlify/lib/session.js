@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { findUserById } = require('./users');
+const { readJson, updateJson } = require('./store');
+
+const { PORTAL_PASSWORD, AUTH_SECRET, AUTH_TTL_HOURS, AUTH_SESSION_VERSION } = process.env;
+const ttlHours = Number(AUTH_TTL_HOURS || 24);
+const TOKEN_TTL_MS = (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : 24) * 60 * 60 * 1000;
+const SESSIONS_STORE = 'sessions';
+
+function getSecret() {
+  return AUTH_SECRET || PORTAL_PASSWORD;
+}
+
+function timingSafeEqual(a, b) {
+  const aBuf = Buffer.from(a);
+  const bBuf = Buffer.from(b);
+  if (aBuf.length !== bBuf.length) return false;
+  return crypto.timingSafeEqual(aBuf, bBuf);
+}
+
+function parseCookies(header = '') {
+  return header.split(';').reduce((acc, part) => {
+    const [key, ...rest] = part.trim().split('=');
+    if (!key) return acc;
+    acc[key] = rest.join('=');
+    return acc;
+  }, {});
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Jeton = base64url({ sub, sid, ver, cred, exp }).signature HMAC.
+ * Renvoie le contenu décodé si la signature et l'expiration sont valides, sinon null.
+ */
+function verifyToken(token, secret) {
+  if (!token || !secret) return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !timingSafeEqual(sign(payload, secret), signature)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!claims || !claims.sub || !Number.isFinite(claims.exp) || claims.exp < Date.now()) return null;
+  return claims;
+}
+
+function readSessions() {
+  return readJson(SESSIONS_STORE, { version: 0, revoked: {} });
+}
+
+/**
+ * Version des sessions : AUTH_SESSION_VERSION (à changer au déploiement) et compteur du
+ * store (scripts/revokeSessions.js). Un jeton d'une autre version n'est plus accepté.
+ */
+function sessionVersion(sessions) {
+  return `${AUTH_SESSION_VERSION || 0}.${sessions.version || 0}`;
+}
+
+/**
+ * Empreinte des identifiants de l'utilisateur au moment de la connexion : changer
+ * PORTAL_PASSWORD ou le mot de passe d'un utilisateur invalide ses sessions, même
+ * quand les jetons sont signés avec AUTH_SECRET.
+ */
+function credentialStamp(user, secret) {
+  const credential = user.passwordHash || `shared:${PORTAL_PASSWORD || ''}`;
+  return sign(`credential\n${user.id}\n${credential}`, secret).slice(0, 24);
+}
+
+async function generateToken(secret, userId) {
+  const user = findUserById(userId);
+  const claims = {
+    sub: userId,
+    sid: crypto.randomBytes(16).toString('base64url'),
+    ver: sessionVersion(await readSessions()),
+    cred: user ? credentialStamp(user, secret) : null,
+    exp: Date.now() + TOKEN_TTL_MS
+  };
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Vérifie le cookie authToken posé par la fonction auth.
+ * Renvoie { user, sessionId, expiresAt } ou null : utilisateur retiré du fichier, session
+ * révoquée (déconnexion, revokeAllSessions) ou identifiants changés depuis la connexion.
+ */
+async function verifyAuth(event) {
+  const cookies = parseCookies((event.headers && event.headers.cookie) || '');
+  const claims = verifyToken(cookies.authToken, getSecret());
+  if (!claims) return null;
+
+  let user;
+  try {
+    user = findUserById(claims.sub);
+  } catch (e) {
+    console.error('Lecture du fichier utilisateurs impossible:', e);
+    return null;
+  }
+  if (!user) return null;
+  if (!await isSessionActive(claims, user)) return null;
+  return { user, sessionId: claims.sid, expiresAt: claims.exp };
+}
+
+// Jetons d'avant la révocation (sans sid) refusés : ils ne pourraient pas être révoqués
+async function isSessionActive(claims, user) {
+  const sessions = await readSessions();
+  if (!claims.sid || claims.ver !== sessionVersion(sessions)) return false;
+  if (claims.cred !== credentialStamp(user, getSecret())) return false;
+  return !(sessions.revoked && sessions.revoked[claims.sid]);
+}
+
+// Déconnexion : la session reste refusée jusqu'à l'expiration du jeton
+async function revokeSession(session) {
+  const now = Date.now();
+  await updateJson(SESSIONS_STORE, { version: 0, revoked: {} }, doc => {
+    const revoked = {};
+    Object.entries(doc.revoked || {}).forEach(([sid, exp]) => {
+      if (exp > now) revoked[sid] = exp;
+    });
+    revoked[session.sessionId] = session.expiresAt;
+    return { ...doc, revoked };
+  });
+}
+
+// Invalide toutes les sessions ouvertes (rotation de mot de passe, fuite de jeton...)
+async function revokeAllSessions() {
+  const doc = await updateJson(SESSIONS_STORE, { version: 0, revoked: {} }, current => ({
+    version: (current.version || 0) + 1,
+    revoked: {}
+  }));
+  return doc.version;
+}
+
+function sessionCookie(token) {
+  return [
+    `authToken=${token}`,
+    'Path=/',
+    'HttpOnly',
+    'Secure',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(TOKEN_TTL_MS / 1000)}`
+  ].join('; ');
+}
+
+function clearedSessionCookie() {
+  return 'authToken=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0';
+}
+
+module.exports = {
+  TOKEN_TTL_MS,
+  getSecret,
+  timingSafeEqual,
+  parseCookies,
+  verifyToken,
+  generateToken,
+  verifyAuth,
+  revokeSession,
+  revokeAllSessions,
+  sessionCookie,
+  clearedSessionCookie
+};
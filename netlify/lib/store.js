@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { getStore, connectLambda } = require('@netlify/blobs');
+
+const { PORTAL_STORE_DIR, PORTAL_BLOBS_STORE, NETLIFY_SITE_ID, NETLIFY_BLOBS_TOKEN } = process.env;
+
+/**
+ * Deux emplacements possibles, toujours partagés par toutes les instances des fonctions :
+ * - Netlify Blobs (par défaut) : store PORTAL_BLOBS_STORE du site ;
+ * - PORTAL_STORE_DIR : répertoire d'un volume commun (hébergement hors Netlify, tests).
+ * Le /tmp d'une fonction Netlify n'est jamais utilisé : chaque instance a le sien.
+ */
+const STORE_DIR = PORTAL_STORE_DIR ? path.resolve(PORTAL_STORE_DIR) : null;
+const BLOBS_STORE = PORTAL_BLOBS_STORE || 'zoho-portal';
+// Identifiants de l'API Netlify : lectures toujours à jour, y compris depuis les scripts
+const API_CREDENTIALS = NETLIFY_SITE_ID && NETLIFY_BLOBS_TOKEN
+  ? { siteID: NETLIFY_SITE_ID, token: NETLIFY_BLOBS_TOKEN }
+  : null;
+// Écritures concurrentes d'autres instances : relecture puis nouvel essai, avec un délai
+// croissant pour laisser au cache le temps de servir la nouvelle version
+const MAX_UPDATE_ATTEMPTS = 8;
+const RETRY_BASE_MS = 50;
+const RETRY_MAX_MS = 1000;
+
+let blobs = null;
+let lambdaContext = false;
+// Dernière écriture de cette instance par document : { etag, data, outdated } ;
+// outdated = versions (ETag, null si absent) que cette instance sait remplacées
+const ownWrites = new Map();
+const MAX_OUTDATED_VERSIONS = 20;
+
+/**
+ * Fonctions en mode compatibilité Lambda (exports.handler) : sans identifiants d'API,
+ * le contexte Blobs arrive dans l'évènement et doit être déclaré avant le premier accès
+ * (voir withHttpPolicy).
+ */
+function connectStore(event) {
+  if (STORE_DIR || API_CREDENTIALS || !event || !event.blobs) return;
+  connectLambda(event);
+  lambdaContext = true;
+  blobs = null;
+}
+
+/**
+ * Lecture forte dès que l'environnement le permet (API, netlify dev, fonctions v2).
+ * Le contexte Lambda ne fournit que l'URL du cache : les lectures peuvent alors avoir
+ * jusqu'à une minute de retard. Configurer NETLIFY_SITE_ID et NETLIFY_BLOBS_TOKEN pour
+ * des lectures fortes ; à défaut, voir latest() et updateJson.
+ */
+function blobStore() {
+  if (!blobs) {
+    blobs = getStore({
+      name: BLOBS_STORE,
+      consistency: lambdaContext ? 'eventual' : 'strong',
+      ...API_CREDENTIALS
+    });
+  }
+  return blobs;
+}
+
+function filePath(name) {
+  return path.join(STORE_DIR, `${name}.json`);
+}
+
+function readFile(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath(name), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+}
+
+// Écriture atomique (fichier temporaire + rename) : jamais de JSON tronqué
+function writeFile(name, value) {
+  // Les clés peuvent contenir des « / » (feedback/<ticketId>) : un sous-dossier par préfixe
+  fs.mkdirSync(path.dirname(filePath(name)), { recursive: true });
+  const tmp = `${filePath(name)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value));
+  fs.renameSync(tmp, filePath(name));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Version lue, sauf si le cache sert encore une version que cette instance a remplacée :
+ * on repart alors de sa propre écriture (cas courant : deux écritures successives sur la
+ * même clé, comme « en cours » puis « terminé » d'une requête idempotente).
+ */
+async function latest(store, name) {
+  const current = await store.getWithMetadata(name, { type: 'json' });
+  const own = ownWrites.get(name);
+  if (own && own.outdated.includes(current ? current.etag : null)) {
+    return { data: structuredClone(own.data), etag: own.etag };
+  }
+  return current;
+}
+
+function rememberWrite(name, current, etag, data) {
+  const previous = ownWrites.get(name);
+  const outdated = [...(previous ? previous.outdated : []), current ? current.etag : null];
+  ownWrites.set(name, { etag, data: structuredClone(data), outdated: outdated.slice(-MAX_OUTDATED_VERSIONS) });
+}
+
+async function readJson(name, fallback) {
+  if (STORE_DIR) return readFile(name, fallback);
+  const current = await latest(blobStore(), name);
+  return current ? current.data : fallback;
+}
+
+async function writeJson(name, value) {
+  if (STORE_DIR) {
+    writeFile(name, value);
+    return;
+  }
+  ownWrites.delete(name);
+  await blobStore().setJSON(name, value);
+}
+
+/**
+ * Lecture-modification-écriture d'un document. Sur Netlify Blobs, l'écriture n'a lieu
+ * que si le document n'a pas changé depuis la lecture (ETag) ; sinon `update` est
+ * rappelé sur la nouvelle version. `update` peut donc être appelé plusieurs fois.
+ * S'il renvoie undefined, rien n'a changé : aucune écriture, le document lu est renvoyé.
+ */
+async function updateJson(name, fallback, update) {
+  if (STORE_DIR) {
+    const current = readFile(name, fallback);
+    const next = update(current);
+    if (next === undefined) return current;
+    writeFile(name, next);
+    return next;
+  }
+
+  const store = blobStore();
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      await sleep(Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS) * (0.5 + Math.random() / 2));
+    }
+    const current = await latest(store, name);
+    const data = current ? current.data : structuredClone(fallback);
+    const next = update(data);
+    if (next === undefined) return data;
+    const condition = current ? { onlyIfMatch: current.etag } : { onlyIfNew: true };
+    const result = await store.setJSON(name, next, condition);
+    if (result.modified) {
+      rememberWrite(name, current, result.etag, next);
+      return next;
+    }
+    // Notre copie n'est plus la dernière version : relire le store au prochain essai
+    ownWrites.delete(name);
+  }
+  throw new Error(`Store ${name} : écritures concurrentes, mise à jour abandonnée`);
+}
+
+module.exports = {
+  STORE_DIR,
+  connectStore,
+  readJson,
+  writeJson,
+  updateJson
+};
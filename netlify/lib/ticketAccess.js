@@ -0,0 +1,44 @@
+const { deskRequest, deskError } = require('./zohoDesk');
+const { canAccessTicket } = require('./users');
+const { codedError } = require('./i18n');
+
+// 404 plutôt que 403 : on ne révèle pas l'existence d'un ticket hors périmètre
+function ticketNotFound() {
+  return codedError('TICKET_NOT_FOUND', { statusCode: 404 });
+}
+
+function assertCanAccess(user, ticket) {
+  if (!canAccessTicket(user, ticket)) {
+    console.warn(`Accès refusé au ticket ${ticket && ticket.id} pour l'utilisateur ${user && user.id}`);
+    throw ticketNotFound();
+  }
+}
+
+// Lit le ticket et vérifie que l'utilisateur peut le voir (404 sinon)
+async function readAccessibleTicket(user, ticketId, context = 'lecture du ticket') {
+  const result = await deskRequest(`/tickets/${encodeURIComponent(ticketId)}`, { context });
+  if (result.status === 404) {
+    throw ticketNotFound();
+  }
+  if (!result.ok || !result.data) {
+    throw deskError(result, context);
+  }
+
+  assertCanAccess(user, result.data);
+  return result.data;
+}
+
+/**
+ * Vérifie que l'utilisateur peut voir le ticket avant d'appeler un endpoint qui en dépend.
+ * Renvoie le ticket lu (null pour un accès non restreint, sans appel Zoho).
+ */
+async function requireTicketAccess(user, ticketId) {
+  if (user && user.unrestricted) return null;
+  return readAccessibleTicket(user, ticketId, 'contrôle d\'accès');
+}
+
+module.exports = {
+  assertCanAccess,
+  readAccessibleTicket,
+  requireTicketAccess
+};
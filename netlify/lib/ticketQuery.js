@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { deskRequest, deskError, listFromData, hasMorePages } = require('./zohoDesk');
+const { canAccessTicket, canFilterByAssignee } = require('./users');
+const { currentProfile } = require('./profiles');
+const { codedError } = require('./i18n');
+
+const { PORTAL_SUBJECT_TAG } = process.env;
+
+const DEFAULT_SUBJECT_TAG = PORTAL_SUBJECT_TAG || '[Portal]';
+const ZOHO_PAGE_SIZE = 50; // max autorisé par Zoho Desk
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_SCAN_PAGES = 10; // pages Zoho lues au plus par appel (10 * 50 = 500 tickets)
+const DETAIL_CONCURRENCY = 6;
+const SORT_FIELDS = ['createdTime', 'modifiedTime'];
+// Valeur de assigneeId pour les tickets sans agent
+const UNASSIGNED = 'unassigned';
+
+// Tag des tickets du portail pour le profil de la requête
+function subjectTag() {
+  return currentProfile().subjectTag || DEFAULT_SUBJECT_TAG;
+}
+
+function badRequest(code, params) {
+  return codedError(code, { statusCode: 400 }, params);
+}
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(v => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// "2024-05-01" est interprété comme la journée entière (borne haute exclusive au lendemain)
+function parseDate(value, name, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest('INVALID_DATE', { name });
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.getTime();
+}
+
+function encodeCursor(position, key) {
+  return Buffer.from(JSON.stringify({ ...position, k: key })).toString('base64url');
+}
+
+function decodeCursor(cursor, key) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw badRequest('INVALID_CURSOR');
+  }
+  if (!position || position.k !== key || !(position.from >= 1) || !(position.skip >= 0)) {
+    throw badRequest('CURSOR_MISMATCH');
+  }
+  return { from: position.from, skip: position.skip };
+}
+
+/**
+ * Lit les paramètres de requête de la liste de tickets :
+ * status, priority (listes séparées par des virgules), createdFrom, createdTo,
+ * departmentId, teamId, assigneeId (ou "unassigned"), productId (listes d'identifiants,
+ * voir ticketMetadata), tag (tag du sujet, [Portal] par défaut),
+ * sortBy ([-]createdTime|[-]modifiedTime), limit et cursor.
+ */
+function parseTicketQuery(params = {}, user = null) {
+  const sortBy = params.sortBy || '-createdTime';
+  if (!SORT_FIELDS.includes(sortBy.replace(/^-/, ''))) {
+    throw badRequest('INVALID_SORT', { values: SORT_FIELDS.join(', ') });
+  }
+
+  const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw badRequest('INVALID_RANGE', { name: 'limit', min: 1, max: MAX_PAGE_SIZE });
+  }
+
+  const filters = {
+    status: splitList(params.status),
+    priority: splitList(params.priority),
+    createdFrom: parseDate(params.createdFrom, 'createdFrom'),
+    createdTo: parseDate(params.createdTo, 'createdTo', true),
+    departmentId: splitList(params.departmentId),
+    teamId: splitList(params.teamId),
+    assigneeId: splitList(params.assigneeId),
+    productId: splitList(params.productId),
+    tag: (params.tag === undefined ? subjectTag() : params.tag).trim().toLowerCase()
+  };
+  if (filters.assigneeId.length > 0 && !canFilterByAssignee(user)) {
+    throw codedError('FILTER_NOT_ALLOWED', { statusCode: 403 }, { name: 'assigneeId' });
+  }
+
+  // Le curseur n'est valable que pour le même utilisateur, profil, filtres et tri
+  const scope = { filters, sortBy, user: user && user.id, profile: currentProfile().id };
+  const key = crypto.createHash('sha1').update(JSON.stringify(scope)).digest('hex').slice(0, 12);
+  const position = params.cursor ? decodeCursor(params.cursor, key) : { from: 1, skip: 0 };
+
+  return { filters, sortBy, limit, key, position };
+}
+
+function matchesAny(values, candidates) {
+  if (values.length === 0) return true;
+  return candidates.some(c => c && values.includes(String(c).toLowerCase()));
+}
+
+function matchesAssignee(values, ticket) {
+  if (values.includes(UNASSIGNED) && !ticket.assigneeId) return true;
+  return matchesAny(values, [ticket.assigneeId]);
+}
+
+// Un seul département : Zoho filtre lui-même (departmentId), moins de pages à parcourir
+function accountTicketsPath(accountId, filters, sortBy, from) {
+  const department = filters.departmentId.length === 1 ? `&departmentId=${encodeURIComponent(filters.departmentId[0])}` : '';
+  return `/accounts/${accountId}/tickets?from=${from}&limit=${ZOHO_PAGE_SIZE}&sortBy=${encodeURIComponent(sortBy)}${department}`;
+}
+
+function matchesTicket(ticket, filters) {
+  if (!ticket) return false;
+  if (filters.tag && !(ticket.subject || '').toLowerCase().includes(filters.tag)) return false;
+  if (!matchesAny(filters.status, [ticket.status, ticket.statusType])) return false;
+  if (!matchesAny(filters.priority, [ticket.priority])) return false;
+  if (!matchesAny(filters.departmentId, [ticket.departmentId])) return false;
+  if (!matchesAny(filters.teamId, [ticket.teamId])) return false;
+  if (!matchesAny(filters.productId, [ticket.productId])) return false;
+  if (!matchesAssignee(filters.assigneeId, ticket)) return false;
+
+  if (filters.createdFrom !== null || filters.createdTo !== null) {
+    const created = Date.parse(ticket.createdTime);
+    if (Number.isNaN(created)) return false;
+    if (filters.createdFrom !== null && created < filters.createdFrom) return false;
+    if (filters.createdTo !== null && created >= filters.createdTo) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Parcourt les tickets du compte à partir de la position du curseur et renvoie
+ * au plus `limit` tickets filtrés. Si le budget de pages Zoho est épuisé avant,
+ * on renvoie une page partielle avec un curseur pour continuer : aucun ticket
+ * n'est perdu silencieusement. Seuls les tickets visibles par `user` sont renvoyés.
+ */
+async function listTickets(query, user) {
+  const { filters, sortBy, limit, key } = query;
+  let { from, skip } = query.position;
+  const tickets = [];
+  let next = null;
+  let exhausted = false;
+  let pages = 0;
+  const { accountId } = currentProfile();
+
+  while (pages < MAX_SCAN_PAGES) {
+    const result = await deskRequest(accountTicketsPath(accountId, filters, sortBy, from), { context: 'tickets' });
+    if (!result.ok) {
+      throw deskError(result, 'tickets');
+    }
+
+    const batch = listFromData(result.data);
+    pages += 1;
+    if (!Array.isArray(batch)) {
+      // Réponse vide (204) = plus de résultats
+      exhausted = true;
+      break;
+    }
+
+    for (let i = skip; i < batch.length; i++) {
+      // Tous les tickets listés ici appartiennent au compte du profil
+      const visible = canAccessTicket(user, { accountId, ...batch[i] });
+      if (!visible || !matchesTicket(batch[i], filters)) continue;
+      tickets.push(batch[i]);
+      if (tickets.length === limit) {
+        next = { from, skip: i + 1 };
+        break;
+      }
+    }
+    if (next) break;
+
+    skip = 0;
+    if (!hasMorePages(result.data, batch, ZOHO_PAGE_SIZE)) {
+      exhausted = true;
+      break;
+    }
+    from += ZOHO_PAGE_SIZE;
+  }
+
+  if (!next && !exhausted) {
+    next = { from, skip: 0 };
+  }
+
+  return {
+    tickets,
+    nextCursor: next ? encodeCursor(next, key) : null,
+    hasMore: Boolean(next)
+  };
+}
+
+/**
+ * Enchaîne les pages de listTickets (export) jusqu'à `maxTickets` tickets.
+ * `truncated` indique qu'il restait des tickets à parcourir au-delà de la limite.
+ */
+async function collectTickets(query, user, maxTickets) {
+  const tickets = [];
+  let position = query.position;
+
+  while (tickets.length < maxTickets) {
+    const limit = Math.min(MAX_PAGE_SIZE, maxTickets - tickets.length);
+    const page = await listTickets({ ...query, limit, position }, user);
+    tickets.push(...page.tickets);
+    if (!page.hasMore) {
+      return { tickets, truncated: false };
+    }
+    position = decodeCursor(page.nextCursor, query.key);
+  }
+
+  return { tickets, truncated: true };
+}
+
+// Détail complet du ticket (la liste Zoho ne renvoie ni résolution ni champs personnalisés)
+async function fetchDetails(ticket, context) {
+  const result = await deskRequest(`/tickets/${encodeURIComponent(ticket.id)}`, { context });
+  if (result.ok && result.data) {
+    return { ...ticket, ...result.data };
+  }
+  // Ticket supprimé entre la liste et le détail : gardé avec les seules données de la liste
+  if (result.status === 404) {
+    return ticket;
+  }
+  throw deskError(result, context);
+}
+
+// Détail de chaque ticket listé, quelques appels Zoho en parallèle ; l'ordre est conservé
+async function withTicketDetails(tickets, context = 'détail ticket') {
+  const detailed = new Array(tickets.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tickets.length) {
+      const index = next++;
+      detailed[index] = await fetchDetails(tickets[index], context);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(DETAIL_CONCURRENCY, tickets.length) }, worker));
+  return detailed;
+}
+
+module.exports = {
+  DEFAULT_SUBJECT_TAG,
+  subjectTag,
+  parseTicketQuery,
+  matchesTicket,
+  listTickets,
+  collectTickets,
+  withTicketDetails
+};
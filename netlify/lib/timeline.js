@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { deskRequest, deskGetWithFallback, deskList, listFromData } = require('./zohoDesk');
+const { sanitizeHtml, htmlToText } = require('./html');
+
+const MAX_THREAD_DETAILS = 10; // corps complets récupérés pour les threads les plus récents
+const DUPLICATE_WINDOW_MS = 2 * 60 * 1000;
+
+function firstString(...values) {
+  return values.find(v => typeof v === 'string' && v.trim()) || '';
+}
+
+function authorOf(item) {
+  const a = item.author || item.commenter || item.creator || item.actor || {};
+  return {
+    name: firstString(a.name, [a.firstName, a.lastName].filter(Boolean).join(' '), item.fromEmailAddress, a.email) || null,
+    type: a.type || null
+  };
+}
+
+function directionOf(item) {
+  const d = String(item.direction || '').toLowerCase();
+  if (d === 'in' || d === 'incoming') return 'in';
+  if (d === 'out' || d === 'outgoing') return 'out';
+  const type = String(authorOf(item).type || '').toUpperCase();
+  if (type === 'END_USER') return 'in';
+  if (type === 'AGENT') return 'out';
+  return null;
+}
+
+function visibilityOf(item) {
+  if (item.isPublic === false) return 'private';
+  if (String(item.visibility || '').toLowerCase() === 'private') return 'private';
+  return 'public';
+}
+
+// Évènement d'historique sur une note privée (ajout, modification) : Zoho le signale par isPublic
+function isPrivateEvent(ev) {
+  if (visibilityOf(ev) === 'private') return true;
+  const info = Array.isArray(ev.eventInfo) ? ev.eventInfo : [];
+  return info.some(p => {
+    if (String(p.propertyName || '').toLowerCase() !== 'ispublic') return false;
+    const value = p.propertyValue && typeof p.propertyValue === 'object' ? p.propertyValue.updatedValue : p.propertyValue;
+    return String(value).toLowerCase() === 'false';
+  });
+}
+
+function attachmentsOf(item) {
+  const list = Array.isArray(item.attachments) ? item.attachments : [];
+  return list.map(a => ({ id: a.id ? String(a.id) : null, name: a.name || a.fileName || null, size: Number(a.size) || null }));
+}
+
+// Entrée normalisée commune à toutes les sources
+function normalizeMessage(item, type, source) {
+  const html = firstString(item.content, item.richContent, item.body, item.mailContent);
+  const isHtml = /<[a-z][\s\S]*>/i.test(html) || String(item.contentType || '').toLowerCase().includes('html');
+  const text = firstString(item.plainText, item.contentPlainText, isHtml ? htmlToText(html) : html, item.summary);
+
+  return {
+    id: item.id ? String(item.id) : null,
+    type,
+    source,
+    author: authorOf(item),
+    direction: directionOf(item),
+    visibility: visibilityOf(item),
+    channel: item.channel || null,
+    text,
+    // Contenu Zoho (mails entrants compris) : nettoyé comme une saisie client
+    html: isHtml ? sanitizeHtml(html) : null,
+    attachments: attachmentsOf(item),
+    timestamp: item.createdTime || item.commentedTime || item.sendDateTime || item.modifiedTime || null
+  };
+}
+
+// /conversations mélange threads et commentaires ; les autres sources n'ont qu'un type
+function messageType(item, source) {
+  if (source === 'conversations') return String(item.type || '').toLowerCase() === 'comment' ? 'comment' : 'thread';
+  return source === 'threads' ? 'thread' : 'message';
+}
+
+function describeChange(info) {
+  const name = info.propertyName || '';
+  const value = info.propertyValue;
+  if (value && typeof value === 'object' && ('updatedValue' in value || 'previousValue' in value)) {
+    const from = typeof value.previousValue === 'object' ? JSON.stringify(value.previousValue) : value.previousValue;
+    const to = typeof value.updatedValue === 'object' ? JSON.stringify(value.updatedValue) : value.updatedValue;
+    return `${name} : ${from || '-'} → ${to || '-'}`;
+  }
+  return value ? `${name} : ${typeof value === 'object' ? JSON.stringify(value) : value}` : name;
+}
+
+function normalizeEvent(ev) {
+  const info = Array.isArray(ev.eventInfo) ? ev.eventInfo : [];
+  const changes = info.filter(p => (p.propertyName || '').toLowerCase() !== 'content').map(describeChange).filter(Boolean);
+  const actor = ev.actor || {};
+  return {
+    id: null,
+    type: 'event',
+    source: 'history',
+    eventName: ev.eventName || null,
+    author: { name: actor.name || null, type: actor.type || null },
+    direction: null,
+    visibility: isPrivateEvent(ev) ? 'private' : 'public',
+    channel: null,
+    text: [ev.eventName || 'Évènement', ...changes].join('\n'),
+    html: null,
+    attachments: [],
+    timestamp: ev.eventTime || null
+  };
+}
+
+function contentKey(entry) {
+  return crypto.createHash('sha1').update(entry.text.replace(/\s+/g, ' ').trim().toLowerCase()).digest('hex');
+}
+
+function richness(entry) {
+  return (entry.html ? 2 : 0) + (entry.attachments.length ? 1 : 0) + entry.text.length / 1e6;
+}
+
+// Garde la version la plus complète d'une même entrée et complète ses champs manquants ;
+// privée dès qu'une des deux copies l'est, quelle que soit la plus complète
+function merge(a, b) {
+  const [best, other] = richness(b) > richness(a) ? [b, a] : [a, b];
+  return {
+    ...best,
+    id: best.id || other.id,
+    visibility: a.visibility === 'private' || b.visibility === 'private' ? 'private' : best.visibility,
+    author: best.author.name ? best.author : other.author,
+    direction: best.direction || other.direction,
+    channel: best.channel || other.channel,
+    attachments: best.attachments.length ? best.attachments : other.attachments,
+    timestamp: best.timestamp || other.timestamp,
+    sources: Array.from(new Set([...(a.sources || [a.source]), ...(b.sources || [b.source])]))
+  };
+}
+
+function time(entry) {
+  return Date.parse(entry.timestamp) || 0;
+}
+
+/**
+ * Fusionne les entrées de toutes les sources :
+ * 1. même identifiant Zoho (un thread apparaît dans /threads et /conversations)
+ * 2. même texte à moins de 2 minutes d'écart (messages vs threads)
+ * 3. évènements d'historique qui ne font qu'annoncer un message déjà présent
+ * Les entrées privées (notes internes des agents) ne sont jamais renvoyées.
+ */
+function buildTimeline(entries) {
+  const byId = new Map();
+  const withoutId = [];
+  entries.forEach(entry => {
+    if (!entry) return;
+    if (entry.id && entry.type !== 'event') {
+      byId.set(entry.id, byId.has(entry.id) ? merge(byId.get(entry.id), entry) : entry);
+    } else {
+      withoutId.push(entry);
+    }
+  });
+
+  const messages = [];
+  [...byId.values(), ...withoutId.filter(e => e.type !== 'event')].forEach(entry => {
+    if (!entry.text && !entry.html && entry.attachments.length === 0) return;
+    const key = contentKey(entry);
+    const duplicateIndex = messages.findIndex(m =>
+      m.key === key && Math.abs(time(m.entry) - time(entry)) <= DUPLICATE_WINDOW_MS
+    );
+    if (duplicateIndex >= 0) {
+      messages[duplicateIndex].entry = merge(messages[duplicateIndex].entry, entry);
+    } else {
+      messages.push({ key, entry });
+    }
+  });
+
+  const conversation = messages.map(m => m.entry);
+  const events = withoutId.filter(e => e.type === 'event').filter(ev =>
+    !/(thread|comment|reply|mail)/i.test(ev.eventName || '') ||
+    !conversation.some(m => Math.abs(time(m) - time(ev)) <= DUPLICATE_WINDOW_MS)
+  );
+
+  return [...conversation, ...events]
+    .filter(e => e.visibility !== 'private')
+    .map(({ source, ...rest }) => ({ ...rest, sources: rest.sources || [source] }))
+    .sort((a, b) => time(a) - time(b));
+}
+
+async function settle(label, promise) {
+  try {
+    return { label, items: await promise };
+  } catch (err) {
+    console.warn(`Source timeline indisponible (${label}):`, err.message);
+    return { label, items: [], error: err };
+  }
+}
+
+async function listOrEmpty(path, fallbackPath, context) {
+  const result = await deskGetWithFallback(path, fallbackPath, context);
+  // Certains tenants n'exposent pas /messages : 404 URL_NOT_FOUND = source vide
+  if (result.status === 404 && result.data && result.data.errorCode === 'URL_NOT_FOUND') return [];
+  if (!result.ok) throw new Error(`${context}: HTTP ${result.status}`);
+  return listFromData(result.data) || [];
+}
+
+// id : identifiant de ticket déjà encodé pour le chemin
+async function threadsWithBodies(id) {
+  const threads = await listOrEmpty(`/tickets/${id}/threads?include=all`, `/tickets/${id}/threads`, 'threads');
+  const recent = [...threads]
+    .sort((a, b) => (Date.parse(b.createdTime) || 0) - (Date.parse(a.createdTime) || 0))
+    .slice(0, MAX_THREAD_DETAILS);
+
+  const details = await Promise.all(recent.map(t =>
+    deskRequest(`/tickets/${id}/threads/${encodeURIComponent(t.id)}`, { context: 'thread detail' })
+      .then(r => (r.ok && r.data ? r.data : null))
+      .catch(() => null)
+  ));
+  const detailById = new Map(details.filter(Boolean).map(d => [String(d.id), d]));
+  return threads.map(t => ({ ...t, ...(detailById.get(String(t.id)) || {}) }));
+}
+
+/**
+ * Récupère historique, conversations, threads et messages en parallèle.
+ * Une source en échec n'empêche pas les autres : elle est signalée dans `sources`.
+ * options.history : historique déjà demandé par l'appelant (promesse), pour ne pas le relire.
+ */
+async function fetchTimeline(ticketId, options = {}) {
+  const id = encodeURIComponent(ticketId);
+  const history = options.history || deskList(`/tickets/${id}/History`, { maxPages: 15, context: 'history' });
+  const results = await Promise.all([
+    settle('history', history),
+    settle('conversations', listOrEmpty(`/tickets/${id}/conversations?include=all`, `/tickets/${id}/conversations`, 'conversations')),
+    settle('threads', threadsWithBodies(id)),
+    settle('messages', listOrEmpty(`/tickets/${id}/messages?include=all`, `/tickets/${id}/messages`, 'messages'))
+  ]);
+
+  // Toutes les sources en échec : on remonte la première erreur (429, 401...)
+  const failed = results.filter(r => r.error);
+  if (failed.length === results.length) {
+    throw failed[0].error;
+  }
+
+  const entries = [];
+  results.forEach(({ label, items }) => {
+    items.forEach(item => {
+      if (!item) return;
+      if (label === 'history') {
+        entries.push(normalizeEvent(item));
+      } else {
+        entries.push(normalizeMessage(item, messageType(item, label), label));
+      }
+    });
+  });
+
+  return {
+    entries: buildTimeline(entries),
+    sources: results.map(({ label, items, error }) => ({ source: label, count: items.length, ...(error ? { error: error.message } : {}) }))
+  };
+}
+
+/**
+ * Vues brutes d'une source (threads, conversations, messages) pour le client : entrées
+ * privées retirées, champs réduits à la forme normalisée de la timeline.
+ */
+function publicMessages(items, source) {
+  return items
+    .filter(item => item && visibilityOf(item) !== 'private')
+    .map(item => normalizeMessage(item, messageType(item, source), source));
+}
+
+// Historique brut sans évènement privé ni contenu de message (les notes internes y figurent)
+function publicHistory(events) {
+  return events
+    .filter(ev => ev && !isPrivateEvent(ev))
+    .map(ev => ({
+      ...ev,
+      eventInfo: (Array.isArray(ev.eventInfo) ? ev.eventInfo : [])
+        .filter(p => String(p.propertyName || '').toLowerCase() !== 'content')
+    }));
+}
+
+module.exports = {
+  normalizeMessage,
+  normalizeEvent,
+  buildTimeline,
+  fetchTimeline,
+  publicMessages,
+  publicHistory
+};
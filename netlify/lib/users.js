@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { PORTAL_USERS_FILE, PORTAL_PASSWORD } = process.env;
+
+// Utilisateur implicite du mode historique "mot de passe partagé" (pas de fichier utilisateurs)
+const SHARED_USER = Object.freeze({
+  id: 'shared',
+  email: null,
+  name: 'Accès partagé',
+  unrestricted: true,
+  contactIds: [],
+  accountIds: [],
+  profiles: null
+});
+
+const SCRYPT_KEYLEN = 64;
+let usersCache = null;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function toIdList(value) {
+  return (Array.isArray(value) ? value : []).map(String);
+}
+
+function normalizeUser(raw) {
+  return {
+    id: String(raw.id || normalizeEmail(raw.email)),
+    email: normalizeEmail(raw.email),
+    name: raw.name || raw.email,
+    passwordHash: raw.passwordHash,
+    unrestricted: false,
+    contactIds: toIdList(raw.contactIds),
+    accountIds: toIdList(raw.accountIds),
+    // Filtre par agent assigné (et donc liste des agents) : réservé aux comptes qui l'ont explicitement
+    assigneeFilter: raw.assigneeFilter === true,
+    // Profils Zoho autorisés (PORTAL_PROFILES_FILE) ; absent = tous
+    profiles: Array.isArray(raw.profiles) ? toIdList(raw.profiles) : null
+  };
+}
+
+function usesUserStore() {
+  return Boolean(PORTAL_USERS_FILE);
+}
+
+/**
+ * Charge le fichier utilisateurs ({ users: [...] }) une fois par instance.
+ * Un fichier configuré mais illisible bloque toute connexion plutôt que de
+ * retomber silencieusement sur le mot de passe partagé.
+ */
+function loadUsers() {
+  if (usersCache) return usersCache;
+  if (!usesUserStore()) return [];
+
+  const file = path.resolve(PORTAL_USERS_FILE);
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(content) ? content : content.users;
+  if (!Array.isArray(list)) {
+    throw new Error(`Fichier utilisateurs invalide: ${file}`);
+  }
+  usersCache = list.filter(u => u && u.email && u.passwordHash).map(normalizeUser);
+  return usersCache;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, saltB64, hashB64] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hash factice pour garder un temps de réponse constant quand l'email est inconnu
+let dummyHash = null;
+function getDummyHash() {
+  if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+}
+
+function findUserById(id) {
+  if (!usesUserStore()) {
+    return id === SHARED_USER.id && PORTAL_PASSWORD ? SHARED_USER : null;
+  }
+  return loadUsers().find(u => u.id === id) || null;
+}
+
+function findUserByEmail(email) {
+  const wanted = normalizeEmail(email);
+  if (!wanted) return null;
+  return loadUsers().find(u => u.email === wanted) || null;
+}
+
+function matchesSharedPassword(password) {
+  if (!PORTAL_PASSWORD || !password) return false;
+  const a = crypto.createHash('sha256').update(String(password)).digest();
+  const b = crypto.createHash('sha256').update(PORTAL_PASSWORD).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Renvoie l'utilisateur si les identifiants sont valides, sinon null
+function authenticate(email, password) {
+  if (!usesUserStore()) {
+    return matchesSharedPassword(password) ? SHARED_USER : null;
+  }
+
+  const user = findUserByEmail(email);
+  const valid = verifyPassword(password, user ? user.passwordHash : getDummyHash());
+  return user && valid ? user : null;
+}
+
+function canAccessTicket(user, ticket) {
+  if (!user || !ticket) return false;
+  if (user.unrestricted) return true;
+
+  const contactId = ticket.contactId || (ticket.contact && ticket.contact.id);
+  const accountId = ticket.accountId || (ticket.contact && ticket.contact.accountId) ||
+    (ticket.contact && ticket.contact.account && ticket.contact.account.id);
+
+  return Boolean(
+    (contactId && user.contactIds.includes(String(contactId))) ||
+    (accountId && user.accountIds.includes(String(accountId)))
+  );
+}
+
+// Le mode mot de passe partagé voit déjà tous les tickets du compte, agents compris
+function canFilterByAssignee(user) {
+  return Boolean(user && (user.unrestricted || user.assigneeFilter));
+}
+
+// Vue publique de l'utilisateur (jamais le hash)
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name };
+}
+
+module.exports = {
+  SHARED_USER,
+  normalizeEmail,
+  usesUserStore,
+  hashPassword,
+  verifyPassword,
+  findUserById,
+  authenticate,
+  canAccessTicket,
+  canFilterByAssignee,
+  publicUser
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { currentProfile } = require('./profiles');
+const { codedError } = require('./i18n');
+
+const {
+  ZOHO_ACCOUNTS_BASE,
+  ZOHO_DESK_BASE,
+  ZOHO_RATE_LIMIT_DELAY_MS
+} = process.env;
+
+// Domaine Zoho du profil (ZOHO_DC) ; surchargeables pour viser le bouchon local (test/support/zohoMock.js)
+function accountsBase(profile = currentProfile()) {
+  return ZOHO_ACCOUNTS_BASE || `https://accounts.zoho.${profile.dc}`;
+}
+
+function deskBase(profile = currentProfile()) {
+  return ZOHO_DESK_BASE || `https://desk.zoho.${profile.dc}/api/v1`;
+}
+
+const MAX_RATE_LIMIT_RETRIES = 2;
+const RATE_LIMIT_BASE_DELAY_MS = ZOHO_RATE_LIMIT_DELAY_MS && Number(ZOHO_RATE_LIMIT_DELAY_MS) >= 0
+  ? Number(ZOHO_RATE_LIMIT_DELAY_MS)
+  : 1000;
+// Au-delà, attendre ferait dépasser le délai de la fonction : le 429 est renvoyé tel quel
+const MAX_RATE_LIMIT_DELAY_MS = 3000;
+
+// Un token par jeu d'identifiants : deux profils d'une même organisation partagent le leur
+const accessTokens = new Map();
+
+function createError(message, props = {}) {
+  return Object.assign(new Error(message), props);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withContext(context) {
+  return context ? ` (${context})` : '';
+}
+
+async function parseZohoResponse(res, context) {
+  const responseText = await res.text();
+  if (!responseText) {
+    console.warn(`Réponse vide de l'API Zoho Desk${withContext(context)}`);
+    return { data: null, raw: '' };
+  }
+
+  try {
+    return { data: JSON.parse(responseText), raw: responseText };
+  } catch (parseError) {
+    console.error(`Erreur de parsing JSON${withContext(context)}:`, parseError, "Réponse brute:", responseText);
+    throw codedError('ZOHO_INVALID_RESPONSE', { statusCode: 502 }, { context: withContext(context) });
+  }
+}
+
+function isRateLimitPayload(data) {
+  return Boolean(data && data.error === 'Access Denied' && /too many requests/i.test(data.error_description || ''));
+}
+
+function tokenSlot(profile) {
+  const id = crypto.createHash('sha256')
+    .update([accountsBase(profile), profile.clientId, profile.refreshToken].join('\n'))
+    .digest('hex');
+  if (!accessTokens.has(id)) {
+    // tokenPromise évite d'appeler plusieurs fois le refresh en parallèle
+    accessTokens.set(id, { token: null, expiry: 0, tokenPromise: null });
+  }
+  return accessTokens.get(id);
+}
+
+function invalidateAccessToken(profile = currentProfile()) {
+  const slot = tokenSlot(profile);
+  slot.token = null;
+  slot.expiry = 0;
+}
+
+async function getAccessToken(forceRefresh = false, profile = currentProfile()) {
+  const slot = tokenSlot(profile);
+  const now = Date.now();
+  if (!forceRefresh && slot.token && now < slot.expiry - 60000) {
+    return slot.token;
+  }
+
+  if (slot.tokenPromise) {
+    return slot.tokenPromise;
+  }
+
+  slot.tokenPromise = (async () => {
+    const res = await fetch(`${accountsBase(profile)}/oauth/v2/token`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        refresh_token: profile.refreshToken,
+        client_id: profile.clientId,
+        client_secret: profile.clientSecret,
+        grant_type: "refresh_token"
+      })
+    });
+
+    const { data } = await parseZohoResponse(res, 'oauth');
+    // Zoho renvoie parfois 200 avec { error } au lieu d'un code HTTP d'erreur
+    if (!res.ok || !data || !data.access_token) {
+      console.error("Erreur OAuth Zoho:", data);
+      // Cas de rate limit : on remonte une erreur explicite 429
+      throw codedError('ZOHO_AUTH_ERROR', {
+        statusCode: 502,
+        rateLimited: res.status === 429 || isRateLimitPayload(data)
+      });
+    }
+
+    slot.token = data.access_token;
+    slot.expiry = now + (data.expires_in || 3600) * 1000;
+    return slot.token;
+  })();
+
+  try {
+    return await slot.tokenPromise;
+  } finally {
+    slot.tokenPromise = null;
+  }
+}
+
+// Attente avant de rejouer un 429, ou null si Zoho demande d'attendre plus que le plafond
+function retryDelay(res, attempt) {
+  const retryAfter = Number(res.headers.get('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    const delay = retryAfter * 1000;
+    return delay <= MAX_RATE_LIMIT_DELAY_MS ? delay : null;
+  }
+  return Math.min(RATE_LIMIT_BASE_DELAY_MS * 2 ** attempt, MAX_RATE_LIMIT_DELAY_MS);
+}
+
+/**
+ * Appel authentifié à l'API Desk, pour l'organisation du profil de la requête.
+ * - 401 : rafraîchit le token une fois puis rejoue la requête
+ * - 429 : attend (Retry-After ou backoff exponentiel, plafonnés) puis rejoue ; un Retry-After
+ *   au-delà du plafond renvoie directement le 429
+ * `body` peut être une fonction pour reconstruire un flux (FormData) à chaque tentative.
+ * Renvoie { res, ok, status, data, raw } sans lever d'erreur sur un statut HTTP.
+ * Avec `binary: true`, une réponse en succès n'est pas lue (res.buffer() côté appelant).
+ */
+async function deskRequest(path, options = {}) {
+  const { method = 'GET', headers = {}, body, context, binary = false } = options;
+  const profile = currentProfile();
+  const url = /^https?:\/\//.test(path) ? path : `${deskBase(profile)}${path}`;
+
+  let token = await getAccessToken(false, profile);
+  let refreshed = false;
+  let rateLimitRetries = 0;
+
+  while (true) {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Zoho-oauthtoken ${token}`,
+        orgId: profile.orgId,
+        Accept: 'application/json',
+        ...headers
+      },
+      body: typeof body === 'function' ? body() : body
+    });
+
+    if (res.status === 401 && !refreshed) {
+      console.warn(`Token Zoho refusé${withContext(context)}, rafraîchissement...`);
+      refreshed = true;
+      invalidateAccessToken(profile);
+      token = await getAccessToken(true, profile);
+      continue;
+    }
+
+    const delay = res.status === 429 && rateLimitRetries < MAX_RATE_LIMIT_RETRIES
+      ? retryDelay(res, rateLimitRetries)
+      : null;
+    if (delay !== null) {
+      console.warn(`Rate limit Zoho Desk${withContext(context)}, nouvel essai dans ${delay} ms`);
+      rateLimitRetries += 1;
+      await sleep(delay);
+      continue;
+    }
+
+    if (binary && res.ok) {
+      return { res, ok: true, status: res.status, data: null, raw: null };
+    }
+
+    const { data, raw } = await parseZohoResponse(res, context);
+    return { res, ok: res.ok, status: res.status, data, raw };
+  }
+}
+
+function deskJson(path, payload, options = {}) {
+  return deskRequest(path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+// Erreur normalisée à partir d'une réponse Desk en échec
+function deskError(result, context) {
+  console.error(`Erreur Zoho Desk${withContext(context)}:`, { status: result.status, data: result.data || result.raw });
+  return codedError('ZOHO_ERROR', {
+    statusCode: result.status,
+    status: result.status,
+    details: result.data || result.raw,
+    rateLimited: result.status === 429
+  });
+}
+
+// Certains paramètres include sont refusés selon le tenant : on rejoue sans sur une 4xx
+async function deskGetWithFallback(path, fallbackPath, context) {
+  const result = await deskRequest(path, { context });
+  if (result.ok || result.status < 400 || result.status >= 500 || result.status === 429) {
+    return result;
+  }
+  console.warn(`Include refusé${withContext(context)}, nouvel essai sans include`, { status: result.status, data: result.data });
+  return deskRequest(fallbackPath, { context });
+}
+
+function listFromData(data) {
+  return data && Array.isArray(data.data) ? data.data : data;
+}
+
+function hasMorePages(data, batch, limit) {
+  // Zoho renvoie page_context/has_more_page ou info similaire.
+  const ctx = (data && (data.page_context || data.pageContext || data.info)) || {};
+  const explicitHasMore =
+    ctx.has_more_page || ctx.has_more || ctx.has_more_records ||
+    (ctx.page && ctx.total_pages && ctx.page < ctx.total_pages);
+  return Boolean(explicitHasMore || batch.length === limit);
+}
+
+/**
+ * Pagine un endpoint de liste Desk (from est 1-based, limit max 50).
+ * `maxPages` évite les boucles infinies.
+ */
+async function deskList(path, { limit = 50, maxPages = 15, context } = {}) {
+  const separator = path.includes('?') ? '&' : '?';
+  const items = [];
+  let from = 1;
+  let hasMore = true;
+  let pages = 0;
+
+  while (hasMore && pages < maxPages) {
+    const result = await deskRequest(`${path}${separator}from=${from}&limit=${limit}`, { context });
+    if (!result.ok) {
+      throw deskError(result, context);
+    }
+
+    const batch = listFromData(result.data);
+    if (!Array.isArray(batch)) {
+      // Réponse vide (204) = plus de résultats
+      if (batch) console.warn(`Réponse inattendue (pas de tableau)${withContext(context)}`, result.data);
+      break;
+    }
+
+    items.push(...batch);
+    hasMore = hasMorePages(result.data, batch, limit);
+    from += limit;
+    pages += 1;
+  }
+
+  return items;
+}
+
+module.exports = {
+  accountsBase,
+  deskBase,
+  createError,
+  parseZohoResponse,
+  getAccessToken,
+  invalidateAccessToken,
+  deskRequest,
+  deskJson,
+  deskError,
+  deskGetWithFallback,
+  deskList,
+  listFromData,
+  hasMorePages
+};
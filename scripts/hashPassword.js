@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Génère le passwordHash d'un utilisateur du portail (fichier PORTAL_USERS_FILE).
+// Usage : npm run hash-password -- "mot de passe"
+const { hashPassword } = require('../netlify/lib/users');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage : npm run hash-password -- "mot de passe"');
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
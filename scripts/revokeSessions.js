@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Déconnecte tous les utilisateurs du portail (à lancer après une rotation de mot de passe).
+// Usage : NETLIFY_SITE_ID=... NETLIFY_BLOBS_TOKEN=... npm run revoke-sessions
+// Le compteur est écrit dans le store Netlify Blobs du site, lu par toutes les fonctions
+// (ou dans PORTAL_STORE_DIR si le portail est hébergé avec un volume commun).
+// Sans accès au store : changer AUTH_SESSION_VERSION dans l'environnement puis redéployer.
+const { NETLIFY_SITE_ID, NETLIFY_BLOBS_TOKEN, PORTAL_STORE_DIR } = process.env;
+
+if (!PORTAL_STORE_DIR && !(NETLIFY_SITE_ID && NETLIFY_BLOBS_TOKEN)) {
+  console.error('NETLIFY_SITE_ID et NETLIFY_BLOBS_TOKEN (jeton d\'accès Netlify) sont requis pour écrire dans le store du site.');
+  process.exit(1);
+}
+
+const { revokeAllSessions } = require('../netlify/lib/session');
+
+revokeAllSessions().then(version => {
+  console.log(`Sessions révoquées (version ${version}).`);
+}, e => {
+  console.error('Révocation impossible :', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// Recalcule l'empreinte du script inline de index.html dans la CSP de netlify.toml.
+// Usage : npm run csp-hash (après chaque modification du script de la page)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+const scripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)];
+if (scripts.length !== 1) {
+  console.error(`index.html doit contenir un seul script inline (${scripts.length} trouvés)`);
+  process.exit(1);
+}
+
+const hash = `'sha256-${crypto.createHash('sha256').update(scripts[0][1]).digest('base64')}'`;
+const tomlFile = path.join(root, 'netlify.toml');
+const toml = fs.readFileSync(tomlFile, 'utf8');
+fs.writeFileSync(tomlFile, toml.replace(/'sha256-[A-Za-z0-9+/=]+'/g, hash));
+console.log(`script-src ${hash}`);
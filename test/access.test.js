@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMock, loadHandler, sessionCookie, invoke } = require('./support/setup');
+
+// Mode comptes individuels : chaque utilisateur ne voit que les tickets de ses contacts/comptes
+describe('cloisonnement par utilisateur', () => {
+  let mock;
+  let dir;
+  let handlers;
+  let alice;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-users-'));
+    const usersFile = path.join(dir, 'users.json');
+    mock = await startMock({ PORTAL_USERS_FILE: usersFile, ZOHO_TICKET_LAYOUT_ID: 'layout-1', ZOHO_DEPARTMENT_ID: 'dep-1' });
+
+    const { hashPassword } = require('../netlify/lib/users');
+    fs.writeFileSync(usersFile, JSON.stringify({ users: [
+      { id: 'alice', email: 'alice@example.com', name: 'Alice', passwordHash: hashPassword('secret-a'), contactIds: ['c-1'] },
+      { id: 'carol', email: 'carol@example.com', name: 'Carol', passwordHash: hashPassword('secret-c'), contactIds: ['c-1'], assigneeFilter: true },
+      { id: 'dave', email: 'dave@example.com', name: 'Dave', passwordHash: hashPassword('secret-d'), accountIds: ['acc-1'] },
+      { id: 'erin', email: 'erin@example.com', name: 'Erin', passwordHash: hashPassword('secret-e'), accountIds: ['acc-9'] }
+    ] }));
+
+    handlers = Object.fromEntries([
+      'auth', 'tickets', 'ticketDetails', 'ticketHistory', 'ticketTimeline', 'ticketDossier', 'replyToTicket',
+      'downloadAttachment', 'exportTickets', 'ticketSatisfaction', 'ticketMetadata', 'createTicket'
+    ].map(name => [name, loadHandler(name)]));
+    alice = await sessionCookie('alice');
+
+    mock.addTicket({ id: '1', subject: '[Portal] Chez Alice', contactId: 'c-1' });
+    mock.addTicket({ id: '2', subject: '[Portal] Chez Bob', contactId: 'c-2' });
+  });
+
+  after(async () => {
+    await mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('connecte par email et mot de passe', async () => {
+    const bad = await invoke(handlers.auth, { method: 'POST', cookie: null, body: { email: 'alice@example.com', password: 'x' } });
+    assert.equal(bad.statusCode, 401);
+    const ok = await invoke(handlers.auth, { method: 'POST', cookie: null, body: { email: 'ALICE@example.com', password: 'secret-a' } });
+    assert.equal(ok.statusCode, 200);
+    assert.deepEqual(ok.json.user, { id: 'alice', email: 'alice@example.com', name: 'Alice' });
+  });
+
+  it('n\'accepte plus le jeton du mode partagé', async () => {
+    const res = await invoke(handlers.tickets, { cookie: await sessionCookie('shared') });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('ne liste que les tickets de l\'utilisateur', async () => {
+    const res = await invoke(handlers.tickets, { cookie: alice });
+    assert.deepEqual(res.json.tickets.map(t => t.id), ['1']);
+  });
+
+  it('n\'exporte que les tickets de l\'utilisateur', async () => {
+    const res = await invoke(handlers.exportTickets, { cookie: alice });
+    assert.equal(res.headers['X-Export-Count'], '1');
+    assert.match(res.body, /Chez Alice/);
+    assert.doesNotMatch(res.body, /Chez Bob/);
+  });
+
+  it('répond 404 sur les tickets d\'un autre client', async () => {
+    for (const name of ['ticketDetails', 'ticketHistory', 'ticketTimeline', 'ticketDossier']) {
+      const res = await invoke(handlers[name], { cookie: alice, query: { id: '2' } });
+      assert.equal(res.statusCode, 404, name);
+    }
+    const download = await invoke(handlers.downloadAttachment, { cookie: alice, query: { ticketId: '2', attachmentId: '1' } });
+    assert.equal(download.statusCode, 404);
+    const rating = await invoke(handlers.ticketSatisfaction, { method: 'POST', cookie: alice, body: { ticketId: '2', rating: 5 } });
+    assert.equal(rating.statusCode, 404);
+  });
+
+  it('réserve la liste des agents et le filtre par agent aux comptes autorisés', async () => {
+    mock.db.agents = [{ id: 'a-1', firstName: 'Jeanne', lastName: 'Martin' }];
+    const denied = await invoke(handlers.ticketMetadata, { cookie: alice });
+    assert.equal(denied.statusCode, 200);
+    assert.deepEqual(denied.json.agents, []);
+    assert.equal(mock.requestsTo('/agents').length, 0);
+    const filter = await invoke(handlers.tickets, { cookie: alice, query: { assigneeId: 'a-1' } });
+    assert.equal(filter.statusCode, 403);
+    assert.equal(filter.json.code, 'FILTER_NOT_ALLOWED');
+
+    const carol = await sessionCookie('carol');
+    const allowed = await invoke(handlers.ticketMetadata, { cookie: carol });
+    assert.deepEqual(allowed.json.agents, [{ id: 'a-1', name: 'Jeanne Martin' }]);
+    assert.equal((await invoke(handlers.tickets, { cookie: carol, query: { assigneeId: 'a-1' } })).statusCode, 200);
+  });
+
+  it('n\'envoie rien à Zoho pour une réponse sur un ticket étranger', async () => {
+    const res = await invoke(handlers.replyToTicket, { method: 'POST', cookie: alice, body: { ticketId: '2', text: 'Coucou' } });
+    assert.equal(res.statusCode, 404);
+    assert.equal(mock.requestsTo('/comments').length, 0);
+  });
+
+  it('crée le ticket d\'un utilisateur de compte sous un contact de ce compte', async () => {
+    mock.db.layouts['layout-1'] = { id: 'layout-1', sections: [{ name: 'Demande', fields: [
+      { apiName: 'subject', displayName: 'Sujet', dataType: 'Text', required: true }
+    ] }] };
+    const dave = await sessionCookie('dave');
+    const create = () => invoke(handlers.createTicket, { method: 'POST', cookie: dave, body: { values: { subject: 'Imprimante' } } });
+
+    const first = await create();
+    assert.equal(first.statusCode, 201);
+    assert.deepEqual(mock.db.contacts.map(c => [c.email, c.accountId]), [['dave@example.com', 'acc-1']]);
+    const id = first.json.ticket.id;
+
+    const list = await invoke(handlers.tickets, { cookie: dave });
+    assert.ok(list.json.tickets.some(t => t.id === id));
+    const details = await invoke(handlers.ticketDetails, { cookie: dave, query: { id } });
+    assert.equal(details.statusCode, 200);
+
+    // Le contact existant est réutilisé
+    assert.equal((await create()).statusCode, 201);
+    assert.equal(mock.db.contacts.length, 1);
+    assert.equal(mock.requestsTo('/contacts', 'POST').length, 1);
+
+    const erin = await invoke(handlers.createTicket, {
+      method: 'POST', cookie: await sessionCookie('erin'), body: { values: { subject: 'Hors compte' } }
+    });
+    assert.equal(erin.statusCode, 403);
+    assert.equal(erin.json.code, 'CONTACT_ACCOUNT_MISSING');
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+describe('addTicketResolution', () => {
+  let mock;
+  let handler;
+
+  before(async () => {
+    mock = await startMock();
+    handler = loadHandler('addTicketResolution');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    fs.rmSync(path.join(process.env.PORTAL_STORE_DIR, 'feedback'), { recursive: true, force: true });
+    mock.addTicket({ id: '5', subject: '[Portal] Accès VPN', resolution: 'Redémarrer le routeur' });
+  });
+
+  it('exige POST et les paramètres', async () => {
+    assert.equal((await invoke(handler, { method: 'GET' })).statusCode, 405);
+    assert.equal((await invoke(handler, { method: 'POST', body: '{' })).statusCode, 400);
+    assert.equal((await invoke(handler, { method: 'POST', body: { ticketId: '5' } })).statusCode, 400);
+  });
+
+  it('ajoute un bloc horodaté à la résolution existante', async () => {
+    const res = await invoke(handler, { method: 'POST', body: { ticketId: '5', resolutionContent: 'Toujours en panne' } });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.json.newResolution, /^Redémarrer le routeur\n\n\[Feedback client - \d{2}\/\d{2}\/\d{4} \d{2}:\d{2}:\d{2}\] Toujours en panne$/);
+    assert.equal(mock.db.tickets[0].resolution, res.json.newResolution);
+  });
+
+  it('se rabat sur PUT /tickets/{id} si /resolution est refusé', async () => {
+    mock.fail({ method: 'PUT', path: '/resolution', status: 422, body: { errorCode: 'INVALID_DATA' } });
+    const res = await invoke(handler, { method: 'POST', body: { ticketId: '5', resolutionContent: 'Merci' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(mock.requestsTo('/tickets/5', 'PUT').length, 2);
+    assert.match(mock.db.tickets[0].resolution.content, /Merci$/);
+  });
+
+  it('crée un commentaire privé horodaté si toutes les mises à jour échouent', async () => {
+    mock.fail({ method: 'PUT', path: '/tickets/5', status: 422, body: { errorCode: 'INVALID_DATA' }, times: 3 });
+    const res = await invoke(handler, { method: 'POST', body: { ticketId: '5', resolutionContent: 'Merci' } });
+    assert.equal(res.statusCode, 200);
+    const [comment] = mock.db.comments['5'];
+    assert.equal(comment.isPublic, false);
+    assert.match(comment.content, /^\[Feedback client - \d{2}\/\d{2}\/\d{4} [\d:]+\]\nMerci$/);
+    assert.doesNotMatch(comment.content, /undefined/);
+  });
+
+  it('renvoie une erreur si le commentaire de secours échoue aussi', async () => {
+    mock.fail({ method: 'PUT', path: '/tickets/5', status: 422, body: { errorCode: 'INVALID_DATA' }, times: 3 });
+    mock.fail({ method: 'POST', path: '/comments', status: 500, body: { errorCode: 'INTERNAL' } });
+    const res = await invoke(handler, { method: 'POST', body: { ticketId: '5', resolutionContent: 'Merci' } });
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.json.status, 422);
+  });
+
+  it("ne perd pas la résolution modifiée par un agent entre la lecture et l'écriture", async () => {
+    mock.afterRequest({ method: 'GET', path: '/tickets/5', run: db => {
+      Object.assign(db.tickets[0], { resolution: 'Routeur remplacé le 12/03', modifiedTime: '2030-01-01T00:00:00.000Z' });
+    } });
+    const res = await invoke(handler, { method: 'POST', body: { ticketId: '5', resolutionContent: 'Merci' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.merged, true);
+    assert.match(mock.db.tickets[0].resolution, /^Routeur remplacé le 12\/03\n\n\[Feedback client - .*\] Merci$/);
+  });
+
+  it('renvoie 404 pour un ticket inconnu', async () => {
+    const res = await invoke(handler, { method: 'POST', body: { ticketId: '404', resolutionContent: 'x' } });
+    assert.equal(res.statusCode, 404);
+  });
+});
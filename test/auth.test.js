@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+describe('auth (mot de passe partagé)', () => {
+  let mock;
+  let auth;
+
+  before(async () => {
+    mock = await startMock();
+    auth = loadHandler('auth');
+  });
+
+  after(() => mock.stop());
+
+  it('refuse une session absente', async () => {
+    const res = await invoke(auth, { cookie: null });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('refuse un mauvais mot de passe', async () => {
+    const res = await invoke(auth, { method: 'POST', cookie: null, body: { password: 'nope' } });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.json.error, 'Mot de passe incorrect');
+  });
+
+  it('refuse un corps invalide', async () => {
+    const res = await invoke(auth, { method: 'POST', cookie: null, body: '{' });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('refuse les autres méthodes', async () => {
+    const res = await invoke(auth, { method: 'DELETE', cookie: null });
+    assert.equal(res.statusCode, 405);
+  });
+
+  it('pose un cookie HttpOnly valable pour les appels suivants', async () => {
+    const login = await invoke(auth, { method: 'POST', cookie: null, body: { password: 'portal-pw' } });
+    assert.equal(login.statusCode, 200);
+    // Session et CSRF dans le même tableau : un Set-Cookie dans headers serait écrasé par Netlify
+    assert.equal(login.headers['Set-Cookie'], undefined);
+    const [cookie, csrf] = login.multiValueHeaders['Set-Cookie'];
+    assert.match(csrf, /^csrfToken=/);
+    assert.match(cookie, /^authToken=[^;]+; Path=\/; HttpOnly; Secure; SameSite=Lax; Max-Age=\d+$/);
+
+    const check = await invoke(auth, { cookie: cookie.split(';')[0] });
+    assert.equal(check.statusCode, 200);
+    assert.equal(check.json.sharedAccess, true);
+    assert.equal(check.json.user.id, 'shared');
+  });
+
+  it('rejette un jeton falsifié', async () => {
+    const res = await invoke(auth, { cookie: 'authToken=eyJzdWIiOiJzaGFyZWQifQ.deadbeef' });
+    assert.equal(res.statusCode, 401);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+describe('cache des endpoints de lecture', () => {
+  let mock;
+  let handlers;
+  let cache;
+  let deskEvents;
+
+  before(async () => {
+    mock = await startMock({ ZOHO_TICKET_LAYOUT_ID: 'layout-1' });
+    handlers = Object.fromEntries(['tickets', 'ticketDetails', 'ticketHistory', 'layoutFields', 'replyToTicket']
+      .map(name => [name, loadHandler(name)]));
+    cache = require('../netlify/lib/cache');
+    deskEvents = require('../netlify/lib/deskEvents');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    cache.clearCache();
+    mock.addTicket({ id: '1', subject: '[Portal] Badge', status: 'Open' });
+    mock.db.history['1'] = [{ eventName: 'TicketCreated', eventTime: '2024-01-01T00:00:00Z' }];
+    mock.db.layouts['layout-1'] = { id: 'layout-1', sections: [{ name: 'A', fields: [{ apiName: 'subject', dataType: 'Text' }] }] };
+  });
+
+  it('sert la deuxième lecture depuis le cache', async () => {
+    for (const [name, query] of [['tickets', null], ['ticketDetails', { id: '1' }], ['ticketHistory', { id: '1' }], ['layoutFields', null]]) {
+      const first = await invoke(handlers[name], { query });
+      const calls = mock.requests.length;
+      const second = await invoke(handlers[name], { query });
+      assert.equal(first.headers['X-Cache'], 'MISS', name);
+      assert.equal(second.headers['X-Cache'], 'HIT', name);
+      assert.equal(mock.requests.length, calls, name);
+      assert.equal(second.body, first.body, name);
+    }
+  });
+
+  it('renvoie ETag et Last-Modified, puis 304 sur If-None-Match', async () => {
+    const first = await invoke(handlers.ticketDetails, { query: { id: '1' } });
+    assert.match(first.headers.ETag, /^W\/".+"$/);
+    assert.ok(Date.parse(first.headers['Last-Modified']));
+
+    const revalidated = await invoke(handlers.ticketDetails, {
+      query: { id: '1' },
+      headers: { 'if-none-match': `"autre", ${first.headers.ETag}` }
+    });
+    assert.equal(revalidated.statusCode, 304);
+    assert.equal(revalidated.body, '');
+    assert.equal(revalidated.headers.ETag, first.headers.ETag);
+
+    const changed = await invoke(handlers.ticketDetails, { query: { id: '1' }, headers: { 'if-none-match': '"autre"' } });
+    assert.equal(changed.statusCode, 200);
+  });
+
+  it('honore If-Modified-Since', async () => {
+    const first = await invoke(handlers.ticketHistory, { query: { id: '1' } });
+    const res = await invoke(handlers.ticketHistory, { query: { id: '1' }, headers: { 'if-modified-since': first.headers['Last-Modified'] } });
+    assert.equal(res.statusCode, 304);
+  });
+
+  it('laisse le navigateur réutiliser les layouts', async () => {
+    const res = await invoke(handlers.layoutFields);
+    assert.equal(res.headers['Cache-Control'], 'private, max-age=3600');
+    const details = await invoke(handlers.ticketDetails, { query: { id: '1' } });
+    assert.equal(details.headers['Cache-Control'], 'private, no-cache');
+  });
+
+  it('relit Zoho après un évènement webhook sur le ticket', async () => {
+    await invoke(handlers.ticketDetails, { query: { id: '1' } });
+    mock.db.tickets[0].status = 'Closed';
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await deskEvents.recordEvents([{ id: 'evt-1', type: 'ticket_updated', ticketId: '1', ticket: null, changes: [], isPublic: true }]);
+
+    const res = await invoke(handlers.ticketDetails, { query: { id: '1' } });
+    assert.equal(res.headers['X-Cache'], 'MISS');
+    assert.equal(res.json.status, 'Closed');
+  });
+
+  it('invalide le ticket et les listes après une réponse du client', async () => {
+    await invoke(handlers.tickets);
+    await invoke(handlers.ticketHistory, { query: { id: '1' } });
+    await invoke(handlers.replyToTicket, { method: 'POST', body: { ticketId: '1', text: 'Merci' } });
+
+    assert.equal((await invoke(handlers.tickets)).headers['X-Cache'], 'MISS');
+    assert.equal((await invoke(handlers.ticketHistory, { query: { id: '1' } })).headers['X-Cache'], 'MISS');
+  });
+
+  it('ne met pas les erreurs en cache', async () => {
+    mock.fail({ path: '/tickets/1', type: 'rateLimit', times: 3 });
+    assert.equal((await invoke(handlers.ticketDetails, { query: { id: '1' } })).statusCode, 429);
+    assert.equal((await invoke(handlers.ticketDetails, { query: { id: '1' } })).statusCode, 200);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+describe('createTicket', () => {
+  let mock;
+  let handler;
+
+  before(async () => {
+    mock = await startMock({
+      ZOHO_TICKET_LAYOUT_ID: 'layout-1',
+      ZOHO_DEPARTMENT_ID: 'dep-1',
+      ZOHO_DEFAULT_CONTACT_ID: 'contact-0'
+    });
+    handler = loadHandler('createTicket');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.db.layouts['layout-1'] = {
+      id: 'layout-1',
+      sections: [{ name: 'Demande', fields: [
+        { apiName: 'subject', displayName: 'Sujet', dataType: 'Text', required: true, maxLength: 50 },
+        { apiName: 'description', displayName: 'Description', dataType: 'Textarea' },
+        { apiName: 'priority', displayName: 'Priorité', dataType: 'Picklist', allowedValues: [{ value: 'Low' }, { value: 'High' }] },
+        { apiName: 'cf_site', displayName: 'Site', dataType: 'Text' },
+        { apiName: 'cf_postes', displayName: 'Postes', dataType: 'Number' },
+        { apiName: 'status', displayName: 'Statut', dataType: 'Picklist' }
+      ] }]
+    };
+  });
+
+  it('refuse les valeurs invalides champ par champ (422)', async () => {
+    const res = await invoke(handler, { method: 'POST', body: { values: { priority: 'Urgent', cf_postes: 'deux' } } });
+    assert.equal(res.statusCode, 422);
+    assert.deepEqual(Object.keys(res.json.details).sort(), ['cf_postes', 'priority', 'subject']);
+    assert.equal(mock.requestsTo('/tickets', 'POST').length, 0);
+
+    const english = await invoke(handler, { method: 'POST', body: { values: {} }, headers: { 'Accept-Language': 'en' } });
+    assert.equal(english.json.details.subject, 'Required field');
+  });
+
+  it('crée le ticket avec le tag portail, le département et les champs personnalisés', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      body: { values: { subject: 'Écran noir', priority: 'High', cf_site: 'Gand', cf_postes: '3', status: 'Closed' } }
+    });
+    assert.equal(res.statusCode, 201);
+
+    const sent = JSON.parse(mock.requestsTo('/tickets', 'POST')[0].body);
+    assert.equal(sent.subject, '[Portal] Écran noir');
+    assert.equal(sent.departmentId, 'dep-1');
+    assert.equal(sent.contactId, 'contact-0');
+    assert.equal(sent.channel, 'Web');
+    assert.deepEqual(sent.cf, { cf_site: 'Gand', cf_postes: '3' });
+    assert.equal(sent.status, undefined);
+    assert.equal(res.json.ticket.subject, '[Portal] Écran noir');
+    assert.equal(res.json.message, 'Ticket créé avec succès');
+  });
+
+  it('ignore le layout envoyé par le client (département du profil)', async () => {
+    mock.db.layouts['layout-rh'] = { id: 'layout-rh', departmentId: 'dep-rh', sections: [] };
+    const res = await invoke(handler, { method: 'POST', body: { layoutId: 'layout-rh', values: { subject: 'Test' } } });
+    assert.equal(res.statusCode, 201);
+    const sent = JSON.parse(mock.requestsTo('/tickets', 'POST')[0].body);
+    assert.equal(sent.layoutId, 'layout-1');
+    assert.equal(sent.departmentId, 'dep-1');
+    assert.equal(mock.requestsTo('/layouts/layout-rh').length, 0);
+  });
+
+  it('remonte l\'erreur Desk si la création échoue', async () => {
+    mock.fail({ method: 'POST', path: '/tickets', status: 422, body: { errorCode: 'INVALID_DATA' } });
+    const res = await invoke(handler, { method: 'POST', body: { values: { subject: 'Test' } } });
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.json.details.errorCode, 'INVALID_DATA');
+  });
+});
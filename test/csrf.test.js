@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, sessionCookie, invoke } = require('./support/setup');
+
+describe('protection CSRF des écritures', () => {
+  let mock;
+  let auth;
+  let addResolution;
+  let feedback;
+  let logout;
+
+  before(async () => {
+    mock = await startMock();
+    auth = loadHandler('auth');
+    addResolution = loadHandler('addTicketResolution');
+    feedback = loadHandler('ticketFeedback');
+    logout = loadHandler('logout');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addTicket({ id: '5', subject: '[Portal] Accès VPN', resolution: 'Redémarrer le routeur' });
+  });
+
+  function tokenOf(cookie) {
+    return /csrfToken=([^;]+)/.exec(cookie)[1];
+  }
+
+  function post(options = {}) {
+    return invoke(addResolution, {
+      method: 'POST',
+      body: { ticketId: '5', resolutionContent: 'Toujours en panne' },
+      ...options
+    });
+  }
+
+  it('pose le jeton à la connexion dans un cookie lisible par la page', async () => {
+    const res = await invoke(auth, { method: 'POST', cookie: null, body: { password: 'portal-pw' } });
+    const [session, csrf] = res.multiValueHeaders['Set-Cookie'];
+    assert.match(csrf, /^csrfToken=[\w-]+; Path=\/; Secure; SameSite=Strict; Max-Age=\d+$/);
+    assert.equal(res.json.csrfToken, tokenOf(csrf));
+
+    // Redonné par la vérification de session, identique pour la même session
+    const cookie = `${session.split(';')[0]}; ${csrf.split(';')[0]}`;
+    const check = await invoke(auth, { cookie });
+    assert.equal(check.json.csrfToken, res.json.csrfToken);
+    assert.equal(check.multiValueHeaders['Set-Cookie'][0], csrf);
+
+    assert.equal((await post({ cookie })).statusCode, 200);
+  });
+
+  it('refuse une écriture sans jeton ou avec un jeton qui ne correspond pas', async () => {
+    const cookie = await sessionCookie();
+    const other = tokenOf(await sessionCookie());
+    const authOnly = cookie.split(';')[0];
+
+    const missing = await post({ cookie: authOnly });
+    assert.equal(missing.statusCode, 403);
+    assert.match(missing.json.error, /CSRF/);
+    assert.equal((await post({ cookie, headers: { 'X-CSRF-Token': 'forge' } })).statusCode, 403);
+    // Jeton valide d'une autre session, ou cookie imposé par un tiers et recopié dans l'en-tête
+    assert.equal((await post({ cookie, headers: { 'X-CSRF-Token': other } })).statusCode, 403);
+    assert.equal((await post({ cookie: `${authOnly}; csrfToken=${other}` })).statusCode, 403);
+
+    assert.equal(mock.requestsTo('/tickets/5/resolution', 'PUT').length, 0);
+  });
+
+  it("refuse une origine étrangère même avec un jeton valide", async () => {
+    const foreign = await post({ headers: { Origin: 'https://evil.example' } });
+    assert.equal(foreign.statusCode, 403);
+    assert.match(foreign.json.error, /Origine/);
+    assert.equal((await post({ headers: { Referer: 'https://evil.example/page' } })).statusCode, 403);
+    assert.equal((await post({ headers: { Origin: 'null' } })).statusCode, 403);
+
+    assert.equal((await post({ headers: { Origin: 'https://portail.example', Host: 'portail.example' } })).statusCode, 200);
+    assert.equal((await post({ headers: { Origin: 'https://zohodeskclabots.netlify.app' } })).statusCode, 200);
+    assert.equal((await post({ headers: { Referer: 'https://portail.example/tickets', host: 'portail.example' } })).statusCode, 200);
+  });
+
+  it('contrôle aussi PUT/DELETE de ticketFeedback mais pas les lectures', async () => {
+    const authOnly = (await sessionCookie()).split(';')[0];
+    assert.equal((await invoke(feedback, { query: { ticketId: '5' }, cookie: authOnly })).statusCode, 200);
+    assert.equal((await invoke(feedback, { method: 'PUT', body: { ticketId: '5', feedbackId: 'x', body: 'y' }, cookie: authOnly })).statusCode, 403);
+    assert.equal((await invoke(feedback, { method: 'DELETE', query: { ticketId: '5', feedbackId: 'x' }, cookie: authOnly })).statusCode, 403);
+  });
+
+  it('refuse une connexion ou une déconnexion forcée depuis un autre site', async () => {
+    const login = await invoke(auth, { method: 'POST', cookie: null, body: { password: 'portal-pw' }, headers: { Origin: 'https://evil.example' } });
+    assert.equal(login.statusCode, 403);
+    assert.equal(login.headers['Set-Cookie'], undefined);
+    assert.equal(login.multiValueHeaders, undefined);
+
+    const cookie = await sessionCookie();
+    const forced = await invoke(logout, { method: 'POST', cookie: cookie.split(';')[0] });
+    assert.equal(forced.statusCode, 403);
+    // Session non révoquée côté serveur, mais cookies effacés dans ce navigateur
+    assert.equal((await invoke(auth, { cookie })).statusCode, 200);
+    assert.deepEqual(forced.multiValueHeaders['Set-Cookie'].map(c => c.split('=')[0]), ['authToken', 'csrfToken']);
+    assert.ok(forced.multiValueHeaders['Set-Cookie'].every(c => /Max-Age=0$/.test(c)));
+  });
+});
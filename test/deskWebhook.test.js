@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+const SECRET = 'webhook-secret';
+
+function signed(payload, { encoding = 'base64', secret = SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest(encoding);
+  return { method: 'POST', cookie: null, body, headers: { 'x-zdesk-signature': signature } };
+}
+
+function ticketUpdate(id, extra = {}) {
+  return {
+    eventType: 'Ticket_Update',
+    eventTime: '1714550400000',
+    payload: { id, subject: '[Portal] Wifi', status: 'Closed', modifiedTime: '2024-05-01T08:00:00Z', ...extra },
+    prevState: { status: 'Open', modifiedTime: '2024-04-30T08:00:00Z' }
+  };
+}
+
+describe('deskWebhook / ticketChanges', () => {
+  let mock;
+  let webhook;
+  let changes;
+
+  before(async () => {
+    mock = await startMock({ DESK_WEBHOOK_SECRET: SECRET });
+    webhook = loadHandler('deskWebhook');
+    changes = loadHandler('ticketChanges');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    fs.rmSync(path.join(process.env.PORTAL_STORE_DIR, 'desk-events.json'), { force: true });
+  });
+
+  it('répond à la vérification d\'URL de Zoho', async () => {
+    const res = await invoke(webhook, { method: 'GET', cookie: null });
+    assert.equal(res.statusCode, 200);
+  });
+
+  it('refuse une signature absente ou fausse', async () => {
+    const unsigned = await invoke(webhook, { method: 'POST', cookie: null, body: [ticketUpdate('1')] });
+    assert.equal(unsigned.statusCode, 401);
+    const wrong = await invoke(webhook, signed([ticketUpdate('1')], { secret: 'autre' }));
+    assert.equal(wrong.statusCode, 401);
+  });
+
+  it('enregistre les évènements signés (base64 ou hex) une seule fois', async () => {
+    const first = await invoke(webhook, signed([ticketUpdate('1')]));
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(first.json, { ok: true, received: 1, recorded: 1 });
+
+    const replay = await invoke(webhook, signed([ticketUpdate('1')], { encoding: 'hex' }));
+    assert.deepEqual(replay.json, { ok: true, received: 1, recorded: 0 });
+
+    const res = await invoke(changes);
+    assert.equal(res.json.events.length, 1);
+    const [event] = res.json.events;
+    assert.equal(event.type, 'ticket_updated');
+    assert.equal(event.subject, '[Portal] Wifi');
+    assert.deepEqual(event.changes, [{ field: 'status', from: 'Open', to: 'Closed' }]);
+    assert.equal(event.eventTime, '2024-05-01T08:00:00.000Z');
+  });
+
+  it('accepte un corps encodé en base64 par Netlify', async () => {
+    const request = signed([ticketUpdate('1')]);
+    const res = await invoke(webhook, { ...request, body: Buffer.from(request.body).toString('base64'), isBase64Encoded: true });
+    assert.equal(res.statusCode, 200);
+  });
+
+  it('lit le ticket dans Zoho pour un commentaire sur un ticket inconnu', async () => {
+    mock.addTicket({ id: '2', subject: '[Portal] Imprimante', contactId: 'c-1' });
+    await invoke(webhook, signed([{ eventType: 'Ticket_Comment_Add', payload: { id: '55', ticketId: '2', isPublic: true, commentedTime: '2024-05-02T08:00:00Z' } }]));
+    assert.equal(mock.requestsTo('/tickets/2', 'GET').length, 1);
+
+    const res = await invoke(changes);
+    assert.deepEqual(res.json.events.map(e => [e.type, e.ticketId, e.subject]), [['comment_added', '2', '[Portal] Imprimante']]);
+  });
+
+  it('ignore les commentaires privés, les tickets hors portail et les types non suivis', async () => {
+    await invoke(webhook, signed([
+      { eventType: 'Ticket_Comment_Add', payload: { id: '56', ticketId: '1', isPublic: false } },
+      ticketUpdate('3', { subject: 'Ticket interne' }),
+      { eventType: 'Contact_Add', payload: { id: '9' } }
+    ]));
+    const res = await invoke(changes);
+    assert.deepEqual(res.json.events, []);
+  });
+
+  it('ne renvoie que les évènements après since', async () => {
+    await invoke(webhook, signed([ticketUpdate('1')]));
+    const { lastSeq } = (await invoke(changes)).json;
+    await invoke(webhook, signed([ticketUpdate('1', { modifiedTime: '2024-05-03T08:00:00Z', status: 'Open' })]));
+
+    const res = await invoke(changes, { query: { since: String(lastSeq) } });
+    assert.equal(res.json.events.length, 1);
+    assert.equal(res.json.lastSeq, lastSeq + 1);
+  });
+
+  it('oublie les tickets qui ne sont plus cités par un évènement conservé', async () => {
+    const { recordEvents } = require('../netlify/lib/deskEvents');
+    const event = (id, ticketId) => ({ id, ticketId, isPublic: true, ticket: { subject: '[Portal] Wifi' } });
+    await recordEvents([event('old', '1'), event('kept', '2')]);
+    await recordEvents(Array.from({ length: 499 }, (_, i) => event(`new-${i}`, '3')));
+
+    const doc = JSON.parse(fs.readFileSync(path.join(process.env.PORTAL_STORE_DIR, 'desk-events.json'), 'utf8'));
+    assert.equal(doc.events.length, 500);
+    assert.deepEqual(Object.keys(doc.tickets).sort(), ['2', '3']);
+  });
+
+  it('ticketChanges : renvoie l\'état courant du ticket avec l\'évènement', async () => {
+    await invoke(webhook, signed([ticketUpdate('1', { priority: 'High' })]));
+    const [event] = (await invoke(changes)).json.events;
+    assert.equal(event.status, 'Closed');
+    assert.equal(event.priority, 'High');
+  });
+
+  it('ticketChanges : long polling jusqu\'au prochain évènement', async () => {
+    const { lastSeq } = (await invoke(changes)).json;
+    const startedAt = Date.now();
+    const pending = invoke(changes, { query: { since: String(lastSeq), wait: '5' } });
+    setTimeout(() => invoke(webhook, signed([ticketUpdate('1')])), 200);
+
+    const res = await pending;
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Cache-Control'], 'no-store');
+    assert.equal(res.json.events.length, 1);
+    assert.ok(Date.now() - startedAt < 3000);
+  });
+
+  it('ticketChanges : rend la main à la fin de l\'attente sans évènement', async () => {
+    const res = await invoke(changes, { query: { wait: '1' } });
+    assert.deepEqual(res.json.events, []);
+  });
+
+  it('ticketChanges : exige une session et un since valide', async () => {
+    assert.equal((await invoke(changes, { cookie: null })).statusCode, 401);
+    assert.equal((await invoke(changes, { query: { since: '-1' } })).statusCode, 400);
+    assert.equal((await invoke(changes, { query: { wait: '60' } })).statusCode, 400);
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+// Lit les entrées d'une archive zip (en-têtes locaux) : suffisant pour nos propres fichiers
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.slice(offset + 30, offset + 30 + nameLength).toString('utf8');
+    const start = offset + 30 + nameLength + extraLength;
+    const data = buffer.slice(start, start + size);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+function csvLines(body) {
+  return body.replace(/^\uFEFF/, '').trim().split('\r\n');
+}
+
+describe('exportTickets', () => {
+  let mock;
+  let exportTickets;
+
+  before(async () => {
+    mock = await startMock({ ZOHO_TICKET_LAYOUT_ID: 'layout-1' });
+    exportTickets = loadHandler('exportTickets');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addTicket({
+      id: '1', ticketNumber: '101', subject: '[Portal] Imprimante; bourrage', status: 'Closed', priority: 'High',
+      createdTime: '2024-03-01T08:00:00Z', closedTime: '2024-03-02T15:30:00Z',
+      resolution: 'Rouleau remplacé', cf: { cf_site: 'Bruxelles', cf_urgent: 'true' }
+    });
+    mock.addTicket({
+      id: '2', ticketNumber: '102', subject: '=HYPERLINK("x") [Portal]', status: 'Open', priority: 'Low',
+      createdTime: '2024-03-05T08:00:00Z', resolution: { content: 'En cours' }
+    });
+    mock.addTicket({ id: '3', ticketNumber: '103', subject: 'Interne', status: 'Open', createdTime: '2024-03-06T08:00:00Z' });
+    mock.db.layouts['layout-1'] = {
+      id: 'layout-1',
+      sections: [{ name: 'Infos', fields: [
+        { apiName: 'subject', displayName: 'Sujet', dataType: 'Text' },
+        { apiName: 'cf_site', displayName: 'Site', dataType: 'Text' },
+        { apiName: 'cf_urgent', displayName: 'Urgent', dataType: 'Boolean' },
+        { apiName: 'cf_cache', displayName: 'Caché', dataType: 'Text', visible: false }
+      ] }]
+    };
+  });
+
+  it('exige une session', async () => {
+    const res = await invoke(exportTickets, { cookie: null });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('exporte en CSV les tickets du portail avec résolution et dates locales', async () => {
+    const res = await invoke(exportTickets, { query: { sortBy: 'createdTime' } });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['Content-Type'], /^text\/csv/);
+    assert.match(res.headers['Content-Disposition'], /attachment; filename="tickets-\d{4}-\d{2}-\d{2}\.csv"/);
+    assert.equal(res.headers['X-Export-Count'], '2');
+    assert.ok(res.body.startsWith('\uFEFF'));
+
+    const lines = csvLines(res.body);
+    assert.equal(lines[0], 'N°;Sujet;Statut;Priorité;Créé le;Clôturé le;Résolution');
+    assert.equal(lines[1], '101;"[Portal] Imprimante; bourrage";Closed;High;01/03/2024 09:00;02/03/2024 16:30;Rouleau remplacé');
+    // Formule neutralisée, résolution au format objet
+    assert.equal(lines[2], '102;"\'=HYPERLINK(""x"") [Portal]";Open;Low;05/03/2024 09:00;;En cours');
+  });
+
+  it('applique les mêmes filtres que la liste', async () => {
+    const res = await invoke(exportTickets, { query: { status: 'closed' } });
+    const lines = csvLines(res.body);
+    assert.equal(lines.length, 2);
+    assert.ok(lines[1].startsWith('101;'));
+  });
+
+  it('ajoute les champs personnalisés visibles libellés selon le layout', async () => {
+    const res = await invoke(exportTickets, { query: { customFields: '1', sortBy: 'createdTime' } });
+    const lines = csvLines(res.body);
+    assert.ok(lines[0].endsWith(';Résolution;Site;Urgent'));
+    assert.ok(lines[1].endsWith(';Rouleau remplacé;Bruxelles;Oui'));
+    assert.ok(lines[2].endsWith(';En cours;;'));
+  });
+
+  it('libelle les colonnes dans la langue de la requête', async () => {
+    const res = await invoke(exportTickets, {
+      query: { customFields: '1', sortBy: 'createdTime' },
+      headers: { 'Accept-Language': 'en' }
+    });
+    const lines = csvLines(res.body);
+    assert.ok(lines[0].startsWith('No.;Subject;Status;Priority;Created on;Closed on;Resolution;'));
+    assert.ok(lines[1].endsWith(';Bruxelles;Yes'));
+  });
+
+  it('produit un classeur XLSX avec dates Excel et en-tête', async () => {
+    const res = await invoke(exportTickets, { query: { format: 'xlsx', sortBy: 'createdTime' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.isBase64Encoded, true);
+    assert.equal(res.headers['Content-Type'], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const files = unzip(Buffer.from(res.body, 'base64'));
+    assert.deepEqual(Object.keys(files).sort(), [
+      '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+    ]);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.match(sheet, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">N°<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">\[Portal\] Imprimante; bourrage<\/t><\/is><\/c>/);
+    // 01/03/2024 09:00 heure de Bruxelles
+    assert.match(sheet, /<c r="E2" s="2"><v>45352\.375<\/v><\/c>/);
+    assert.match(sheet, /<autoFilter ref="A1:G3"\/>/);
+  });
+
+  it('borne le nombre de tickets relus et signale un export tronqué', async () => {
+    for (let i = 10; i < 75; i++) {
+      mock.addTicket({ id: String(i), ticketNumber: String(i), subject: `[Portal] Ticket ${i}`, status: 'Open', createdTime: '2024-04-01T08:00:00Z' });
+    }
+    const res = await invoke(exportTickets);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['X-Export-Count'], '60');
+    assert.equal(res.headers['X-Export-Truncated'], 'true');
+    assert.equal(mock.requestsTo(/^\/api\/v1\/tickets\/\d+$/, 'GET').length, 60);
+  });
+
+  it('refuse un format inconnu', async () => {
+    const res = await invoke(exportTickets, { query: { format: 'pdf' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.json.error, /format/);
+  });
+
+  it('remonte le rate limit Zoho pendant la lecture des détails', async () => {
+    mock.fail({ method: 'GET', path: /^\/tickets\/1$/, type: 'rateLimit', times: 5 });
+    const res = await invoke(exportTickets);
+    assert.equal(res.statusCode, 429);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+const PORTAL = 'https://portail.example';
+const SECOND = 'https://support.autre-domaine.example';
+
+describe('politique CORS et en-têtes de sécurité', () => {
+  let mock;
+  let tickets;
+  let addResolution;
+  let auth;
+
+  before(async () => {
+    mock = await startMock({ ALLOWED_ORIGINS: `${PORTAL}, ${SECOND}/` });
+    tickets = loadHandler('tickets');
+    addResolution = loadHandler('addTicketResolution');
+    auth = loadHandler('auth');
+    mock.addTicket({ id: '5', subject: '[Portal] Accès VPN', resolution: 'Redémarrer le routeur' });
+  });
+
+  after(() => mock.stop());
+
+  function preflight(handler, origin) {
+    return handler({
+      httpMethod: 'OPTIONS',
+      headers: { origin, 'access-control-request-method': 'POST', 'access-control-request-headers': 'content-type, x-csrf-token, idempotency-key' }
+    });
+  }
+
+  it('répond au preflight des origines autorisées', async () => {
+    const res = await preflight(addResolution, SECOND);
+    assert.equal(res.statusCode, 204);
+    assert.equal(res.headers['Access-Control-Allow-Origin'], SECOND);
+    assert.equal(res.headers['Access-Control-Allow-Credentials'], 'true');
+    assert.match(res.headers['Access-Control-Allow-Methods'], /POST/);
+    assert.match(res.headers['Access-Control-Allow-Headers'], /X-CSRF-Token/);
+    assert.match(res.headers['Access-Control-Allow-Headers'], /Idempotency-Key/);
+    assert.match(res.headers.Vary, /^Origin\b/);
+    assert.equal(mock.requestsTo('/tickets').length, 0);
+
+    const denied = await preflight(addResolution, 'https://evil.example');
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.headers['Access-Control-Allow-Origin'], undefined);
+  });
+
+  it("renvoie l'origine autorisée avec Vary: Origin, rien pour les autres", async () => {
+    const allowed = await invoke(tickets, { headers: { Origin: PORTAL } });
+    assert.equal(allowed.statusCode, 200);
+    assert.equal(allowed.headers['Access-Control-Allow-Origin'], PORTAL);
+    assert.match(allowed.headers['Access-Control-Expose-Headers'], /Retry-After/);
+    assert.equal(allowed.headers.Vary, 'Origin');
+
+    const other = await invoke(tickets, { headers: { Origin: 'https://evil.example' } });
+    assert.equal(other.headers['Access-Control-Allow-Origin'], undefined);
+    assert.equal(other.headers.Vary, 'Origin');
+  });
+
+  it('accepte les écritures depuis le second domaine', async () => {
+    const res = await invoke(addResolution, {
+      method: 'POST',
+      body: { ticketId: '5', resolutionContent: 'Toujours en panne' },
+      headers: { Origin: SECOND }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Access-Control-Allow-Origin'], SECOND);
+  });
+
+  it('ajoute les en-têtes de sécurité à toutes les réponses, erreurs comprises', async () => {
+    for (const res of [
+      await invoke(tickets),
+      await invoke(tickets, { cookie: null }),
+      await invoke(auth, { method: 'POST', cookie: null, body: '{' })
+    ]) {
+      assert.equal(res.headers['X-Content-Type-Options'], 'nosniff');
+      assert.equal(res.headers['Referrer-Policy'], 'strict-origin-when-cross-origin');
+      assert.equal(res.headers['Content-Security-Policy'], "default-src 'none'; frame-ancestors 'none'");
+    }
+
+    // Une fonction qui sert du HTML garde sa propre CSP
+    const dossier = await invoke(loadHandler('ticketDossier'), { query: { id: '5' } });
+    assert.equal(dossier.statusCode, 200);
+    assert.equal(dossier.headers['Content-Security-Policy'], "default-src 'none'; style-src 'unsafe-inline'");
+  });
+
+  it("autorise le script inline de index.html dans la CSP de netlify.toml", () => {
+    const root = path.join(__dirname, '..');
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const [, script] = /<script>([\s\S]*?)<\/script>/.exec(html);
+    const hash = crypto.createHash('sha256').update(script).digest('base64');
+    const toml = fs.readFileSync(path.join(root, 'netlify.toml'), 'utf8');
+    const policies = [...toml.matchAll(/Content-Security-Policy = "([^"]+)"/g)].map(m => m[1]);
+    assert.equal(policies.length, 2);
+    policies.forEach(policy => {
+      assert.ok(policy.includes(`script-src 'sha256-${hash}'`), 'Empreinte du script à jour : lancer npm run csp-hash');
+      assert.match(policy, /frame-ancestors 'none'/);
+    });
+  });
+});
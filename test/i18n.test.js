@@ -0,0 +1,69 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, sessionCookie, invoke } = require('./support/setup');
+const { MESSAGES, message } = require('../netlify/lib/i18n');
+
+// Utilisateurs francophones, néerlandophones et anglophones : même code, message dans leur langue
+describe('messages d’erreur traduits', () => {
+  let mock;
+  let tickets;
+  let details;
+  let downloadAttachment;
+
+  before(async () => {
+    mock = await startMock();
+    tickets = loadHandler('tickets');
+    details = loadHandler('ticketDetails');
+    downloadAttachment = loadHandler('downloadAttachment');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    require('../netlify/lib/cache').clearCache();
+  });
+
+  it('répond en français par défaut', async () => {
+    const res = await invoke(tickets, { cookie: null });
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.json, { error: 'Non authentifié', code: 'UNAUTHENTICATED' });
+    assert.equal(res.headers['Content-Language'], 'fr');
+
+    const unsupported = await invoke(tickets, { cookie: null, headers: { 'Accept-Language': 'de-DE,de;q=0.9' } });
+    assert.equal(unsupported.json.error, 'Non authentifié');
+  });
+
+  it('suit Accept-Language et ses préférences q', async () => {
+    const res = await invoke(tickets, { cookie: null, headers: { 'Accept-Language': 'de, en;q=0.5, nl-BE;q=0.8' } });
+    assert.deepEqual(res.json, { error: 'Niet aangemeld', code: 'UNAUTHENTICATED' });
+    assert.equal(res.headers['Content-Language'], 'nl');
+  });
+
+  it('privilégie la langue choisie dans la page (cookie portalLang)', async () => {
+    const cookie = (await sessionCookie()) + '; portalLang=en';
+    const missing = await invoke(details, { cookie, headers: { 'Accept-Language': 'nl' } });
+    assert.equal(missing.statusCode, 400);
+    assert.deepEqual(missing.json, { error: 'Missing parameter: id is required', code: 'MISSING_PARAMETER' });
+
+    const sort = await invoke(tickets, { cookie, query: { sortBy: 'subject' } });
+    assert.equal(sort.statusCode, 400);
+    assert.equal(sort.json.code, 'INVALID_SORT');
+    assert.match(sort.json.error, /^Invalid sortBy parameter \(possible values: /);
+    assert.equal(sort.headers['Content-Language'], 'en');
+  });
+
+  it('met en forme les listes de paramètres selon la langue', async () => {
+    const res = await invoke(downloadAttachment, { cookie: (await sessionCookie()) + '; portalLang=nl' });
+    assert.equal(res.json.code, 'MISSING_PARAMETERS');
+    assert.equal(res.json.error, 'Ontbrekende parameters: ticketId en attachmentId zijn verplicht');
+    assert.equal(message('MISSING_PARAMETERS', { names: ['ticketId', 'files'] }, 'fr'), 'Paramètres manquants: ticketId et files sont requis');
+  });
+
+  it('traduit chaque code du catalogue dans toutes les langues', () => {
+    const codes = Object.keys(MESSAGES.fr);
+    Object.entries(MESSAGES).forEach(([language, catalog]) => {
+      assert.deepEqual(Object.keys(catalog).sort(), codes.slice().sort(), language);
+    });
+  });
+});
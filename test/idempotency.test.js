@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMock, loadHandler, sessionCookie, invoke } = require('./support/setup');
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(32, 1)]);
+
+describe('Idempotency-Key', () => {
+  let mock;
+  let addResolution;
+  let uploadImage;
+  let feedback;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-users-'));
+    const usersFile = path.join(dir, 'users.json');
+    mock = await startMock({ PORTAL_USERS_FILE: usersFile });
+
+    const { hashPassword } = require('../netlify/lib/users');
+    fs.writeFileSync(usersFile, JSON.stringify({ users: [
+      { id: 'alice', email: 'alice@example.com', passwordHash: hashPassword('secret-a'), accountIds: ['acc-a'] },
+      { id: 'bob', email: 'bob@example.com', passwordHash: hashPassword('secret-b'), accountIds: ['acc-a'] }
+    ] }));
+    addResolution = loadHandler('addTicketResolution');
+    uploadImage = loadHandler('uploadImage');
+    feedback = loadHandler('ticketFeedback');
+  });
+
+  after(async () => {
+    await mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    fs.rmSync(path.join(process.env.PORTAL_STORE_DIR, 'feedback'), { recursive: true, force: true });
+    fs.rmSync(path.join(process.env.PORTAL_STORE_DIR, 'idempotency.json'), { force: true });
+    mock.addTicket({ id: '5', subject: '[Portal] Accès VPN', accountId: 'acc-a', resolution: 'Redémarrer le routeur' });
+  });
+
+  async function addFeedback(key, text = 'Toujours en panne', options = {}) {
+    return invoke(addResolution, {
+      method: 'POST',
+      body: { ticketId: '5', resolutionContent: text },
+      headers: key ? { 'Idempotency-Key': key } : {},
+      cookie: await sessionCookie('alice'),
+      ...options
+    });
+  }
+
+  function feedbackBlocks() {
+    const resolution = mock.db.tickets[0].resolution;
+    return (String(resolution).match(/\[Feedback client - /g) || []).length;
+  }
+
+  it("rejoue la réponse d'origine sans ajouter un second bloc", async () => {
+    const first = await addFeedback('key-1');
+    const second = await addFeedback('key-1');
+    assert.equal(first.statusCode, 200);
+    assert.equal(second.statusCode, 200);
+    assert.equal(second.headers['Idempotent-Replayed'], 'true');
+    assert.equal(second.body, first.body);
+    assert.equal(mock.requestsTo('/tickets/5/resolution', 'PUT').length, 1);
+    assert.equal(feedbackBlocks(), 1);
+  });
+
+  it('traite normalement les requêtes sans clé ou avec une autre clé', async () => {
+    await addFeedback(null);
+    await addFeedback(null);
+    await addFeedback('key-2');
+    assert.equal(feedbackBlocks(), 3);
+  });
+
+  it("ne rejoue pas le commentaire de secours une seconde fois", async () => {
+    mock.fail({ method: 'PUT', path: '/tickets/5', status: 422, body: { errorCode: 'INVALID_DATA' }, times: 3 });
+    await addFeedback('key-3', 'Merci');
+    await addFeedback('key-3', 'Merci');
+    assert.equal(mock.db.comments['5'].length, 1);
+    assert.equal(mock.requestsTo('/tickets/5', 'PUT').length, 3);
+  });
+
+  it('libère la clé après une erreur pour permettre un nouvel essai', async () => {
+    mock.fail({ method: 'PUT', path: '/tickets/5', status: 422, body: { errorCode: 'INVALID_DATA' }, times: 3 });
+    mock.fail({ method: 'POST', path: '/comments', status: 500, body: { errorCode: 'INTERNAL' } });
+    assert.equal((await addFeedback('key-4')).statusCode, 500);
+
+    const retry = await addFeedback('key-4');
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.headers['Idempotent-Replayed'], undefined);
+    assert.equal(feedbackBlocks(), 1);
+  });
+
+  it('refuse une clé réutilisée pour une autre requête ou mal formée', async () => {
+    await addFeedback('key-5', 'Premier');
+    const conflict = await addFeedback('key-5', 'Second');
+    assert.equal(conflict.statusCode, 422);
+    assert.match(conflict.json.error, /Idempotency-Key/);
+
+    assert.equal((await addFeedback('clé avec espaces')).statusCode, 400);
+    assert.equal((await addFeedback('x'.repeat(256))).statusCode, 400);
+    assert.equal(feedbackBlocks(), 1);
+  });
+
+  it("isole les clés par utilisateur et par endpoint", async () => {
+    await addFeedback('key-6');
+    const other = await addFeedback('key-6', 'Toujours en panne', { cookie: await sessionCookie('bob') });
+    assert.equal(other.statusCode, 200);
+    assert.equal(other.headers['Idempotent-Replayed'], undefined);
+
+    const created = await invoke(feedback, {
+      method: 'POST',
+      body: { ticketId: '5', body: 'Toujours en panne' },
+      headers: { 'Idempotency-Key': 'key-6' },
+      cookie: await sessionCookie('alice')
+    });
+    assert.equal(created.statusCode, 201);
+    assert.equal(created.headers['Idempotent-Replayed'], undefined);
+  });
+
+  it('ticketFeedback et uploadImage : une seule création pour une même clé', async () => {
+    const cookie = await sessionCookie('alice');
+    const request = { method: 'POST', body: { ticketId: '5', body: 'Ajout unique' }, headers: { 'idempotency-key': 'fb-1' }, cookie };
+    const first = await invoke(feedback, request);
+    const replay = await invoke(feedback, request);
+    assert.equal(replay.statusCode, 201);
+    assert.equal(replay.json.feedback.id, first.json.feedback.id);
+    assert.equal(replay.json.entries.length, 1);
+
+    const upload = { method: 'POST', body: { ticketId: '5', imageData: PNG.toString('base64'), filename: 'ecran' }, headers: { 'Idempotency-Key': 'img-1' }, cookie };
+    assert.equal((await invoke(uploadImage, upload)).statusCode, 200);
+    assert.equal((await invoke(uploadImage, upload)).statusCode, 200);
+    assert.equal(mock.db.attachments['5'].length, 1);
+  });
+});
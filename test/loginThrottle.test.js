@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+describe('auth : protection contre la force brute', () => {
+  let mock;
+  let auth;
+  let storeFile;
+  let throttle;
+
+  before(async () => {
+    mock = await startMock({ LOGIN_FREE_ATTEMPTS: '2', LOGIN_MAX_ATTEMPTS_IP: '5', LOGIN_MAX_ATTEMPTS_ACCOUNT: '8', LOGIN_LOCKOUT_MINUTES: '15' });
+    auth = loadHandler('auth');
+    throttle = require('../netlify/lib/loginThrottle');
+    storeFile = path.join(process.env.PORTAL_STORE_DIR, 'login-attempts.json');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    fs.rmSync(storeFile, { force: true });
+  });
+
+  // Les comptes nominatifs (fichier utilisateurs) sont testés directement sur les compteurs
+  function fromIp(ip) {
+    return { headers: { 'x-nf-client-connection-ip': ip } };
+  }
+
+  function login(password, ip = '203.0.113.7') {
+    return invoke(auth, { method: 'POST', cookie: null, body: { password }, headers: { 'x-nf-client-connection-ip': ip } });
+  }
+
+  // Fait comme si les délais imposés étaient écoulés (sans toucher aux compteurs)
+  function elapse() {
+    if (!fs.existsSync(storeFile)) return;
+    const doc = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    Object.values(doc.entries).forEach(entry => {
+      entry.blockedUntil = 0;
+    });
+    fs.writeFileSync(storeFile, JSON.stringify(doc));
+  }
+
+  it('impose un délai croissant après les essais tolérés', async () => {
+    assert.equal((await login('nope')).headers['Retry-After'], undefined);
+    assert.equal((await login('nope')).headers['Retry-After'], undefined);
+
+    const third = await login('nope');
+    assert.equal(third.statusCode, 401);
+    assert.equal(third.headers['Retry-After'], '1');
+    assert.equal(third.json.retryAfter, 1);
+
+    // Pendant l'attente, même le bon mot de passe est refusé sans être vérifié
+    const blocked = await login('portal-pw');
+    assert.equal(blocked.statusCode, 429);
+    assert.equal(blocked.headers['Retry-After'], '1');
+    assert.equal(blocked.json.locked, false);
+    assert.match(blocked.json.error, /Réessayez dans 1 s/);
+
+    elapse();
+    assert.equal((await login('nope')).headers['Retry-After'], '2');
+  });
+
+  it('verrouille une IP au seuil et journalise le verrouillage', async () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+      for (let i = 0; i < 5; i++) {
+        elapse();
+        await login('nope');
+      }
+    } finally {
+      console.warn = warn;
+    }
+
+    const res = await login('portal-pw');
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.json.locked, true);
+    assert.equal(res.headers['Retry-After'], String(15 * 60));
+    assert.match(res.json.error, /verrouillée.*15 min/);
+    assert.ok(warnings.some(w => /Connexion verrouillée 15 min \(IP 203\.0\.113\.7\) après 5 échecs/.test(w)));
+
+    // Une autre IP n'est pas concernée
+    assert.equal((await login('portal-pw', '198.51.100.1')).statusCode, 200);
+  });
+
+  it('ne verrouille jamais le mot de passe partagé pour tout le monde', async () => {
+    for (let i = 0; i < 12; i++) {
+      await login('nope', `198.51.100.${i + 10}`);
+    }
+    assert.equal((await login('portal-pw', '192.0.2.99')).statusCode, 200);
+  });
+
+  it('verrouille un compte nominatif visé depuis plusieurs IP', async () => {
+    const now = Date.now();
+    for (let i = 0; i < 8; i++) {
+      await throttle.recordFailure(throttle.attemptKeys(fromIp(`198.51.100.${i + 10}`), 'alice@example.com'), now);
+    }
+    const wait = await throttle.loginWait(throttle.attemptKeys(fromIp('192.0.2.99'), 'alice@example.com'), now);
+    assert.equal(wait.locked, true);
+    assert.equal(wait.retryAfter, 15 * 60);
+    assert.equal(await throttle.loginWait(throttle.attemptKeys(fromIp('192.0.2.99'), 'bob@example.com'), now), null);
+  });
+
+  it('remet le compteur du compte à zéro après une connexion réussie', async () => {
+    const now = Date.now();
+    for (let i = 0; i < 7; i++) {
+      await throttle.recordFailure(throttle.attemptKeys(fromIp(`198.51.100.${i + 10}`), 'alice@example.com'), now);
+    }
+    await throttle.recordSuccess(throttle.attemptKeys(fromIp('192.0.2.1'), 'alice@example.com'));
+    assert.equal(await throttle.recordFailure(throttle.attemptKeys(fromIp('192.0.2.2'), 'alice@example.com'), now), null);
+  });
+
+  it('repart de zéro quand un verrouillage a expiré', async () => {
+    const start = Date.now();
+    for (let i = 0; i < 8; i++) {
+      await throttle.recordFailure(throttle.attemptKeys(fromIp(`198.51.100.${i + 10}`), 'alice@example.com'), start);
+    }
+    // Un échec juste après chaque fin de verrouillage ne doit pas le relancer
+    const afterLock = start + 15 * 60 * 1000 + 1;
+    assert.equal(await throttle.recordFailure(throttle.attemptKeys(fromIp('192.0.2.5'), 'alice@example.com'), afterLock), null);
+    assert.equal(await throttle.loginWait(throttle.attemptKeys(fromIp('192.0.2.6'), 'alice@example.com'), afterLock), null);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+describe('logout et révocation des sessions', () => {
+  let mock;
+  let auth;
+  let logout;
+  let session;
+
+  before(async () => {
+    mock = await startMock();
+    auth = loadHandler('auth');
+    logout = loadHandler('logout');
+    session = require('../netlify/lib/session');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    ['sessions', 'login-attempts'].forEach(name => {
+      fs.rmSync(path.join(process.env.PORTAL_STORE_DIR, `${name}.json`), { force: true });
+    });
+  });
+
+  async function login() {
+    const res = await invoke(auth, { method: 'POST', cookie: null, body: { password: 'portal-pw' } });
+    assert.equal(res.statusCode, 200);
+    return res.multiValueHeaders['Set-Cookie']
+      .map(cookie => cookie.split(';')[0])
+      .join('; ');
+  }
+
+  async function isValid(cookie) {
+    return (await invoke(auth, { cookie })).statusCode === 200;
+  }
+
+  // Jeton correctement signé avec AUTH_SECRET, mais aux claims choisis
+  function forgeToken(claims) {
+    const payload = Buffer.from(JSON.stringify({ sub: 'shared', exp: Date.now() + 60000, ...claims })).toString('base64url');
+    const signature = crypto.createHmac('sha256', 'test-secret').update(payload).digest('hex');
+    return `authToken=${payload}.${signature}`;
+  }
+
+  it('efface le cookie et révoque la session côté serveur', async () => {
+    const cookie = await login();
+    const other = await login();
+
+    const res = await invoke(logout, { method: 'POST', cookie });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Set-Cookie'], undefined);
+    assert.deepEqual(res.multiValueHeaders['Set-Cookie'], [
+      'authToken=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0',
+      'csrfToken=; Path=/; Secure; SameSite=Strict; Max-Age=0'
+    ]);
+
+    // Le cookie copié avant la déconnexion n'est plus accepté ; les autres sessions restent
+    assert.equal(await isValid(cookie), false);
+    assert.equal(await isValid(other), true);
+  });
+
+  it('répond 200 sans session et refuse les autres méthodes', async () => {
+    const res = await invoke(logout, { method: 'POST', cookie: null });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.multiValueHeaders['Set-Cookie'][0], /^authToken=;.*Max-Age=0$/);
+    assert.equal((await invoke(logout, { method: 'GET' })).statusCode, 405);
+  });
+
+  it('revokeAllSessions déconnecte tout le monde', async () => {
+    const cookies = [await login(), await login()];
+    await session.revokeAllSessions();
+    for (const cookie of cookies) {
+      assert.equal(await isValid(cookie), false);
+    }
+    assert.equal(await isValid(await login()), true);
+  });
+
+  it('refuse un jeton émis avec un autre mot de passe ou sans identifiant de session', async () => {
+    const valid = /authToken=([^;]+)/.exec(await login())[1];
+    const claims = JSON.parse(Buffer.from(valid.split('.')[0], 'base64url').toString());
+    assert.equal(await isValid(forgeToken(claims)), true);
+
+    // Même AUTH_SECRET, mais PORTAL_PASSWORD différent au moment de la connexion
+    const stamp = crypto.createHmac('sha256', 'test-secret').update('credential\nshared\nshared:ancien-pw').digest('hex').slice(0, 24);
+    assert.equal(await isValid(forgeToken({ ...claims, cred: stamp })), false);
+    assert.equal(await isValid(forgeToken({ sub: 'shared' })), false);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMock, loadHandler, sessionCookie, invoke } = require('./support/setup');
+
+// Deux organisations Zoho servies par le même site (PORTAL_PROFILES_FILE)
+describe('profils Zoho multiples', () => {
+  let mock;
+  let dir;
+  let handlers;
+  let alice;
+  let bob;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-profiles-'));
+    const usersFile = path.join(dir, 'users.json');
+    const profilesFile = path.join(dir, 'profiles.json');
+    mock = await startMock({ PORTAL_USERS_FILE: usersFile, PORTAL_PROFILES_FILE: profilesFile, BE_REFRESH_TOKEN: 'refresh-be' });
+
+    fs.writeFileSync(profilesFile, JSON.stringify({ profiles: [
+      { id: 'fr', name: 'France', orgId: 'org-fr', accountId: 'acc-fr' },
+      { id: 'be', name: 'Belgique', orgId: 'org-be', accountId: 'acc-be', refreshToken: 'env:BE_REFRESH_TOKEN', subjectTag: '[Portail BE]' }
+    ] }));
+    const { hashPassword } = require('../netlify/lib/users');
+    fs.writeFileSync(usersFile, JSON.stringify({ users: [
+      { id: 'alice', email: 'alice@example.com', passwordHash: hashPassword('secret-a'), accountIds: ['acc-fr'], profiles: ['fr'] },
+      { id: 'bob', email: 'bob@example.com', passwordHash: hashPassword('secret-b'), accountIds: ['acc-fr', 'acc-be'] }
+    ] }));
+
+    handlers = Object.fromEntries(['auth', 'tickets', 'ticketDetails', 'addTicketResolution'].map(name => [name, loadHandler(name)]));
+    alice = await sessionCookie('alice');
+    bob = await sessionCookie('bob');
+  });
+
+  after(async () => {
+    await mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    require('../netlify/lib/cache').clearCache();
+    mock.addTicket({ id: '1', subject: '[Portal] Paris', accountId: 'acc-fr' });
+    mock.addTicket({ id: '2', subject: '[Portail BE] Bruxelles', accountId: 'acc-be' });
+  });
+
+  it("ne propose que les profils autorisés, sans leurs identifiants", async () => {
+    const own = await invoke(handlers.auth, { cookie: alice });
+    assert.deepEqual(own.json.profiles, [{ id: 'fr', name: 'France' }]);
+
+    const all = await invoke(handlers.auth, { cookie: bob });
+    assert.deepEqual(all.json.profiles.map(p => p.id), ['fr', 'be']);
+    assert.equal(JSON.stringify(all.json).includes('refresh'), false);
+  });
+
+  it("interroge l'organisation, le compte et les identifiants du profil demandé", async () => {
+    const res = await invoke(handlers.tickets, { cookie: bob, query: { profile: 'be' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json.tickets.map(t => t.id), ['2']);
+
+    const [list] = mock.requestsTo('/accounts/acc-be/tickets');
+    assert.equal(list.headers.orgid, 'org-be');
+    const [token] = mock.requestsTo('/oauth/v2/token');
+    assert.equal(new URLSearchParams(token.body).get('refresh_token'), 'refresh-be');
+  });
+
+  it('prend le premier profil autorisé sans paramètre', async () => {
+    const res = await invoke(handlers.tickets, { cookie: bob });
+    assert.deepEqual(res.json.tickets.map(t => t.id), ['1']);
+    assert.equal(mock.requestsTo('/accounts/acc-fr/tickets')[0].headers.orgid, 'org-fr');
+  });
+
+  it('refuse un profil inconnu ou hors des droits de l’utilisateur', async () => {
+    const denied = await invoke(handlers.ticketDetails, { cookie: alice, query: { id: '2', profile: 'be' } });
+    assert.equal(denied.statusCode, 404);
+    assert.equal(denied.json.error, 'Profil introuvable');
+    assert.equal((await invoke(handlers.tickets, { cookie: bob, query: { profile: 'nl' } })).statusCode, 404);
+    assert.equal(mock.requests.length, 0);
+
+    assert.equal((await invoke(handlers.tickets, { cookie: null, query: { profile: 'be' } })).statusCode, 401);
+  });
+
+  it("ne rejoue pas une clé d'idempotence d'un profil sur un autre", async () => {
+    const send = profile => invoke(handlers.addTicketResolution, {
+      method: 'POST',
+      cookie: bob,
+      query: { profile },
+      headers: { 'Idempotency-Key': 'same-key' },
+      body: { ticketId: '1', resolutionContent: 'Merci' }
+    });
+    assert.equal((await send('fr')).statusCode, 200);
+    assert.equal((await send('be')).statusCode, 200);
+    assert.equal(mock.requestsTo('/tickets/1/resolution', 'PUT').length, 2);
+  });
+});
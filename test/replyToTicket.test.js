@@ -0,0 +1,62 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+describe('replyToTicket', () => {
+  let mock;
+  let handler;
+
+  before(async () => {
+    mock = await startMock();
+    handler = loadHandler('replyToTicket');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addTicket({ id: '9', subject: '[Portal] Licence' });
+  });
+
+  it('publie un commentaire public HTML nettoyé', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      body: { ticketId: '9', content: '<p onclick="x()">Bonjour <script>alert(1)</script><b>merci</b></p>' }
+    });
+    assert.equal(res.statusCode, 201);
+    const [comment] = mock.db.comments['9'];
+    assert.equal(comment.isPublic, true);
+    assert.equal(comment.contentType, 'html');
+    assert.match(comment.content, /^<p><b>Réponse client via le portail<\/b> - Accès partagé<\/p><p>Bonjour <b>merci<\/b><\/p>$/);
+    assert.equal(res.json.reply.text, 'Bonjour merci');
+  });
+
+  it('échappe une balise non fermée au lieu de la laisser passer', async () => {
+    const res = await invoke(handler, {
+      method: 'POST',
+      body: { ticketId: '9', content: '<p>Bonjour</p><img src=x onerror=alert(1)' }
+    });
+    assert.equal(res.statusCode, 201);
+    const { content } = mock.db.comments['9'][0];
+    assert.match(content, /<p>Bonjour<\/p>&lt;img src=x onerror=alert\(1\)$/);
+    assert.doesNotMatch(content, /<img/);
+  });
+
+  it('accepte du texte brut échappé', async () => {
+    const res = await invoke(handler, { method: 'POST', body: { ticketId: '9', text: 'a < b\nligne 2' } });
+    assert.equal(res.statusCode, 201);
+    assert.match(mock.db.comments['9'][0].content, /a &lt; b<br>ligne 2$/);
+  });
+
+  it('refuse un message vide ou des pièces jointes invalides', async () => {
+    assert.equal((await invoke(handler, { method: 'POST', body: { ticketId: '9', content: '<p> </p>' } })).statusCode, 400);
+    assert.equal((await invoke(handler, { method: 'POST', body: { ticketId: '9', text: 'x', attachmentIds: ['../1'] } })).statusCode, 400);
+    assert.equal(mock.requestsTo('/comments').length, 0);
+  });
+
+  it('renvoie 429 si Zoho reste en rate limit', async () => {
+    mock.fail({ method: 'POST', path: '/comments', type: 'rateLimit', times: 3 });
+    const res = await invoke(handler, { method: 'POST', body: { ticketId: '9', text: 'Bonjour' } });
+    assert.equal(res.statusCode, 429);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { BlobsServer } = require('@netlify/blobs/server');
+
+const STORE_PATH = require.resolve('../netlify/lib/store');
+
+// Chaque chargement du module joue le rôle d'une instance de fonction distincte
+function loadInstance() {
+  delete require.cache[STORE_PATH];
+  return require(STORE_PATH);
+}
+
+describe('store partagé (Netlify Blobs)', () => {
+  let server;
+  let dir;
+  let url;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-blobs-'));
+    server = new BlobsServer({ directory: dir, token: 'blobs-token' });
+    const { port } = await server.start();
+    url = `http://localhost:${port}`;
+    delete process.env.PORTAL_STORE_DIR;
+    process.env.NETLIFY_BLOBS_CONTEXT = Buffer.from(JSON.stringify({
+      edgeURL: url,
+      uncachedEdgeURL: url,
+      siteID: 'site-1',
+      token: 'blobs-token'
+    })).toString('base64');
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('partage les écritures entre instances', async () => {
+    const first = loadInstance();
+    const second = loadInstance();
+    assert.equal(first.STORE_DIR, null);
+
+    assert.deepEqual(await second.readJson('desk-events', { events: [] }), { events: [] });
+    await first.writeJson('desk-events', { events: [{ id: 'evt-1' }] });
+    assert.deepEqual(await second.readJson('desk-events', { events: [] }), { events: [{ id: 'evt-1' }] });
+  });
+
+  it('applique les mises à jour sur la dernière version du document', async () => {
+    const instances = [loadInstance(), loadInstance(), loadInstance()];
+    for (const [i, store] of instances.entries()) {
+      const next = await store.updateJson('counters', { hits: [] }, doc => {
+        doc.hits.push(i);
+        return doc;
+      });
+      assert.equal(next.hits.length, i + 1);
+    }
+
+    assert.deepEqual(await loadInstance().readJson('counters', null), { hits: [0, 1, 2] });
+  });
+
+  it('enchaîne deux mises à jour malgré un cache qui sert encore l\'ancienne version', async () => {
+    // Cache de l'edge (mode Lambda) : une lecture est resservie telle quelle, les écritures passent
+    const cached = new Map();
+    const edge = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', async () => {
+        if (req.method === 'GET' && cached.has(req.url)) {
+          const hit = cached.get(req.url);
+          res.writeHead(hit.status, hit.headers).end(hit.body);
+          return;
+        }
+        const upstream = await fetch(url + req.url, {
+          method: req.method,
+          headers: Object.fromEntries(Object.entries(req.headers).filter(([name]) => name !== 'host')),
+          body: chunks.length ? Buffer.concat(chunks) : undefined
+        });
+        const body = Buffer.from(await upstream.arrayBuffer());
+        const headers = Object.fromEntries(upstream.headers);
+        delete headers['content-length'];
+        delete headers['transfer-encoding'];
+        if (req.method === 'GET') cached.set(req.url, { status: upstream.status, headers, body });
+        res.writeHead(upstream.status, headers).end(body);
+      });
+    });
+    await new Promise(resolve => edge.listen(0, resolve));
+
+    const store = loadInstance();
+    const previous = process.env.NETLIFY_BLOBS_CONTEXT;
+    try {
+      store.connectStore({
+        blobs: Buffer.from(JSON.stringify({ url: `http://localhost:${edge.address().port}`, token: 'blobs-token' })).toString('base64'),
+        headers: { 'x-nf-site-id': 'site-1', 'x-nf-deploy-id': 'deploy-1' }
+      });
+      for (const status of ['pending', 'done']) {
+        await store.updateJson('lambda-keys', { keys: {} }, doc => {
+          doc.keys.k1 = status;
+          return doc;
+        });
+      }
+      assert.deepEqual(await store.readJson('lambda-keys', null), { keys: { k1: 'done' } });
+    } finally {
+      process.env.NETLIFY_BLOBS_CONTEXT = previous;
+      edge.close();
+    }
+    assert.deepEqual(await loadInstance().readJson('lambda-keys', null), { keys: { k1: 'done' } });
+  });
+
+  it('n\'écrit rien quand la mise à jour ne change rien', async () => {
+    const store = loadInstance();
+    await store.writeJson('unchanged', { n: 1 });
+    const result = await store.updateJson('unchanged', { n: 0 }, () => undefined);
+    assert.deepEqual(result, { n: 1 });
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createZohoMock } = require('./zohoMock');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', '..', 'netlify', 'functions');
+
+/**
+ * Démarre le bouchon Zoho et configure l'environnement des fonctions.
+ * Les modules lisent process.env au chargement : appeler avant le premier loadHandler().
+ */
+async function startMock(env = {}) {
+  const mock = await createZohoMock().start();
+  // Store JSON isolé par fichier de test (évènements webhook, etc.)
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-test-store-'));
+  const stop = mock.stop;
+  mock.stop = async () => {
+    await stop();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  };
+  Object.assign(process.env, {
+    PORTAL_STORE_DIR: storeDir,
+    ZOHO_ACCOUNTS_BASE: mock.accountsBase,
+    ZOHO_DESK_BASE: mock.deskBase,
+    ZOHO_RATE_LIMIT_DELAY_MS: '1',
+    ZOHO_CLIENT_ID: 'client-id',
+    ZOHO_CLIENT_SECRET: 'client-secret',
+    ZOHO_REFRESH_TOKEN: 'refresh-token',
+    ZOHO_ORG_ID: 'org-1',
+    ZOHO_ACCOUNT_ID: 'acc-1',
+    PORTAL_PASSWORD: 'portal-pw',
+    AUTH_SECRET: 'test-secret',
+    ...env
+  });
+  if (!process.env.TEST_VERBOSE) silenceConsole();
+  return mock;
+}
+
+// Les fonctions journalisent beaucoup (erreurs Zoho attendues dans les tests)
+function silenceConsole() {
+  ['log', 'info', 'warn', 'error'].forEach(level => {
+    console[level] = () => {};
+  });
+}
+
+function loadHandler(name) {
+  return require(path.join(FUNCTIONS_DIR, name)).handler;
+}
+
+// Cookies posés par auth à la connexion : session et jeton CSRF
+async function sessionCookie(userId = 'shared') {
+  const { generateToken, verifyToken, getSecret } = require('../../netlify/lib/session');
+  const { csrfToken } = require('../../netlify/lib/csrf');
+  const token = await generateToken(getSecret(), userId);
+  return `authToken=${token}; csrfToken=${csrfToken({ sessionId: verifyToken(token, getSecret()).sid })}`;
+}
+
+// Comme la page : le jeton du cookie csrfToken est recopié dans l'en-tête des écritures
+function csrfHeader(method, cookie, headers) {
+  const match = method !== 'GET' && cookie && /(?:^|;\s*)csrfToken=([^;]+)/.exec(cookie);
+  const explicit = Object.keys(headers).some(name => name.toLowerCase() === 'x-csrf-token');
+  return match && !explicit ? { 'x-csrf-token': match[1] } : {};
+}
+
+/**
+ * Appelle un handler Netlify avec un évènement minimal et décode le JSON renvoyé.
+ * cookie: null pour un appel sans session.
+ */
+async function invoke(handler, { method = 'GET', query = null, body, cookie, headers = {}, isBase64Encoded = false } = {}) {
+  if (cookie === undefined) cookie = await sessionCookie();
+  const response = await handler({
+    httpMethod: method,
+    queryStringParameters: query,
+    headers: { ...(cookie ? { cookie } : {}), ...csrfHeader(method, cookie, headers), ...headers },
+    isBase64Encoded,
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  let json = null;
+  const contentType = (response.headers && response.headers['Content-Type']) || '';
+  if (contentType.includes('application/json')) {
+    json = JSON.parse(response.body);
+  }
+  return { ...response, json };
+}
+
+module.exports = {
+  startMock,
+  loadHandler,
+  sessionCookie,
+  invoke
+};
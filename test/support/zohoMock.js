@@ -0,0 +1,360 @@
+const http = require('http');
+
+/**
+ * Bouchon local de Zoho Accounts (/oauth/v2/token) et Zoho Desk (/api/v1/...).
+ * Les données sont en mémoire (mock.db) et chaque requête reçue est enregistrée
+ * dans mock.requests. Les pannes se scriptent avec mock.fail() :
+ *   mock.fail({ path: '/threads', type: 'rateLimit', times: 2 })
+ * types : unauthorized (401), rateLimit (429 "too many requests"),
+ * notFound (404 URL_NOT_FOUND), empty (corps vide), ou { status, body } libres.
+ * mock.afterRequest({ method, path, run }) modifie la base juste après une requête
+ * (ex. un agent qui édite le ticket entre la lecture et l'écriture du portail).
+ *
+ * Lancement autonome : node test/support/zohoMock.js [port]
+ */
+
+const RATE_LIMIT_BODY = {
+  error: 'Access Denied',
+  error_description: 'You have made too many requests continuously. Please try again after some time.'
+};
+
+const FAILURES = {
+  unauthorized: { status: 401, body: { errorCode: 'INVALID_OAUTH', message: 'The OAuth Token you provided is invalid.' } },
+  rateLimit: { status: 429, body: RATE_LIMIT_BODY },
+  notFound: { status: 404, body: { errorCode: 'URL_NOT_FOUND', message: 'The URL you requested could not be found.' } },
+  empty: { status: 200, body: '' }
+};
+
+function emptyDb() {
+  return {
+    tickets: [],
+    history: {},
+    threads: {},
+    conversations: {},
+    // Absent pour un ticket = endpoint indisponible sur le tenant (404 URL_NOT_FOUND)
+    messages: {},
+    comments: {},
+    attachments: {},
+    layouts: {},
+    departments: [],
+    // Équipes par département
+    teams: {},
+    products: [],
+    agents: [],
+    contacts: []
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(buffer) {
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Extrait le premier fichier d'un corps multipart/form-data
+function parseMultipartFile(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) return null;
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const start = buffer.indexOf(boundary);
+  const headerEnd = buffer.indexOf('\r\n\r\n', start);
+  const end = buffer.indexOf(boundary, headerEnd);
+  if (start < 0 || headerEnd < 0 || end < 0) return null;
+
+  const headers = buffer.slice(start, headerEnd).toString('utf8');
+  const filename = (/filename="([^"]*)"/i.exec(headers) || [])[1] || null;
+  const type = (/content-type:\s*([^\r\n]+)/i.exec(headers) || [])[1] || null;
+  return { filename, contentType: type, content: buffer.slice(headerEnd + 4, end - 2) };
+}
+
+function createZohoMock() {
+  let server = null;
+  let tokenCounter = 0;
+  // Dernier token émis par refresh token (un par profil Zoho)
+  const validTokens = new Map();
+  let idCounter = 1000;
+  let failures = [];
+  let hooks = [];
+
+  const mock = {
+    db: emptyDb(),
+    requests: [],
+    tokenRequests: 0,
+    accountsBase: null,
+    deskBase: null
+  };
+
+  function nextId() {
+    idCounter += 1;
+    return String(idCounter);
+  }
+
+  mock.fail = ({ method, path, type, status, body, headers, times = 1 }) => {
+    const preset = type ? FAILURES[type] : null;
+    if (type && !preset) throw new Error(`Type de panne inconnu: ${type}`);
+    failures.push({
+      method: method ? method.toUpperCase() : null,
+      path,
+      response: preset ? { ...preset, headers } : { status, body, headers },
+      remaining: times
+    });
+  };
+
+  mock.afterRequest = ({ method, path, run, times = 1 }) => {
+    hooks.push({ method: method ? method.toUpperCase() : null, path, run, remaining: times });
+  };
+
+  // Simule un token révoqué côté Zoho : la prochaine requête Desk renverra 401
+  mock.expireToken = () => {
+    validTokens.clear();
+  };
+
+  mock.reset = () => {
+    mock.db = emptyDb();
+    mock.requests = [];
+    mock.tokenRequests = 0;
+    failures = [];
+    hooks = [];
+  };
+
+  mock.requestsTo = (pattern, method) => mock.requests.filter(r =>
+    (!method || r.method === method) &&
+    (pattern instanceof RegExp ? pattern.test(r.path) : r.path.includes(pattern))
+  );
+
+  mock.addTicket = (ticket) => {
+    const stored = { id: nextId(), status: 'Open', createdTime: new Date().toISOString(), ...ticket };
+    stored.id = String(stored.id);
+    mock.db.tickets.push(stored);
+    return stored;
+  };
+
+  function takeFailure(method, path) {
+    const failure = failures.find(f =>
+      f.remaining > 0 &&
+      (!f.method || f.method === method) &&
+      (f.path instanceof RegExp ? f.path.test(path) : path.includes(f.path))
+    );
+    if (!failure) return null;
+    failure.remaining -= 1;
+    return failure.response;
+  }
+
+  function send(res, status, body, headers = {}) {
+    // Chaîne ou Buffer = corps brut (HTML d'erreur, binaire...), sinon JSON
+    const isRaw = body === undefined || typeof body === 'string' || Buffer.isBuffer(body);
+    const payload = isRaw ? (body || '') : JSON.stringify(body);
+    res.writeHead(status, {
+      ...(isRaw ? {} : { 'Content-Type': 'application/json' }),
+      ...headers
+    });
+    res.end(payload);
+  }
+
+  const notFound = () => ({ status: 404, body: FAILURES.notFound.body });
+
+  // Liste paginée façon Desk : 204 sans corps quand la page est vide
+  function page(list, query) {
+    const from = Number(query.get('from') || 1);
+    const limit = Number(query.get('limit') || 50);
+    const items = list.slice(from - 1, from - 1 + limit);
+    return items.length === 0 ? { status: 204, body: '' } : { status: 200, body: { data: items } };
+  }
+
+  function findTicket(id) {
+    return mock.db.tickets.find(t => t.id === String(id)) || null;
+  }
+
+  function sortTickets(list, sortBy) {
+    const field = sortBy.replace(/^-/, '');
+    const direction = sortBy.startsWith('-') ? -1 : 1;
+    return [...list].sort((a, b) => direction * ((Date.parse(a[field]) || 0) - (Date.parse(b[field]) || 0)));
+  }
+
+  function route(method, path, query, raw, contentType) {
+    let m;
+    if ((m = path.match(/^\/accounts\/([^/]+)\/tickets$/)) && method === 'GET') {
+      const department = query.get('departmentId');
+      const own = mock.db.tickets.filter(t =>
+        (!t.accountId || t.accountId === m[1]) && (!department || t.departmentId === department));
+      return page(sortTickets(own, query.get('sortBy') || '-createdTime'), query);
+    }
+    if (path === '/tickets' && method === 'POST') {
+      const body = parseJson(raw) || {};
+      // Comme Zoho : le ticket prend le compte de son contact
+      const contact = mock.db.contacts.find(c => c.id === String(body.contactId));
+      const account = contact && contact.accountId ? { accountId: contact.accountId } : {};
+      return { status: 200, body: mock.addTicket({ ...body, ...account, ticketNumber: String(idCounter + 1) }) };
+    }
+    if ((m = path.match(/^\/accounts\/([^/]+)\/contacts$/)) && method === 'GET') {
+      return page(mock.db.contacts.filter(c => c.accountId === m[1]), query);
+    }
+    if (path === '/contacts' && method === 'POST') {
+      const contact = { id: nextId(), ...(parseJson(raw) || {}) };
+      mock.db.contacts.push(contact);
+      return { status: 200, body: contact };
+    }
+    if (path === '/departments' && method === 'GET') return page(mock.db.departments, query);
+    if ((m = path.match(/^\/departments\/([^/]+)\/teams$/)) && method === 'GET') {
+      return { status: 200, body: { teams: mock.db.teams[m[1]] || [] } };
+    }
+    if (path === '/products' && method === 'GET') {
+      return page(mock.db.products.filter(p => p.departmentId === query.get('departmentId')), query);
+    }
+    if (path === '/agents' && method === 'GET') return page(mock.db.agents, query);
+    if ((m = path.match(/^\/layouts\/([^/]+)$/)) && method === 'GET') {
+      const layout = mock.db.layouts[m[1]];
+      return layout ? { status: 200, body: layout } : notFound();
+    }
+
+    if (!(m = path.match(/^\/tickets\/([^/]+)(\/.*)?$/))) return notFound();
+    const ticket = findTicket(m[1]);
+    const sub = m[2] || '';
+    if (!ticket) {
+      return { status: 404, body: { errorCode: 'RESOURCE_NOT_FOUND', message: 'The requested resource does not exist.' } };
+    }
+    const id = ticket.id;
+
+    if (sub === '' && method === 'GET') return { status: 200, body: ticket };
+    if (sub === '' && method === 'PUT') {
+      Object.assign(ticket, parseJson(raw) || {}, { modifiedTime: new Date().toISOString() });
+      return { status: 200, body: ticket };
+    }
+    if (sub === '/resolution' && method === 'PUT') {
+      ticket.resolution = (parseJson(raw) || {}).content;
+      ticket.modifiedTime = new Date().toISOString();
+      return { status: 200, body: { content: ticket.resolution } };
+    }
+    if (sub === '/History' && method === 'GET') return page(mock.db.history[id] || [], query);
+    if (sub === '/threads' && method === 'GET') return page(mock.db.threads[id] || [], query);
+    if ((m = sub.match(/^\/threads\/([^/]+)$/)) && method === 'GET') {
+      const thread = (mock.db.threads[id] || []).find(t => String(t.id) === m[1]);
+      return thread ? { status: 200, body: thread } : notFound();
+    }
+    if (sub === '/conversations' && method === 'GET') {
+      const comments = (mock.db.comments[id] || []).map(c => ({ type: 'comment', ...c }));
+      return page([...(mock.db.conversations[id] || []), ...comments], query);
+    }
+    if (sub === '/messages' && method === 'GET') {
+      return mock.db.messages[id] ? page(mock.db.messages[id], query) : notFound();
+    }
+    if (sub === '/comments' && method === 'POST') {
+      const comment = { id: nextId(), commentedTime: new Date().toISOString(), ...(parseJson(raw) || {}) };
+      (mock.db.comments[id] = mock.db.comments[id] || []).push(comment);
+      return { status: 200, body: comment };
+    }
+    if (sub === '/attachments' && method === 'GET') return page(mock.db.attachments[id] || [], query);
+    if (sub === '/attachments' && method === 'POST') {
+      const file = parseMultipartFile(raw, contentType);
+      if (!file) return { status: 400, body: { errorCode: 'INVALID_DATA', message: 'multipart attendu' } };
+      const attachment = {
+        id: nextId(),
+        name: file.filename,
+        size: String(file.content.length),
+        contentType: file.contentType,
+        isPublic: true,
+        createdTime: new Date().toISOString(),
+        content: file.content
+      };
+      (mock.db.attachments[id] = mock.db.attachments[id] || []).push(attachment);
+      const { content, ...meta } = attachment;
+      return { status: 200, body: meta };
+    }
+    if ((m = sub.match(/^\/attachments\/([^/]+)\/content$/)) && method === 'GET') {
+      const attachment = (mock.db.attachments[id] || []).find(a => String(a.id) === m[1]);
+      if (!attachment) return notFound();
+      return {
+        status: 200,
+        body: Buffer.from(attachment.content || ''),
+        headers: { 'Content-Type': attachment.contentType || 'application/octet-stream' }
+      };
+    }
+    return notFound();
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const raw = await readBody(req);
+    const method = req.method;
+    const record = { method, path: url.pathname, search: url.search, headers: req.headers, body: raw.toString('utf8') };
+    mock.requests.push(record);
+
+    if (url.pathname === '/oauth/v2/token') {
+      mock.tokenRequests += 1;
+      const failure = takeFailure(method, url.pathname);
+      if (failure) {
+        // Zoho Accounts signale le rate limit par un 400 { error: 'Access Denied' }
+        const status = failure.status === 429 ? 400 : failure.status;
+        return send(res, status, failure.body, failure.headers);
+      }
+      tokenCounter += 1;
+      const token = `mock-token-${tokenCounter}`;
+      validTokens.set(new URLSearchParams(raw.toString('utf8')).get('refresh_token'), token);
+      return send(res, 200, { access_token: token, expires_in: 3600, token_type: 'Bearer' });
+    }
+
+    if (!url.pathname.startsWith('/api/v1/')) {
+      return send(res, 404, FAILURES.notFound.body);
+    }
+    const path = url.pathname.slice('/api/v1'.length);
+
+    const token = (req.headers.authorization || '').replace(/^Zoho-oauthtoken /, '');
+    if (![...validTokens.values()].includes(token)) {
+      return send(res, 401, FAILURES.unauthorized.body);
+    }
+
+    const failure = takeFailure(method, `${path}${url.search}`);
+    if (failure) {
+      return send(res, failure.status, failure.body, failure.headers);
+    }
+
+    const { status, body, headers } = route(method, path, url.searchParams, raw, req.headers['content-type']);
+    // Corps sérialisé avant le hook : la réponse reflète l'état lu
+    const snapshot = body && typeof body === 'object' && !Buffer.isBuffer(body) ? JSON.parse(JSON.stringify(body)) : body;
+    hooks
+      .filter(h => h.remaining > 0 && (!h.method || h.method === method) && path.includes(h.path))
+      .forEach(h => {
+        h.remaining -= 1;
+        h.run(mock.db);
+      });
+    return send(res, status, snapshot, headers);
+  }
+
+  mock.start = (port = 0) => new Promise((resolve, reject) => {
+    server = http.createServer((req, res) => {
+      handle(req, res).catch(err => send(res, 500, { errorCode: 'MOCK_ERROR', message: err.message }));
+    });
+    server.on('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      mock.accountsBase = base;
+      mock.deskBase = `${base}/api/v1`;
+      resolve(mock);
+    });
+  });
+
+  mock.stop = () => new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+
+  return mock;
+}
+
+module.exports = { createZohoMock, RATE_LIMIT_BODY };
+
+if (require.main === module) {
+  const mock = createZohoMock();
+  mock.addTicket({ ticketNumber: '101', subject: '[Portal] Ticket de démonstration', priority: 'High' });
+  mock.start(Number(process.argv[2]) || 4010).then(() => {
+    console.log(`Bouchon Zoho démarré : ZOHO_ACCOUNTS_BASE=${mock.accountsBase} ZOHO_DESK_BASE=${mock.deskBase}`);
+  });
+}
@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+// Texte des flux de contenu d'un PDF (décompressés)
+function pdfText(buffer) {
+  const raw = buffer.toString('latin1');
+  const streams = [];
+  const re = /stream\n([\s\S]*?)\nendstream/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    streams.push(zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1'));
+  }
+  return streams.join('\n');
+}
+
+describe('ticketDossier', () => {
+  let mock;
+  let ticketDossier;
+
+  before(async () => {
+    mock = await startMock();
+    ticketDossier = loadHandler('ticketDossier');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addTicket({
+      id: '7', ticketNumber: '107', subject: '[Portal] Écran <noir>', status: 'Closed', priority: 'High',
+      email: 'client@example.com', createdTime: '2024-03-01T08:00:00Z', closedTime: '2024-03-02T08:00:00Z',
+      description: '<div>Depuis ce matin</div>', resolution: { content: 'Câble remplacé' },
+      contact: { firstName: 'Jeanne', lastName: 'Client' }
+    });
+    mock.db.history['7'] = [
+      { eventName: 'TicketUpdated', eventTime: '2024-03-02T08:00:00Z', actor: { name: 'Agent Smith' }, eventInfo: [
+        { propertyName: 'Status', propertyValue: { previousValue: 'Open', updatedValue: 'Closed' } }
+      ] }
+    ];
+    mock.db.threads['7'] = [
+      { id: '71', direction: 'in', content: '<div>Mon écran reste noir</div>', createdTime: '2024-03-01T08:00:05Z', author: { name: 'Jeanne Client', type: 'END_USER' } }
+    ];
+    mock.db.conversations['7'] = [
+      { id: '72', type: 'comment', isPublic: false, content: 'note interne agent', commentedTime: '2024-03-01T09:00:00Z' }
+    ];
+    mock.db.attachments['7'] = [
+      { id: '81', name: 'capture.png', size: '2048', isPublic: true, createdTime: '2024-03-01T08:01:00Z', creator: { name: 'Jeanne Client' } },
+      { id: '82', name: 'interne.pdf', size: '10', isPublic: false }
+    ];
+  });
+
+  it('produit un document HTML autonome et échappé', async () => {
+    const res = await invoke(ticketDossier, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Type'], 'text/html; charset=utf-8');
+    assert.match(res.headers['Content-Disposition'], /filename="ticket-107-dossier\.html"/);
+    assert.match(res.headers['Content-Security-Policy'], /default-src 'none'/);
+
+    const html = res.body;
+    assert.match(html, /<title>Ticket #107 - \[Portal\] Écran &lt;noir&gt;<\/title>/);
+    assert.match(html, /@media print/);
+    assert.match(html, /Jeanne Client/);
+    assert.match(html, /Câble remplacé/);
+    assert.match(html, /Depuis ce matin/);
+    assert.match(html, /Status : Open → Closed/);
+    assert.match(html, /Mon écran reste noir/);
+    assert.match(html, /capture\.png/);
+    assert.doesNotMatch(html, /note interne|interne\.pdf/);
+    assert.doesNotMatch(html, /<script|src=/i);
+  });
+
+  it('rédige le dossier dans la langue de la requête', async () => {
+    const res = await invoke(ticketDossier, { query: { id: '7' }, headers: { 'Accept-Language': 'nl' } });
+    const html = res.body;
+    assert.match(html, /<html lang="nl">/);
+    assert.match(html, /<th>Onderwerp<\/th>/);
+    assert.match(html, /TicketUpdated door Agent Smith/);
+    assert.match(html, /2,0 kB - toegevoegd op 01\/03\/2024/);
+    assert.match(html, /Dossier gegenereerd op /);
+    assert.doesNotMatch(html, /Pièces jointes|Sujet/);
+  });
+
+  it('produit un PDF lisible', async () => {
+    const res = await invoke(ticketDossier, { query: { id: '7', format: 'pdf' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Type'], 'application/pdf');
+    assert.equal(res.isBase64Encoded, true);
+
+    const pdf = Buffer.from(res.body, 'base64');
+    assert.equal(pdf.slice(0, 8).toString('latin1'), '%PDF-1.4');
+    assert.match(pdf.slice(-6).toString('latin1'), /%%EOF/);
+    const text = pdfText(pdf);
+    // Accents en WinAnsi (octal), flèche remplacée
+    assert.match(text, /\(C\\342ble remplac\\351\)/);
+    assert.match(text, /\(Status : Open -> Closed\)/);
+    assert.match(text, /\(Page 1 \/ 1\)/);
+  });
+
+  it('refuse un format inconnu et exige un identifiant', async () => {
+    assert.equal((await invoke(ticketDossier, { query: { id: '7', format: 'docx' } })).statusCode, 400);
+    assert.equal((await invoke(ticketDossier, { query: {} })).statusCode, 400);
+  });
+
+  it('répond 404 pour un ticket inexistant', async () => {
+    const res = await invoke(ticketDossier, { query: { id: '999' } });
+    assert.equal(res.statusCode, 404);
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMock, loadHandler, sessionCookie, invoke } = require('./support/setup');
+
+const LEGACY_RESOLUTION = 'Redémarrer le routeur\n\n' +
+  '[Feedback client - 01/02/2024 10:00:00] [01/02/2024 10:00:00] Toujours en panne\n\n' +
+  '[Feedback client - 02/02/2024 11:30:00] Ça remarche';
+
+describe('ticketFeedback', () => {
+  let mock;
+  let dir;
+  let feedback;
+  let alice;
+  let bob;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-users-'));
+    const usersFile = path.join(dir, 'users.json');
+    mock = await startMock({ PORTAL_USERS_FILE: usersFile });
+
+    const { hashPassword } = require('../netlify/lib/users');
+    fs.writeFileSync(usersFile, JSON.stringify({ users: [
+      { id: 'alice', email: 'alice@example.com', name: 'Alice', passwordHash: hashPassword('secret-a'), accountIds: ['acc-a'] },
+      { id: 'bob', email: 'bob@example.com', name: 'Bob', passwordHash: hashPassword('secret-b'), accountIds: ['acc-a'] }
+    ] }));
+
+    feedback = loadHandler('ticketFeedback');
+    alice = await sessionCookie('alice');
+    bob = await sessionCookie('bob');
+  });
+
+  after(async () => {
+    await mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    fs.rmSync(path.join(process.env.PORTAL_STORE_DIR, 'feedback'), { recursive: true, force: true });
+    mock.addTicket({ id: '5', subject: '[Portal] Accès VPN', accountId: 'acc-a', resolution: LEGACY_RESOLUTION });
+    mock.addTicket({ id: '6', subject: '[Portal] Ailleurs', accountId: 'acc-b' });
+  });
+
+  function list(cookie = alice) {
+    return invoke(feedback, { query: { ticketId: '5' }, cookie });
+  }
+
+  function send(method, body, cookie = alice) {
+    return invoke(feedback, { method, body: { ticketId: '5', ...body }, cookie });
+  }
+
+  it('reconstitue les entrées à partir des blocs de la résolution', async () => {
+    const res = await list();
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json.entries.map(e => [e.displayTime, e.body, e.legacy, e.canEdit]), [
+      ['01/02/2024 10:00:00', 'Toujours en panne', true, false],
+      ['02/02/2024 11:30:00', 'Ça remarche', true, false]
+    ]);
+    assert.deepEqual((await list()).json.entries.map(e => e.id), res.json.entries.map(e => e.id));
+  });
+
+  it("ajoute une entrée avec son auteur et la recopie dans la résolution", async () => {
+    const res = await send('POST', { body: '  Merci pour le suivi ' });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.json.feedback.author, { id: 'alice', name: 'Alice' });
+    assert.equal(res.json.feedback.body, 'Merci pour le suivi');
+    assert.equal(res.json.entries.length, 3);
+
+    const resolution = mock.db.tickets[0].resolution;
+    assert.equal(res.json.resolution, resolution);
+    assert.match(resolution, /^Redémarrer le routeur\n\n\[Feedback client - 01\/02\/2024 10:00:00\] Toujours en panne\n\n/);
+    assert.match(resolution, /\n\n\[Feedback client - \d{2}\/\d{2}\/\d{4} [\d:]+\] Merci pour le suivi$/);
+
+    const bobView = (await list(bob)).json.entries[2];
+    assert.equal(bobView.canEdit, false);
+  });
+
+  it('range le feedback sous une clé par ticket et relit encore le document unique', async () => {
+    const store = process.env.PORTAL_STORE_DIR;
+    const legacy = { id: 'old-1', author: { id: 'alice', name: 'Alice' }, createdAt: '2024-03-01T09:00:00.000Z', body: 'Ancien', revisions: [] };
+    fs.writeFileSync(path.join(store, 'feedback.json'), JSON.stringify({ tickets: { 5: { entries: [legacy] } } }));
+    try {
+      assert.deepEqual((await list()).json.entries.map(e => e.id), ['old-1']);
+
+      await send('POST', { body: 'Nouveau' });
+      const saved = JSON.parse(fs.readFileSync(path.join(store, 'feedback', '5.json'), 'utf8'));
+      assert.deepEqual(saved.entries.map(e => e.body), ['Ancien', 'Nouveau']);
+      assert.deepEqual(JSON.parse(fs.readFileSync(path.join(store, 'feedback.json'), 'utf8')).tickets[5].entries, [legacy]);
+    } finally {
+      fs.rmSync(path.join(store, 'feedback.json'), { force: true });
+    }
+  });
+
+  it("modifie une entrée en gardant l'historique, réservé à son auteur", async () => {
+    const created = (await send('POST', { body: 'Probleme résolu' })).json.feedback;
+
+    const denied = await send('PUT', { feedbackId: created.id, body: 'Autre texte' }, bob);
+    assert.equal(denied.statusCode, 403);
+
+    const res = await send('PUT', { feedbackId: created.id, body: 'Problème résolu' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.feedback.body, 'Problème résolu');
+    assert.ok(res.json.feedback.updatedAt);
+    assert.equal(res.json.feedback.revisions.length, 1);
+    assert.equal(res.json.feedback.revisions[0].body, 'Probleme résolu');
+    assert.deepEqual(res.json.feedback.revisions[0].editedBy, { id: 'alice', name: 'Alice' });
+
+    const resolution = mock.db.tickets[0].resolution;
+    assert.match(resolution, /\] Problème résolu$/);
+    assert.doesNotMatch(resolution, /Probleme/);
+  });
+
+  it("laisse les feedbacks sans auteur connu en lecture seule", async () => {
+    const [legacy] = (await list()).json.entries;
+    assert.equal((await send('PUT', { feedbackId: legacy.id, body: 'Réécrit' })).statusCode, 403);
+    assert.equal((await send('DELETE', { feedbackId: legacy.id })).statusCode, 403);
+    assert.equal(mock.db.tickets[0].resolution, LEGACY_RESOLUTION);
+  });
+
+  it('supprime une entrée de la liste et de la résolution', async () => {
+    const created = (await send('POST', { body: 'Finalement non' })).json.feedback;
+    const res = await invoke(feedback, { method: 'DELETE', query: { ticketId: '5', feedbackId: created.id }, cookie: alice });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json.entries.map(e => e.body), ['Toujours en panne', 'Ça remarche']);
+    assert.equal(mock.db.tickets[0].resolution, 'Redémarrer le routeur\n\n[Feedback client - 01/02/2024 10:00:00] Toujours en panne\n\n[Feedback client - 02/02/2024 11:30:00] Ça remarche');
+
+    assert.equal((await send('DELETE', { feedbackId: created.id })).statusCode, 404);
+  });
+
+  it("ne change rien si Zoho refuse la mise à jour de la résolution", async () => {
+    const created = (await send('POST', { body: 'Merci' })).json.feedback;
+    mock.fail({ method: 'PUT', path: '/tickets/5', status: 422, body: { errorCode: 'INVALID_DATA' }, times: 3 });
+    const res = await send('PUT', { feedbackId: created.id, body: 'Corrigé' });
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.json.status, 422);
+    assert.equal((await list()).json.entries[2].body, 'Merci');
+  });
+
+  // Modification par un agent juste après la première lecture du ticket par le portail
+  function agentEditsAfterRead(change) {
+    mock.afterRequest({ method: 'GET', path: '/tickets/5', run: db => {
+      Object.assign(db.tickets[0], change(db.tickets[0]), { modifiedTime: '2030-01-01T00:00:00.000Z' });
+    } });
+  }
+
+  it("conserve le texte qu'un agent a modifié pendant l'ajout", async () => {
+    agentEditsAfterRead(t => ({ resolution: t.resolution.replace('Redémarrer le routeur', 'Remplacer le routeur') }));
+    const res = await send('POST', { body: 'Merci' });
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.json.merged, true);
+    assert.match(mock.db.tickets[0].resolution, /^Remplacer le routeur\n\n\[Feedback client - 01\/02\/2024 10:00:00\] Toujours en panne\n\n.*\] Merci$/s);
+  });
+
+  it('ignore une modification du ticket qui ne touche pas la résolution', async () => {
+    agentEditsAfterRead(() => ({ status: 'On Hold' }));
+    const res = await send('POST', { body: 'Merci' });
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.json.merged, false);
+  });
+
+  it('renvoie 409 avec les deux versions si un agent a modifié un feedback', async () => {
+    const created = (await send('POST', { body: 'Merci' })).json.feedback;
+    const writes = mock.requestsTo('/tickets/5/resolution', 'PUT').length;
+    agentEditsAfterRead(t => ({ resolution: t.resolution.replace('Ça remarche', 'Ça remarche (confirmé par téléphone)') }));
+    const res = await send('PUT', { feedbackId: created.id, body: 'Corrigé' });
+    assert.equal(res.statusCode, 409);
+    assert.match(res.json.details.current, /confirmé par téléphone/);
+    assert.match(res.json.details.proposed, /\] Corrigé$/);
+    assert.equal(mock.requestsTo('/tickets/5/resolution', 'PUT').length, writes);
+    assert.match(mock.db.tickets[0].resolution, /confirmé par téléphone/);
+    assert.equal((await list()).json.entries[2].body, 'Merci');
+  });
+
+  it('valide la requête et le périmètre', async () => {
+    assert.equal((await send('POST', { body: '   ' })).statusCode, 400);
+    assert.equal((await send('PUT', { body: 'x' })).statusCode, 400);
+    assert.equal((await invoke(feedback, { method: 'PATCH', cookie: alice })).statusCode, 405);
+    assert.equal((await invoke(feedback, { query: { ticketId: '6' }, cookie: alice })).statusCode, 404);
+    assert.equal((await invoke(feedback, { query: { ticketId: '5' }, cookie: null })).statusCode, 401);
+  });
+});
@@ -0,0 +1,204 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+describe('lecture d\'un ticket', () => {
+  let mock;
+  let handlers;
+
+  before(async () => {
+    mock = await startMock({ ZOHO_TICKET_LAYOUT_ID: 'layout-1' });
+    handlers = Object.fromEntries([
+      'ticketDetails', 'ticketHistory', 'ticketThreads', 'ticketMessages', 'ticketConversations',
+      'ticketTimeline', 'ticketAttachments', 'downloadAttachment', 'layoutFields'
+    ].map(name => [name, loadHandler(name)]));
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    require('../netlify/lib/cache').clearCache();
+    mock.addTicket({ id: '7', subject: '[Portal] Écran noir', createdTime: '2024-03-01T08:00:00Z' });
+    mock.db.history['7'] = [
+      { eventName: 'TicketCreated', eventTime: '2024-03-01T08:00:00Z', actor: { name: 'Client' } },
+      { eventName: 'TicketUpdated', eventTime: '2024-03-02T08:00:00Z', eventInfo: [
+        { propertyName: 'Status', propertyValue: { previousValue: 'Open', updatedValue: 'Closed' } }
+      ] }
+    ];
+    mock.db.threads['7'] = [
+      { id: '71', direction: 'in', summary: 'Mon écran...', content: '<div>Mon écran reste noir</div>', createdTime: '2024-03-01T08:00:05Z', author: { name: 'Client', type: 'END_USER' } }
+    ];
+    mock.db.conversations['7'] = [
+      { id: '71', type: 'thread', direction: 'in', summary: 'Mon écran...', createdTime: '2024-03-01T08:00:05Z' },
+      { id: '72', type: 'comment', isPublic: false, content: 'note interne agent', commentedTime: '2024-03-01T09:00:00Z' }
+    ];
+    mock.db.attachments['7'] = [
+      { id: '81', name: 'capture.png', size: String(PNG.length), contentType: 'image/png', isPublic: true, content: PNG },
+      { id: '82', name: 'interne.pdf', size: '10', isPublic: false, content: Buffer.from('%PDF-1.4') }
+    ];
+    mock.db.layouts['layout-1'] = {
+      id: 'layout-1',
+      sections: [{ name: 'Infos', fields: [
+        { apiName: 'subject', displayName: 'Sujet', dataType: 'Text', required: true, maxLength: 255 },
+        { apiName: 'status', displayName: 'Statut', dataType: 'Picklist' }
+      ] }]
+    };
+  });
+
+  it('renvoie 400 sans identifiant', async () => {
+    for (const name of ['ticketDetails', 'ticketHistory', 'ticketThreads', 'ticketMessages', 'ticketConversations', 'ticketTimeline', 'ticketAttachments']) {
+      const res = await invoke(handlers[name], { query: {} });
+      assert.equal(res.statusCode, 400, name);
+    }
+  });
+
+  it('encode l\'identifiant dans chaque chemin Zoho, comme le contrôle d\'accès', async () => {
+    for (const name of ['ticketDetails', 'ticketHistory', 'ticketThreads', 'ticketMessages', 'ticketConversations']) {
+      mock.reset();
+      await invoke(handlers[name], { query: { id: '8/../7' } });
+      const paths = mock.requests.map(r => r.path).filter(path => path.startsWith('/api/v1/tickets'));
+      assert.ok(paths.length > 0, name);
+      assert.ok(paths.every(path => path.startsWith('/api/v1/tickets/8%2F..%2F7')), `${name} : ${paths}`);
+    }
+  });
+
+  it('ticketDetails : rejoue sans include si refusé', async () => {
+    mock.fail({ path: '/tickets/7?include=', status: 400, body: { errorCode: 'INVALID_DATA' } });
+    const res = await invoke(handlers.ticketDetails, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.subject, '[Portal] Écran noir');
+  });
+
+  it('ticketDetails : nettoie la description et la résolution affichées par la page', async () => {
+    Object.assign(mock.db.tickets.find(t => t.id === '7'), {
+      description: '<p onclick="x()">Écran <b>noir</b></p><script>alert(1)</script><img src=x onerror=alert(1)>',
+      resolution: { content: '<a href="javascript:alert(1)">Remplacé</a>' }
+    });
+    const res = await invoke(handlers.ticketDetails, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.description, '<p>Écran <b>noir</b></p>');
+    assert.equal(res.json.resolution.content, '<a>Remplacé</a>');
+  });
+
+  it('ticketDetails : 404 pour un ticket inexistant', async () => {
+    const res = await invoke(handlers.ticketDetails, { query: { id: '999' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('ticketHistory : renvoie les évènements', async () => {
+    const res = await invoke(handlers.ticketHistory, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.length, 2);
+  });
+
+  it('ticketThreads : renvoie les threads', async () => {
+    const res = await invoke(handlers.ticketThreads, { query: { id: '7' } });
+    assert.deepEqual(res.json.map(t => t.id), ['71']);
+    assert.equal(res.json[0].direction, 'in');
+  });
+
+  it('ticketMessages : liste vide si le tenant répond URL_NOT_FOUND', async () => {
+    const res = await invoke(handlers.ticketMessages, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json, []);
+  });
+
+  it('ticketMessages : liste vide sur un corps vide', async () => {
+    mock.db.messages['7'] = [];
+    const res = await invoke(handlers.ticketMessages, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json, []);
+  });
+
+  it('ticketConversations : renvoie les conversations', async () => {
+    const res = await invoke(handlers.ticketConversations, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.ok(Array.isArray(res.json));
+  });
+
+  it('sources brutes : ni note privée ni contenu de note dans l\'historique', async () => {
+    mock.db.threads['7'].push({ id: '73', visibility: 'private', content: 'piste interne', createdTime: '2024-03-01T10:00:00Z' });
+    mock.db.history['7'].push({ eventName: 'CommentAdded', eventTime: '2024-03-01T09:00:00Z', eventInfo: [
+      { propertyName: 'isPublic', propertyValue: false },
+      { propertyName: 'Content', propertyValue: 'note interne agent' }
+    ] }, { eventName: 'ThreadAdded', eventTime: '2024-03-01T08:00:05Z', eventInfo: [
+      { propertyName: 'Content', propertyValue: 'Mon écran reste noir' }
+    ] });
+
+    const threads = await invoke(handlers.ticketThreads, { query: { id: '7' } });
+    assert.deepEqual(threads.json.map(t => t.id), ['71']);
+    assert.equal(threads.json[0].text, 'Mon écran reste noir');
+    const conversations = await invoke(handlers.ticketConversations, { query: { id: '7' } });
+    assert.deepEqual(conversations.json.map(c => [c.id, c.type]), [['71', 'thread']]);
+
+    const history = await invoke(handlers.ticketHistory, { query: { id: '7' } });
+    assert.deepEqual(history.json.map(e => e.eventName), ['TicketCreated', 'TicketUpdated', 'ThreadAdded']);
+    assert.doesNotMatch(JSON.stringify(history.json), /note interne|reste noir/);
+  });
+
+  it('ticketTimeline : fusionne les sources sans doublon ni note privée', async () => {
+    const res = await invoke(handlers.ticketTimeline, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    const { entries, sources } = res.json;
+    assert.deepEqual(entries.map(e => e.type), ['event', 'thread', 'event']);
+    assert.equal(entries[1].text, 'Mon écran reste noir');
+    assert.deepEqual(entries[1].sources.sort(), ['conversations', 'threads']);
+    assert.ok(!entries.some(e => /note interne/.test(e.text)));
+    assert.match(entries[2].text, /Status : Open → Closed/);
+    assert.deepEqual(sources.find(s => s.source === 'messages'), { source: 'messages', count: 0 });
+  });
+
+  it('ticketTimeline : une entrée privée dans une seule source reste masquée', async () => {
+    // La copie privée est la moins complète : c'est pourtant elle qui fixe la visibilité
+    mock.db.conversations['7'][0].visibility = 'private';
+    const res = await invoke(handlers.ticketTimeline, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json.entries.map(e => e.type), ['event', 'event']);
+  });
+
+  it('ticketTimeline : une source en échec n\'empêche pas les autres', async () => {
+    mock.fail({ path: '/History', type: 'rateLimit', times: 3 });
+    const res = await invoke(handlers.ticketTimeline, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.json.sources.find(s => s.source === 'history').error);
+    assert.ok(res.json.entries.some(e => e.type === 'thread'));
+  });
+
+  it('ticketAttachments : masque les pièces jointes privées', async () => {
+    const res = await invoke(handlers.ticketAttachments, { query: { id: '7' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json.map(a => a.id), ['81']);
+    assert.match(res.json[0].downloadUrl, /downloadAttachment\?ticketId=7&attachmentId=81$/);
+  });
+
+  it('downloadAttachment : renvoie le binaire en base64', async () => {
+    const res = await invoke(handlers.downloadAttachment, { query: { ticketId: '7', attachmentId: '81' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.isBase64Encoded, true);
+    assert.deepEqual(Buffer.from(res.body, 'base64'), PNG);
+    assert.equal(res.headers['Content-Type'], 'image/png');
+    assert.match(res.headers['Content-Disposition'], /filename="capture.png"/);
+  });
+
+  it('downloadAttachment : 404 pour une pièce jointe privée', async () => {
+    const res = await invoke(handlers.downloadAttachment, { query: { ticketId: '7', attachmentId: '82' } });
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('layoutFields : marque les champs gérés par les agents comme non éditables', async () => {
+    const res = await invoke(handlers.layoutFields);
+    assert.equal(res.statusCode, 200);
+    const byName = Object.fromEntries(res.json.fields.map(f => [f.apiName, f]));
+    assert.equal(byName.subject.editable, true);
+    assert.equal(byName.status.editable, false);
+  });
+
+  it('layoutFields : erreur Desk si le layout reste vide', async () => {
+    mock.fail({ path: '/layouts/layout-1', type: 'empty', times: 2 });
+    const res = await invoke(handlers.layoutFields);
+    assert.equal(res.statusCode, 502);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+describe('ticketSatisfaction', () => {
+  let mock;
+  let satisfaction;
+
+  before(async () => {
+    mock = await startMock({ ZOHO_TICKET_LAYOUT_ID: 'layout-1' });
+    satisfaction = loadHandler('ticketSatisfaction');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    require('../netlify/lib/cache').clearCache();
+    mock.addTicket({ id: '1', subject: '[Portal] Résolu', status: 'Closed', layoutId: 'layout-1' });
+    mock.addTicket({ id: '2', subject: '[Portal] En cours', status: 'Open', layoutId: 'layout-1' });
+    mock.addTicket({ id: '3', subject: '[Portal] Résolu aussi', status: 'Resolved', layoutId: 'layout-2' });
+    mock.db.layouts['layout-1'] = {
+      id: 'layout-1',
+      sections: [{ name: 'Satisfaction', fields: [
+        { apiName: 'cf_satisfaction', displayName: 'Satisfaction client', dataType: 'Picklist', allowedValues: [
+          { value: '1 - Très insatisfait' }, { value: '2' }, { value: '3' }, { value: '4 - Satisfait' }, { value: '5 - Très satisfait' }
+        ] },
+        { apiName: 'cf_commentaire_satisfaction', displayName: 'Commentaire satisfaction', dataType: 'Textarea' }
+      ] }]
+    };
+    mock.db.layouts['layout-2'] = {
+      id: 'layout-2',
+      sections: [{ name: 'Infos', fields: [{ apiName: 'cf_csat', displayName: 'CSAT', dataType: 'Number' }] }]
+    };
+  });
+
+  function rate(body) {
+    return invoke(satisfaction, { method: 'POST', body });
+  }
+
+  it('enregistre la note et le commentaire dans les champs du layout', async () => {
+    const res = await rate({ ticketId: '1', rating: 4, comment: '  Rapide et efficace ' });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.json.fields, { ratingField: 'cf_satisfaction', commentField: 'cf_commentaire_satisfaction' });
+
+    const [put] = mock.requestsTo('/tickets/1', 'PUT');
+    assert.deepEqual(JSON.parse(put.body), { cf: { cf_satisfaction: '4 - Satisfait', cf_commentaire_satisfaction: 'Rapide et efficace' } });
+
+    const existing = await invoke(satisfaction, { query: { ticketId: '1' } });
+    assert.equal(existing.json.rating.rating, 4);
+    assert.equal(existing.json.rating.comment, 'Rapide et efficace');
+  });
+
+  it('garde le commentaire dans une note privée faute de champ dédié', async () => {
+    const res = await rate({ ticketId: '3', rating: 2, comment: 'Trop long' });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(JSON.parse(mock.requestsTo('/tickets/3', 'PUT')[0].body), { cf: { cf_csat: 2 } });
+    const [note] = mock.requestsTo('/tickets/3/comments', 'POST');
+    assert.equal(JSON.parse(note.body).isPublic, false);
+    assert.match(JSON.parse(note.body).content, /2\/5\nTrop long/);
+  });
+
+  it('calcule la moyenne des tickets notés, une note remplaçant la précédente', async () => {
+    await rate({ ticketId: '1', rating: 1 });
+    await rate({ ticketId: '1', rating: 5 });
+    await rate({ ticketId: '3', rating: 2 });
+
+    const res = await invoke(satisfaction);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.count, 2);
+    assert.equal(res.json.average, 3.5);
+    assert.deepEqual(res.json.distribution, { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 });
+    assert.equal(res.json.truncated, false);
+  });
+
+  it('garde la moyenne en cache et y reporte les notes sans relire les tickets', async () => {
+    mock.db.tickets[0].cf = { cf_satisfaction: '2' };
+    const first = await invoke(satisfaction);
+    assert.equal(first.json.average, 2);
+    const reads = mock.requestsTo('/tickets/1', 'GET').length;
+
+    assert.equal((await invoke(satisfaction)).headers['X-Cache'], 'HIT');
+    const res = await rate({ ticketId: '1', rating: 5 });
+    assert.deepEqual(res.json.summary, { average: 5, count: 1, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 1 }, truncated: false });
+    const another = await rate({ ticketId: '3', rating: 2 });
+    assert.equal(another.json.summary.average, 3.5);
+    assert.equal(another.json.summary.count, 2);
+    // Seules les lectures du ticket noté (contrôle d'accès, note précédente) ont eu lieu
+    assert.equal(mock.requestsTo('/tickets/1', 'GET').length, reads + 1);
+    assert.deepEqual((await invoke(satisfaction)).json, another.json.summary);
+  });
+
+  it('lit les notes dans Zoho, quelle que soit l’instance qui les a envoyées', async () => {
+    mock.db.tickets[0].cf = { cf_satisfaction: '4 - Satisfait', cf_commentaire_satisfaction: 'Merci' };
+    mock.db.tickets[2].cf = { cf_csat: 'pas de note' };
+
+    const summary = await invoke(satisfaction);
+    assert.equal(summary.json.count, 1);
+    assert.equal(summary.json.average, 4);
+
+    const existing = await invoke(satisfaction, { query: { ticketId: '1' } });
+    assert.deepEqual(existing.json.rating, { rating: 4, comment: 'Merci' });
+    assert.equal((await invoke(satisfaction, { query: { ticketId: '3' } })).json.rating, null);
+  });
+
+  it('refuse un ticket non résolu et une note hors bornes', async () => {
+    const open = await rate({ ticketId: '2', rating: 5 });
+    assert.equal(open.statusCode, 409);
+    for (const rating of [0, 6, 3.5, 'abc']) {
+      const res = await rate({ ticketId: '1', rating });
+      assert.equal(res.statusCode, 400, String(rating));
+    }
+    assert.equal(mock.requestsTo('/tickets/', 'PUT').length, 0);
+  });
+
+  it('signale un layout sans champ de satisfaction', async () => {
+    mock.db.layouts['layout-2'].sections[0].fields = [{ apiName: 'cf_site', displayName: 'Site', dataType: 'Text' }];
+    const res = await rate({ ticketId: '3', rating: 3 });
+    assert.equal(res.statusCode, 500);
+    assert.match(res.json.error, /champ de satisfaction/);
+  });
+
+  it('répond 404 pour un ticket inconnu et exige une session', async () => {
+    assert.equal((await rate({ ticketId: '999', rating: 3 })).statusCode, 404);
+    assert.equal((await invoke(satisfaction, { cookie: null })).statusCode, 401);
+  });
+});
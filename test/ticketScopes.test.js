@@ -0,0 +1,75 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+// Un même compte Zoho, plusieurs services (IT, services généraux) : vues par département, équipe, agent, produit
+describe('périmètres de la liste de tickets', () => {
+  let mock;
+  let tickets;
+  let metadata;
+
+  before(async () => {
+    mock = await startMock({ ZOHO_DEPARTMENT_ID: 'd-it' });
+    tickets = loadHandler('tickets');
+    metadata = loadHandler('ticketMetadata');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    require('../netlify/lib/cache').clearCache();
+    Object.assign(mock.db, {
+      departments: [{ id: 'd-it', name: 'IT' }, { id: 'd-fac', name: 'Services généraux' }],
+      teams: { 'd-it': [{ id: 't-net', name: 'Réseau' }, { id: 't-desk', name: 'Poste de travail' }] },
+      products: [{ id: 'p-laptop', productName: 'Portable', departmentId: 'd-it' }],
+      agents: [{ id: 'a-1', firstName: 'Jeanne', lastName: 'Martin', emailId: 'jeanne@support.example' }]
+    });
+    mock.addTicket({ id: '1', subject: '[Portal] VPN', departmentId: 'd-it', teamId: 't-net', assigneeId: 'a-1' });
+    mock.addTicket({ id: '2', subject: '[Portal] Écran', departmentId: 'd-it', teamId: 't-desk', productId: 'p-laptop' });
+    mock.addTicket({ id: '3', subject: '[Portal] Climatisation', departmentId: 'd-fac', assigneeId: 'a-1' });
+  });
+
+  function list(query) {
+    return invoke(tickets, { query: { limit: '200', ...query } }).then(res => res.json.tickets.map(t => t.id).sort());
+  }
+
+  it('expose départements, équipes, produits et agents sans données personnelles', async () => {
+    const res = await invoke(metadata);
+    assert.equal(res.statusCode, 200);
+    // Département du profil uniquement, pas tous ceux de l'organisation
+    assert.deepEqual(res.json.departments, [{ id: 'd-it', name: 'IT' }]);
+    assert.deepEqual(res.json.teams.map(t => [t.id, t.departmentId]), [['t-net', 'd-it'], ['t-desk', 'd-it']]);
+    assert.deepEqual(res.json.products, [{ id: 'p-laptop', name: 'Portable', departmentId: 'd-it' }]);
+    assert.deepEqual(res.json.agents, [{ id: 'a-1', name: 'Jeanne Martin' }]);
+
+    assert.equal((await invoke(metadata)).headers['X-Cache'], 'HIT');
+    assert.equal((await invoke(metadata, { cookie: null })).statusCode, 401);
+  });
+
+  it('renvoie des listes vides pour les modules non accessibles', async () => {
+    mock.fail({ path: '/agents', status: 403, body: { errorCode: 'FORBIDDEN' } });
+    mock.fail({ path: '/teams', status: 404, body: { errorCode: 'URL_NOT_FOUND' }, times: 2 });
+    const res = await invoke(metadata);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.departments.length, 1);
+    assert.deepEqual(res.json.teams, []);
+    assert.deepEqual(res.json.agents, []);
+  });
+
+  it('transmet un département unique à Zoho', async () => {
+    assert.deepEqual(await list({ departmentId: 'd-fac' }), ['3']);
+    assert.match(mock.requestsTo('/accounts/acc-1/tickets')[0].search, /[?&]departmentId=d-fac(&|$)/);
+
+    assert.deepEqual(await list({ departmentId: 'd-it,d-fac' }), ['1', '2', '3']);
+    assert.doesNotMatch(mock.requestsTo('/accounts/acc-1/tickets').pop().search, /departmentId/);
+  });
+
+  it('filtre par équipe, agent et produit', async () => {
+    assert.deepEqual(await list({ teamId: 't-net' }), ['1']);
+    assert.deepEqual(await list({ assigneeId: 'a-1' }), ['1', '3']);
+    assert.deepEqual(await list({ assigneeId: 'unassigned' }), ['2']);
+    assert.deepEqual(await list({ productId: 'p-laptop' }), ['2']);
+    assert.deepEqual(await list({ departmentId: 'd-it', assigneeId: 'a-1' }), ['1']);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+function day(n) {
+  return new Date(Date.UTC(2024, 0, 1 + n)).toISOString();
+}
+
+describe('tickets', () => {
+  let mock;
+  let tickets;
+
+  before(async () => {
+    mock = await startMock();
+    tickets = loadHandler('tickets');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    require('../netlify/lib/cache').clearCache();
+    for (let i = 0; i < 120; i++) {
+      mock.addTicket({
+        id: String(i + 1),
+        subject: i % 2 === 0 ? `[Portal] Demande ${i}` : `Interne ${i}`,
+        status: i % 4 === 0 ? 'Closed' : 'Open',
+        priority: 'High',
+        createdTime: day(i)
+      });
+    }
+  });
+
+  it('exige une session', async () => {
+    const res = await invoke(tickets, { cookie: null });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('ne renvoie que les tickets taggés [Portal], du plus récent au plus ancien', async () => {
+    const res = await invoke(tickets, { query: { limit: '200' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json.tickets.length, 60);
+    assert.ok(res.json.tickets.every(t => t.subject.startsWith('[Portal]')));
+    assert.equal(res.json.tickets[0].id, '119');
+    assert.equal(res.json.hasMore, false);
+  });
+
+  it('filtre par statut et par date de création', async () => {
+    const res = await invoke(tickets, { query: { status: 'closed', createdFrom: day(100).slice(0, 10), limit: '200' } });
+    assert.deepEqual(res.json.tickets.map(t => t.id), ['117', '113', '109', '105', '101']);
+  });
+
+  it('pagine avec un curseur sans perdre ni dupliquer de ticket', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const res = await invoke(tickets, { query: { limit: '25', ...(cursor ? { cursor } : {}) } });
+      assert.equal(res.statusCode, 200);
+      seen.push(...res.json.tickets.map(t => t.id));
+      cursor = res.json.nextCursor;
+    } while (cursor);
+    assert.equal(seen.length, 60);
+    assert.equal(new Set(seen).size, 60);
+  });
+
+  it('refuse un curseur réutilisé avec d\'autres filtres', async () => {
+    const first = await invoke(tickets, { query: { limit: '10' } });
+    const res = await invoke(tickets, { query: { limit: '10', status: 'open', cursor: first.json.nextCursor } });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('refuse un tri inconnu', async () => {
+    const res = await invoke(tickets, { query: { sortBy: 'subject' } });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.json.error, /sortBy/);
+  });
+
+  it('renvoie une liste vide sur un compte sans ticket (204)', async () => {
+    mock.reset();
+    const res = await invoke(tickets);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json, { tickets: [], nextCursor: null, hasMore: false });
+  });
+
+  it('renvoie 429 quand Zoho reste en rate limit', async () => {
+    mock.fail({ path: '/tickets', type: 'rateLimit', times: 3 });
+    const res = await invoke(tickets);
+    assert.equal(res.statusCode, 429);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, loadHandler, invoke } = require('./support/setup');
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(32, 1)]);
+const PDF = Buffer.from('%PDF-1.7\n%fake\n');
+const EXE = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(32, 0)]);
+
+describe('envoi de fichiers', () => {
+  let mock;
+  let uploadAttachments;
+  let uploadImage;
+
+  before(async () => {
+    mock = await startMock();
+    uploadAttachments = loadHandler('uploadAttachments');
+    uploadImage = loadHandler('uploadImage');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addTicket({ id: '3', subject: '[Portal] Scanner' });
+  });
+
+  it('uploadAttachments : envoie les fichiers valides et signale les refus', async () => {
+    const res = await invoke(uploadAttachments, {
+      method: 'POST',
+      body: { ticketId: '3', files: [
+        { name: '../../capture.jpg', data: PNG.toString('base64') },
+        { name: 'rapport.pdf', data: `data:application/pdf;base64,${PDF.toString('base64')}` },
+        { name: 'setup.exe', data: EXE.toString('base64') }
+      ] }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json.results.map(r => [r.name, r.status]), [
+      ['capture.png', 'uploaded'],
+      ['rapport.pdf', 'uploaded'],
+      ['setup.exe', 'rejected']
+    ]);
+
+    const stored = mock.db.attachments['3'];
+    assert.deepEqual(stored.map(a => a.name), ['capture.png', 'rapport.pdf']);
+    assert.deepEqual(stored[0].content, PNG);
+    assert.equal(stored[0].contentType, 'image/png');
+  });
+
+  it('uploadAttachments : reconstruit le formulaire après un token expiré', async () => {
+    await invoke(uploadAttachments, { method: 'POST', body: { ticketId: '3', files: [{ name: 'a.pdf', data: PDF.toString('base64') }] } });
+    mock.expireToken();
+    const res = await invoke(uploadAttachments, { method: 'POST', body: { ticketId: '3', files: [{ name: 'b.pdf', data: PDF.toString('base64') }] } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(mock.db.attachments['3'][1].content, PDF);
+  });
+
+  it('uploadAttachments : 422 quand aucun fichier n\'est accepté', async () => {
+    const res = await invoke(uploadAttachments, { method: 'POST', body: { ticketId: '3', files: [{ name: 'x.exe', data: EXE.toString('base64') }] } });
+    assert.equal(res.statusCode, 422);
+    assert.equal(mock.requestsTo('/attachments', 'POST').length, 0);
+  });
+
+  it('uploadAttachments : un échec Zoho est reporté par fichier', async () => {
+    mock.fail({ method: 'POST', path: '/attachments', type: 'rateLimit', times: 3 });
+    const res = await invoke(uploadAttachments, {
+      method: 'POST',
+      body: { ticketId: '3', files: [{ name: 'a.png', data: PNG.toString('base64') }, { name: 'b.png', data: PNG.toString('base64') }] }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json.results.map(r => r.status), ['failed', 'uploaded']);
+  });
+
+  it('uploadImage : accepte une image et refuse les autres types', async () => {
+    const ok = await invoke(uploadImage, { method: 'POST', body: { ticketId: '3', imageData: PNG.toString('base64'), filename: 'ecran' } });
+    assert.equal(ok.statusCode, 200);
+    assert.equal(ok.json.attachment.name, 'ecran.png');
+
+    const refused = await invoke(uploadImage, { method: 'POST', body: { ticketId: '3', imageData: PDF.toString('base64') } });
+    assert.equal(refused.statusCode, 422);
+  });
+
+  it('uploadImage : 400 sans données', async () => {
+    const res = await invoke(uploadImage, { method: 'POST', body: { ticketId: '3' } });
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock } = require('./support/setup');
+
+describe('client Zoho Desk', () => {
+  let mock;
+  let desk;
+  let http;
+
+  before(async () => {
+    mock = await startMock();
+    desk = require('../netlify/lib/zohoDesk');
+    http = require('../netlify/lib/http');
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addTicket({ id: '1', subject: '[Portal] Imprimante' });
+  });
+
+  it('met le token en cache entre deux appels', async () => {
+    desk.invalidateAccessToken();
+    await desk.deskRequest('/tickets/1');
+    await desk.deskRequest('/tickets/1');
+    assert.equal(mock.tokenRequests, 1);
+    assert.match(mock.requestsTo('/tickets/1')[0].headers.authorization, /^Zoho-oauthtoken mock-token-/);
+    assert.equal(mock.requestsTo('/tickets/1')[0].headers.orgid, 'org-1');
+  });
+
+  it('rafraîchit le token une fois sur un 401 puis rejoue la requête', async () => {
+    await desk.deskRequest('/tickets/1');
+    const tokensBefore = mock.tokenRequests;
+    mock.expireToken();
+    const result = await desk.deskRequest('/tickets/1');
+    assert.equal(result.status, 200);
+    assert.equal(result.data.id, '1');
+    assert.equal(mock.tokenRequests, tokensBefore + 1);
+  });
+
+  it('ne boucle pas si le 401 persiste après rafraîchissement', async () => {
+    mock.fail({ path: '/tickets/1', type: 'unauthorized', times: 5 });
+    const result = await desk.deskRequest('/tickets/1');
+    assert.equal(result.status, 401);
+    assert.equal(mock.requestsTo('/tickets/1').length, 2);
+  });
+
+  it('rejoue après un 429 "too many requests"', async () => {
+    mock.fail({ path: '/tickets/1', type: 'rateLimit', times: 2 });
+    const result = await desk.deskRequest('/tickets/1');
+    assert.equal(result.status, 200);
+    assert.equal(mock.requestsTo('/tickets/1').length, 3);
+  });
+
+  it('abandonne après les essais et signale le rate limit (429)', async () => {
+    mock.fail({ path: '/tickets/1', type: 'rateLimit', times: 3 });
+    const result = await desk.deskRequest('/tickets/1');
+    assert.equal(result.status, 429);
+
+    const response = http.errorResponse(desk.deskError(result, 'test'));
+    assert.equal(response.statusCode, 429);
+    assert.equal(JSON.parse(response.body).error, http.RATE_LIMIT_MESSAGE);
+  });
+
+  it('n\'attend pas un Retry-After au-delà du plafond et renvoie le 429', async () => {
+    mock.fail({ path: '/tickets/1', type: 'rateLimit', headers: { 'Retry-After': '60' } });
+    const started = Date.now();
+    const result = await desk.deskRequest('/tickets/1');
+    assert.equal(result.status, 429);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(mock.requestsTo('/tickets/1').length, 1);
+
+    const response = http.errorResponse(desk.deskError(result, 'test'));
+    assert.equal(JSON.parse(response.body).code, 'RATE_LIMITED');
+  });
+
+  it('signale le rate limit de Zoho Accounts lors du refresh', async () => {
+    desk.invalidateAccessToken();
+    mock.fail({ path: '/oauth/v2/token', type: 'rateLimit' });
+    await assert.rejects(desk.getAccessToken(), err => err.rateLimited === true && err.statusCode === 502);
+  });
+
+  it('renvoie data null pour un corps vide', async () => {
+    mock.fail({ path: '/tickets/1', type: 'empty' });
+    const result = await desk.deskRequest('/tickets/1');
+    assert.equal(result.ok, true);
+    assert.equal(result.data, null);
+    assert.equal(result.raw, '');
+  });
+
+  it('lève une 502 sur une réponse non JSON', async () => {
+    mock.fail({ path: '/tickets/1', status: 200, body: '<html>maintenance</html>' });
+    await assert.rejects(desk.deskRequest('/tickets/1'), err => err.statusCode === 502);
+  });
+
+  it('rejoue sans include quand le paramètre est refusé', async () => {
+    mock.fail({ path: '/tickets/1?include=', status: 422, body: { errorCode: 'INVALID_DATA' } });
+    const result = await desk.deskGetWithFallback('/tickets/1?include=contacts', '/tickets/1', 'test');
+    assert.equal(result.status, 200);
+    assert.deepEqual(mock.requestsTo('/tickets/1').map(r => r.search), ['?include=contacts', '']);
+  });
+
+  it('pagine une liste jusqu\'à la réponse 204', async () => {
+    mock.db.history['1'] = Array.from({ length: 120 }, (_, i) => ({ eventName: `E${i}` }));
+    const events = await desk.deskList('/tickets/1/History', { context: 'test' });
+    assert.equal(events.length, 120);
+    assert.equal(mock.requestsTo('/History').length, 3);
+  });
+
+  it('lève une erreur Desk normalisée quand une page échoue', async () => {
+    mock.fail({ path: '/History', type: 'notFound' });
+    await assert.rejects(
+      desk.deskList('/tickets/1/History', { context: 'test' }),
+      err => err.statusCode === 404 && err.details.errorCode === 'URL_NOT_FOUND'
+    );
+  });
+});